@@ -23,6 +23,9 @@ const { exec, execSync, spawn, spawnSync, execFileSync, execFile } = require("ch
 const fs = require('fs')
 const crypto = require('crypto');
 const path = require('path');
+const readline = require('readline');
+const net = require('net');
+const dgram = require('dgram');
 const { Resolver} = require('dns');
 const bcrypt = require('bcrypt');
 const process = require('process');
@@ -34,6 +37,10 @@ const CONFIG_FILE = 'config.json';
 const AUTH_TOKENS_FILE = 'auth_tokens.json';
 const RELAYS_CACHE_FILE = 'relays_cache.json';
 const GSM_OPERATORS_CACHE_FILE = 'gsm_operator_cache.json';
+const PROFILES_FILE = 'profiles.json';
+const SESSIONS_FILE = 'sessions.json';
+const SCHEDULES_FILE = 'schedules.json';
+const DATA_USAGE_FILE = 'data_usage.json';
 
 const DNS_CACHE_FILE = 'dns_cache.json';
 /* Minimum age of an updated record to trigger a persistent DNS cache update (in ms)
@@ -163,11 +170,61 @@ function savePersistentTokens() {
   fs.writeFileSync(AUTH_TOKENS_FILE, JSON.stringify(persistentTokens));
 }
 
+// The token stores are plain objects, only their own keys are valid tokens
+function isValidAuthToken(token) {
+  return Object.prototype.hasOwnProperty.call(tempTokens, token) ||
+         Object.prototype.hasOwnProperty.call(persistentTokens, token);
+}
+
+/*
+  Short-lived URL tokens
+
+  The login tokens are never accepted in URLs, which end up in the browser
+  history and logs. Links that can't send any headers, like the recording
+  downloads, get a random token instead, which only grants access to a single
+  resource for URL_TOKEN_TTL.
+*/
+const URL_TOKEN_TTL = 60 * 1000;
+const urlTokens = {};
+
+function urlTokenGen(purpose) {
+  const ts = getms();
+  for (const t in urlTokens) {
+    if (urlTokens[t].expires < ts) delete urlTokens[t];
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  urlTokens[token] = {purpose, expires: ts + URL_TOKEN_TTL};
+  return token;
+}
+
+function urlTokenCheck(token, purpose) {
+  if (typeof token != 'string' || !Object.prototype.hasOwnProperty.call(urlTokens, token)) return false;
+  const t = urlTokens[token];
+  return t.purpose === purpose && t.expires >= getms();
+}
+
+// For the HTTP clients that can send the login token in an Authorization: Bearer header
+function httpIsAuthed(req) {
+  const header = req.headers['authorization'];
+  const match = (typeof header == 'string') ? header.match(/^Bearer\s+(\S+)$/) : null;
+  return match != null && isValidAuthToken(match[1]);
+}
+
 
 /* Initialize the server */
 const staticHttp = serveStatic("public");
 
 const server = http.createServer(function(req, res) {
+  if (req.method == 'GET' && req.url.startsWith('/recording?')) {
+    recordingHttpDownload(req, res);
+    return;
+  }
+  if (req.method == 'GET' && (req.url == '/preview.jpg' || req.url.startsWith('/preview.jpg?'))) {
+    previewHttpGet(req, res);
+    return;
+  }
+
   const done = finalhandler(req, res);
   staticHttp(req, res, done);
 });
@@ -262,134 +319,257 @@ function broadcastMsgExcept(conn, type, data) {
 }
 
 
-/* Network interface list */
+/*
+  Network interface list
+
+  The links and their addresses are read with `ip -j addr show` at startup and
+  whenever `ip monitor` reports a change. If `ip monitor` can't be used, they
+  are polled instead. The TX and RX counters used for the throughput and the
+  data usage are read from /sys/class/net/<int>/statistics every second
+*/
+const NETIF_UPDATE_DELAY = 500;
+const NETIF_POLL_INTERVAL = 2000;
+const NETIF_COUNTERS_INTERVAL = 1000;
+
 let netif = {};
 
-function updateNetif() {
-  exec("ifconfig", (error, stdout, stderr) => {
-    if (error) {
-      console.log(error.message);
-      return;
-    }
+async function netIfReadStat(name, stat) {
+  const value = await readTextFile(`/sys/class/net/${name}/statistics/${stat}`);
+  if (value === undefined) return;
+  return parseInt(value);
+}
+
+async function netIfReadAddrs() {
+  const ipAddr = await execFileP('ip', ['-j', 'addr', 'show']);
+  return JSON.parse(ipAddr.stdout);
+}
+
+let netifUpdating = false;
+let netifUpdatePending = false;
+async function updateNetif() {
+  // Only one update at a time, but don't miss any changes
+  if (netifUpdating) {
+    netifUpdatePending = true;
+    return;
+  }
+  netifUpdating = true;
 
-    let intsChanged = false;
-    const newints = {};
+  try {
+    const links = await netIfReadAddrs();
+    await updateNetifFromLinks(links);
+  } catch (err) {
+    console.log(`Failed to read the network interfaces: ${err.message}`);
+  }
 
-    wiFiDeviceListStartUpdate();
+  netifUpdating = false;
+  if (netifUpdatePending) {
+    netifUpdatePending = false;
+    updateNetif();
+  }
+}
 
-    const interfaces = stdout.split("\n\n");
-    for (const int of interfaces) {
-      try {
-        const name = int.split(':')[0];
+async function updateNetifFromLinks(links) {
+  let intsChanged = false;
+  const newints = {};
 
-        let inetAddr = int.match(/inet (\d+\.\d+\.\d+\.\d+)/);
-        if (inetAddr) inetAddr = inetAddr[1];
+  // Read the counters of any new interfaces before updating the WiFi device list
+  const counters = {};
+  for (const link of links) {
+    if (!netif[link.ifname]) {
+      counters[link.ifname] = {
+        tx: await netIfReadStat(link.ifname, 'tx_bytes'),
+        rx: await netIfReadStat(link.ifname, 'rx_bytes')
+      };
+    }
+  }
 
-        const flags = int.match(/flags=\d+<([A-Z,]+)>/)[1].split(',');
-        const isRunning = flags.includes('RUNNING');
+  wiFiDeviceListStartUpdate();
 
-        // update the list of WiFi devices
-        if (name && name.match('^wl')) {
-          let hwAddr = int.match(/ether ([0-9a-f:]+)/);
-          if (hwAddr) {
-            wiFiDeviceListAdd(name, hwAddr[1], isRunning ? inetAddr : null);
-          }
-        }
+  for (const link of links) {
+    try {
+      const name = link.ifname;
+      const flags = link.flags || [];
+      const isRunning = flags.includes('UP') && flags.includes('LOWER_UP');
+
+      const addrs = link.addr_info || [];
+      const inet = addrs.find(function(a) { return a.family == 'inet'; });
+      const inetAddr = inet ? inet.local : undefined;
+      const inet6Addrs = addrs.filter(function(a) {
+        return a.family == 'inet6' && a.scope == 'global';
+      }).map(function(a) { return a.local; });
+
+      // update the list of WiFi devices
+      if (name && name.match('^wl') && link.address) {
+        wiFiDeviceListAdd(name, link.address, isRunning ? inetAddr : null);
+      }
 
-        if (name == 'lo' || name.match('^docker') || name.match('^l4tbr')) continue;
+      if (name == 'lo' || name.match('^docker') || name.match('^l4tbr')) continue;
 
-        if (!inetAddr) continue;
-        if (!isRunning) continue;
+      if (!inetAddr) continue;
+      if (!isRunning) continue;
 
-        let txBytes = int.match(/TX packets \d+  bytes \d+/);
-        txBytes = parseInt(txBytes[0].split(' ').pop());
-        if (netif[name]) {
-          tp = txBytes - netif[name]['txb'];
-        } else {
-          tp = 0;
-        }
+      const hwaddr = (link.link_type == 'ether') ? link.address : undefined;
 
-        const enabled = (netif[name] && netif[name].enabled == false) ? false : true;
-        const error = netif[name] ? netif[name].error : 0;
-        newints[name] = {ip: inetAddr, txb: txBytes, tp, enabled, error};
+      let txb, rxb, tp;
+      if (netif[name]) {
+        txb = netif[name].txb;
+        rxb = netif[name].rxb;
+        tp = netif[name].tp;
+      } else {
+        txb = (counters[name].tx != undefined) ? counters[name].tx : 0;
+        rxb = (counters[name].rx != undefined) ? counters[name].rx : 0;
+        tp = 0;
+      }
 
-        // Detect interfaces that are new or with a different address
-        if (!netif[name] || netif[name].ip != inetAddr) {
-          intsChanged = true;
+      let enabled, error, key;
+      if (netif[name]) {
+        enabled = netif[name].enabled;
+        error = netif[name].error;
+        key = netif[name].key;
+      } else {
+        // Reapply the user's choice and any reached data cap to the new interfaces
+        key = netIfGetKey(name, hwaddr);
+        enabled = !netIfIsDisabledByUser(key);
+        error = 0;
+        if (dataUsageGetCapState(key).reached) {
+          enabled = false;
+          error = NETIF_ERR_DATA_CAP;
         }
-      } catch (err) {};
-    }
+      }
+      newints[name] = {ip: inetAddr, ip6: inet6Addrs, hwaddr, key, txb, rxb, tp, enabled, error};
 
-    // Detect removed interfaces
-    for (const i in netif) {
-      if (!newints[i]) {
+      // Detect interfaces that are new or with a different address
+      if (!netif[name] || netif[name].ip != inetAddr) {
         intsChanged = true;
       }
+    } catch (err) {};
+  }
+
+  // Detect removed interfaces
+  for (const i in netif) {
+    if (!newints[i]) {
+      intsChanged = true;
     }
+  }
 
-    if (intsChanged) {
-      const intAddrs = {};
+  if (intsChanged) {
+    const intAddrs = {};
 
-      // Detect duplicate IP adddresses and set error status
-      for (const i in newints) {
-        const int = newints[i];
-        clearNetifDup(int);
+    // Detect duplicate IP adddresses and set error status
+    for (const i in newints) {
+      const int = newints[i];
+      clearNetifDup(int);
 
-        if (intAddrs[int.ip] === undefined) {
-          intAddrs[int.ip] = i;
+      if (intAddrs[int.ip] === undefined) {
+        intAddrs[int.ip] = i;
+      } else {
+        if (Array.isArray(intAddrs[int.ip])) {
+          intAddrs[int.ip].push(i);
         } else {
-          if (Array.isArray(intAddrs[int.ip])) {
-            intAddrs[int.ip].push(i);
-          } else {
-            setNetifDup(newints[intAddrs[int.ip]]);
-            intAddrs[int.ip] = [intAddrs[int.ip], i];
-          }
-          setNetifDup(int);
+          setNetifDup(newints[intAddrs[int.ip]]);
+          intAddrs[int.ip] = [intAddrs[int.ip], i];
         }
+        setNetifDup(int);
       }
+    }
 
-      // Send out an error message for duplicate IP addresses
-      let msg = '';
-      for (const d in intAddrs) {
-        if (Array.isArray(intAddrs[d])) {
-          if (msg != '') {
-            msg += '; ';
-          }
-          msg += `Interfaces ${intAddrs[d].join(', ')} can't be used because they share the same IP address: ${d}`;
+    // Send out an error message for duplicate IP addresses
+    let msg = '';
+    for (const d in intAddrs) {
+      if (Array.isArray(intAddrs[d])) {
+        if (msg != '') {
+          msg += '; ';
         }
-      }
-
-      if (msg == '') {
-        notificationRemove('netif_dup_ip');
-      } else {
-        notificationBroadcast('netif_dup_ip', 'error', msg, 0, true, true);
+        msg += `Interfaces ${intAddrs[d].join(', ')} can't be used because they share the same IP address: ${d}`;
       }
     }
 
-    if (wiFiDeviceListEndUpdate()) {
-      console.log("updated wifi devices");
-      // a delay seems to be needed before NM registers new devices
-      setTimeout(wifiUpdateDevices, 1000);
+    if (msg == '') {
+      notificationRemove('netif_dup_ip');
+    } else {
+      notificationBroadcast('netif_dup_ip', 'error', msg, 0, true, true);
     }
+  }
 
-    netif = newints;
+  if (wiFiDeviceListEndUpdate()) {
+    console.log("updated wifi devices");
+    // a delay seems to be needed before NM registers new devices
+    setTimeout(wifiUpdateDevices, 1000);
+  }
 
-    if (intsChanged && isStreaming) {
-      updateSrtlaIps();
-    }
+  netif = newints;
+
+  if (intsChanged && isStreaming) {
+    updateSrtlaIps();
+  }
+
+  broadcastMsg('netif', netIfBuildMsg(), getms() - ACTIVE_TO);
+}
+
+async function updateNetifCounters() {
+  for (const i in netif) {
+    const int = netif[i];
+    const txBytes = await netIfReadStat(i, 'tx_bytes');
+    const rxBytes = await netIfReadStat(i, 'rx_bytes');
+    if (txBytes === undefined || rxBytes === undefined) continue;
+
+    // The counters start from 0 again if the interface is re-created
+    const tx = (txBytes >= int.txb) ? txBytes - int.txb : txBytes;
+    const rx = (rxBytes >= int.rxb) ? rxBytes - int.rxb : rxBytes;
+    int.tp = tx;
+    int.txb = txBytes;
+    int.rxb = rxBytes;
+
+    dataUsageAdd(i, tx, rx);
+  }
+
+  netIfCheckKeys();
+  dataUsageCheckCaps();
+  netIfCheckBackup();
+
+  broadcastMsg('netif', netIfBuildMsg(), getms() - ACTIVE_TO);
+}
+
+let netifUpdateTimer;
+function netIfUpdateSchedule() {
+  if (netifUpdateTimer) clearTimeout(netifUpdateTimer);
+  netifUpdateTimer = setTimeout(function() {
+    netifUpdateTimer = undefined;
+    updateNetif();
+  }, NETIF_UPDATE_DELAY);
+}
+
+let netifPollTimer;
+function netIfPollStart() {
+  if (netifPollTimer) return;
+  console.log('network monitor: polling for interface changes');
+  netifPollTimer = setInterval(updateNetif, NETIF_POLL_INTERVAL);
+}
 
-    broadcastMsg('netif', netIfBuildMsg(), getms() - ACTIVE_TO);
+function netIfMonitorStart() {
+  const monitor = spawn('ip', ['monitor', 'link', 'address']);
+
+  monitor.stdout.on('data', netIfUpdateSchedule);
+  monitor.on('error', function(err) {
+    console.log(`network monitor: failed to run ip monitor: ${err.message}`);
+  });
+  monitor.on('close', function() {
+    netIfPollStart();
   });
 }
+
 updateNetif();
-setInterval(updateNetif, 1000);
+netIfMonitorStart();
+setInterval(updateNetifCounters, NETIF_COUNTERS_INTERVAL);
 
 const NETIF_ERR_DUPIPV4 = 0x01;
 const NETIF_ERR_HOTSPOT = 0x02;
+const NETIF_ERR_DATA_CAP = 0x04;
 // The order is deliberate, we want *hotspot* to have higher priority
 const netIfErrors = {
   2: 'WiFi hotspot',
-  1: 'duplicate IPv4 addr'
+  1: 'duplicate IPv4 addr',
+  4: 'data cap reached'
 }
 
 function setNetifError(int, err) {
@@ -425,8 +605,22 @@ function netIfGetErrorMsg(i) {
 
 function netIfBuildMsg() {
   const m = {};
+  const useBackup = netIfUseBackup();
   for (const i in netif) {
-    m[i] = {ip: netif[i].ip, tp: netif[i].tp, enabled: netif[i].enabled};
+    const settings = netIfGetSettings(i);
+    m[i] = {ip: netif[i].ip, tp: netif[i].tp, enabled: netif[i].enabled,
+            key: netIfGetKey(i), priority: settings.priority, weight: settings.weight};
+    if (netif[i].enabled && !netIfIsInUse(i, useBackup)) {
+      m[i].standby = true;
+    }
+    if (netif[i].ip6.length) {
+      m[i].ip6 = netif[i].ip6;
+    }
+    const probe = netifProbes[i];
+    if (probe && probe.ip == netif[i].ip) {
+      if (probe.rtt !== undefined) m[i].rtt = probe.rtt;
+      m[i].loss = probe.loss;
+    }
     const error = netIfGetErrorMsg(netif[i]);
     if (error) {
       m[i].error = error;
@@ -457,988 +651,1662 @@ function handleNetif(conn, msg) {
         return;
       }
     } else {
-      if (int.enabled && countActiveNetif() == 1) {
+      if (int.enabled && netIfGetSettings(msg.name).priority != 'disabled' && countStreamingNetif() == 1) {
         notificationSend(conn, "netif_disable_all", "error", "Can't disable all networks", 10);
         return;
       }
     }
 
     int.enabled = msg.enabled;
+    netIfSaveEnabled(msg.name, msg.enabled);
     if (isStreaming) {
       updateSrtlaIps();
     }
   }
 
+  if (msg.priority !== undefined || msg.weight !== undefined || msg.cap !== undefined) {
+    setNetifSettings(conn, msg.name, msg);
+  }
+
   conn.send(buildMsg('netif', netIfBuildMsg()));
 }
 
 
 /*
-  DNS utils w/ a persistent cache
+  Network interface priorities and weights
+
+  Stored in config.netifs by interface identity rather than by name, as the
+  names can change between boots or when the devices are plugged in a
+  different order:
+  {<netif key>: {priority: 'primary' | 'backup' | 'disabled', weight: 1-5,
+                 enabled: false}} // only set if disabled by the user
+
+  The keys are imei:<IMEI> for modems, wifi:<SSID> for WiFi interfaces
+  connected to a network (the SSID of the active NetworkManager connection),
+  mac:<MAC address> for the other interfaces with a hardware address, or
+  name:<ifname> otherwise. Modems and WiFi networks can be identified some
+  time after their interface appears, so the keys are checked again every
+  second and the user's choices are reapplied when a key changes, see
+  netIfCheckKeys().
+
+  The settings and data usage recorded for the mac: key of a modem or WiFi
+  interface are used as a fallback for its imei: / wifi: key, see
+  netIfGetConfig() and dataUsageGet().
+
+  The backup interfaces are only used when no primary interface is available,
+  or while streaming if the capacity of the primary interfaces stays below
+  config.netif_backup_threshold (Kbps) for NETIF_BACKUP_DEGRADED_TIME. The
+  capacity is the bitrate belacoder adapts the stream to when it reports it,
+  as the throughput also drops with the encoder output, e.g. for static
+  scenes. Otherwise it falls back to the throughput of the interfaces in use.
+  Once the backups carry part of the stream, they're dropped again after the
+  capacity has stayed above the threshold for NETIF_BACKUP_RECOVERY_TIME,
+  as long as at least one primary is healthy. The primaries with more than
+  NETIF_BACKUP_MAX_LOSS % packet loss in the latest probe aren't, unless the
+  probe target never replied to them, as many relays drop ICMP.
+
+  srtla_send doesn't support weights, so an interface with a weight of N is
+  listed N times in the IP list, getting a connection for each entry.
 */
+const netIfPriorities = ['primary', 'backup', 'disabled'];
+const NETIF_MAX_WEIGHT = 5;
+const NETIF_BACKUP_THRESHOLD_DEFAULT = 500;
+const NETIF_BACKUP_DEGRADED_TIME = 10000;
+const NETIF_BACKUP_RECOVERY_TIME = 30000;
+const NETIF_BACKUP_MAX_LOSS = 20;
 
-/*
-  dns.Resolver uses c-ares, with each instance (and the global
-  dns.resolve*() functions) mapped one-to-one to a c-ares channel
+let netifBackup = {active: false};
 
-  c-ares channels re-use the underlying UDP sockets for multi queries,
-  which is good for performance but the incorrect behaviour for us, as
-  it can end up trying to use stale connections long after we change
-  the default route after a network becomes unavailable
+// The mac: keys of the interfaces identified by their IMEI or SSID, by key
+const netifFallbackKeys = {};
 
-  For simplicity, we create a new instance for each query unless one
-  is provided by the caller. The callers shouldn't reuse Resolver
-  instances for unrelated queries as we call resolver.cancel() on
-  timeout, which will make all pending queries time out.
-*/
-function resolveP(hostname, rrtype = undefined, resolver = undefined) {
-  if (rrtype !== undefined && rrtype !== 'a' && rrtype !== 'aaaa') {
-    throw(`invalid rrtype ${rrtype}`);
-  }
+function netIfGetKey(name, hwaddr = undefined) {
+  if (!hwaddr && netif[name]) hwaddr = netif[name].hwaddr;
+  const macKey = hwaddr ? `mac:${hwaddr}` : undefined;
 
-  if (!resolver) {
-    resolver = new Resolver();
+  let key;
+  for (const id in modems) {
+    if (modems[id].ifname == name && modems[id].imei) key = `imei:${modems[id].imei}`;
   }
+  const ssid = wifiIfGetSsid(name);
+  if (!key && ssid) key = `wifi:${ssid}`;
 
-  return new Promise(function(resolve, reject) {
-    let to;
-
-    if (DNS_TIMEOUT) {
-      to = setTimeout(function() {
-        resolver.cancel();
-        reject(`DNS timeout for ${hostname}`);
-      }, DNS_TIMEOUT);
-    }
-
-    let ipv4Res;
-    if (rrtype === undefined || rrtype == 'a') {
-      resolver.resolve4(hostname, {}, function(err, address) {
-        ipv4Res = err ? null : address;
-        returnResults();
-      });
-    }
+  if (!key) return macKey || `name:${name}`;
 
-    let ipv6Res;
-    if (rrtype === undefined || rrtype == 'aaaa') {
-      resolver.resolve6(hostname, {}, function(err, address) {
-        ipv6Res = err ? null : address;
-        returnResults();
-      });
-    }
+  if (macKey) netifFallbackKeys[key] = macKey;
+  return key;
+}
 
-    const returnResults = function() {
-      // If querying both for A and AAAA records, wait for the IPv4 result
-      if (rrtype === undefined && ipv4Res === undefined) return;
+function netIfGetConfig(key) {
+  const netifs = config.netifs || {};
+  if (Object.prototype.hasOwnProperty.call(netifs, key)) return netifs[key];
 
-      let res;
-      if (ipv4Res) {
-        res = ipv4Res;
-      } else if (ipv6Res) {
-        res = ipv6Res;
-      }
+  const fallback = netifFallbackKeys[key];
+  if (fallback && Object.prototype.hasOwnProperty.call(netifs, fallback)) return netifs[fallback];
 
-      if (res) {
-        if (to) {
-          clearTimeout(to);
-        }
-        resolve(res);
-      } else {
-        reject(`DNS record not found for ${hostname}`);
-      }
-    }
-  });
+  return {};
 }
 
-let dnsCache = {};
-let dnsResults = {};
-try {
-  dnsCache = JSON.parse(fs.readFileSync(DNS_CACHE_FILE, 'utf8'));
-} catch(err) {
-  console.log("Failed to load the persistent DNS cache, starting with an empty cache");
+function netIfGetSettings(name) {
+  const settings = netIfGetConfig(netIfGetKey(name));
+  return {priority: settings.priority || 'primary', weight: settings.weight || 1};
 }
 
-function isIpv4Addr(val) {
-  return val.match(/^((25[0-5]|(2[0-4]|1\d|[1-9]|)\d)\.?\b){4}$/) != null;
+function netIfIsDisabledByUser(key) {
+  return netIfGetConfig(key).enabled === false;
 }
 
-async function dnsCacheResolve(name, rrtype = undefined) {
-  if (rrtype) {
-    rrtype = rrtype.toLowerCase();
-    if (rrtype !== 'a' && rrtype !== 'aaaa') {
-      throw('Invalid rrtype');
-    }
+function netIfSaveEnabled(name, enabled) {
+  const key = netIfGetKey(name);
+  if (!config.netifs) config.netifs = {};
+  const settings = Object.assign({}, netIfGetConfig(key));
+  if (enabled) {
+    delete settings.enabled;
+  } else {
+    settings.enabled = false;
   }
 
-  if (isIpv4Addr(name) && rrtype != 'aaaa') {
-    return {addrs: [name], fromCache: false};
+  if (Object.keys(settings).length) {
+    config.netifs[key] = settings;
+  } else {
+    delete config.netifs[key];
   }
+  saveConfig();
+}
 
-  let badDns = true;
-
-  // Reuse the Resolver instance for the actual query after a succesful validation
-  const resolver = new Resolver();
+// Reapply the user's enable / disable choice if an interface's key changed
+function netIfCheckKeys() {
+  let changed = false;
+  for (const i in netif) {
+    const int = netif[i];
+    const key = netIfGetKey(i);
+    if (key == int.key) continue;
+    int.key = key;
 
-  /* Assume that DNS resolving is broken, unless it returns
-     the expected result for a known name */
-  try {
-    const lookup = await resolveP(DNS_WELLKNOWN_NAME, 'a', resolver);
-    if (lookup.length == 1 && lookup[0] == DNS_WELLKNOWN_ADDR) {
-      badDns = false;
-    } else {
-      console.log(`DNS validation failure: got result ${lookup} instead of the expected ${DNS_WELLKNOWN_ADDR}`);
+    const enabled = !netIfIsDisabledByUser(key) && int.error == 0;
+    if (enabled != int.enabled) {
+      int.enabled = enabled;
+      changed = true;
     }
-  } catch(e) {
-    console.log(`DNS validation failure: ${e}`);
   }
 
-  if (badDns) {
-    delete dnsResults[name];
-  } else {
-    try {
-      const res = await resolveP(name, rrtype, resolver);
-      dnsResults[name] = res;
+  if (changed && isStreaming) {
+    updateSrtlaIps();
+  }
+}
 
-      return {addrs: res, fromCache: false};
-    } catch(err) {
-      console.log('dns error ' + err);
-    }
+function countUsableNetif(priority) {
+  let count = 0;
+  for (const i in netif) {
+    if (netif[i].enabled && netIfGetSettings(i).priority == priority) count++;
   }
+  return count;
+}
 
-  if (dnsCache[name]) return {addrs: dnsCache[name].result, fromCache: true};
+// The enabled interfaces that can carry the stream, as primaries or backups
+function countStreamingNetif() {
+  return countActiveNetif() - countUsableNetif('disabled');
+}
 
-  throw('DNS query failed and no cached value is available');
+function netIfUseBackup() {
+  return netifBackup.active || countUsableNetif('primary') == 0;
 }
 
-function compareArrayElements(a1, a2) {
-  if (!Array.isArray(a1) || !Array.isArray(a2)) return false;
+function netIfIsInUse(name, useBackup) {
+  if (!netif[name].enabled) return false;
 
-  const cmp = {};
-  for (e of a1) {
-    cmp[e] = false;
+  const priority = netIfGetSettings(name).priority;
+  return priority == 'primary' || (priority == 'backup' && useBackup);
+}
+
+function setNetifSettings(conn, name, msg) {
+  const key = netIfGetKey(name);
+  const settings = Object.assign({}, netIfGetConfig(key));
+
+  if (msg.priority !== undefined) {
+    if (!netIfPriorities.includes(msg.priority)) {
+      notificationSend(conn, "netif_settings_error", "error", `Invalid priority for ${name}`, 10);
+      return;
+    }
+    if (msg.priority == 'disabled' && netif[name].enabled && settings.priority != 'disabled' &&
+        countStreamingNetif() == 1) {
+      notificationSend(conn, "netif_disable_all", "error", "Can't disable all networks", 10);
+      return;
+    }
+    settings.priority = msg.priority;
   }
 
-  // check that all elements of a2 are in a1
-  for (e of a2) {
-    if (cmp[e] === undefined) {
-      return false;
+  if (msg.weight !== undefined) {
+    const weight = parseInt(msg.weight);
+    if (weight != msg.weight || weight < 1 || weight > NETIF_MAX_WEIGHT) {
+      notificationSend(conn, "netif_settings_error", "error", `Invalid weight for ${name}`, 10);
+      return;
     }
-    cmp[e] = true;
+    settings.weight = weight;
   }
 
-  // check that all elements of a1 are in a2
-  for (e in cmp) {
-    if (!cmp[e]) return false;
+  if (msg.cap !== undefined) {
+    const cap = validateDataCap(msg.cap);
+    if (!cap) {
+      notificationSend(conn, "netif_settings_error", "error", `Invalid data cap for ${name}`, 10);
+      return;
+    }
+    dataUsageMigrateResetDay(key, dataUsageGetCap(key).reset_day, cap.reset_day);
+    settings.cap = cap;
   }
 
-  return true;
+  if (!config.netifs) config.netifs = {};
+  config.netifs[key] = settings;
+  saveConfig();
+
+  // Apply any cap changes right away
+  dataUsageCheckCaps();
+
+  if (isStreaming) {
+    updateSrtlaIps();
+  }
+
+  broadcastMsg('netif', netIfBuildMsg());
+  broadcastMsg('data_usage', dataUsageBuildMsg());
 }
 
-async function dnsCacheValidate(name) {
-  if (!dnsResults[name]) {
-    console.log(`DNS: error validating results for ${name}: not found`);
+function setNetifBackupThreshold(conn, threshold) {
+  const value = parseInt(threshold);
+  if (value != threshold || value < 0 || value > 100000) {
+    notificationSend(conn, "netif_settings_error", "error", "Invalid backup network threshold", 10);
     return;
   }
 
-  if (!dnsCache[name] || !compareArrayElements(dnsResults[name], dnsCache[name].results)) {
-    let writeFile = true;
+  config.netif_backup_threshold = value;
+  saveConfig();
+  broadcastMsg('config', config);
+}
 
-    if (!dnsCache[name]) {
-      dnsCache[name] = {};
-    }
+function netIfSetBackup(active, msg) {
+  netifBackup = {active};
+  console.log(`netif: ${msg}`);
+  streamEventsAdd(active ? 'netif_backup_on' : 'netif_backup_off', active ? 'warning' : 'info', msg);
+  updateSrtlaIps();
+}
 
-    if (dnsCache[name].ts &&
-        (Date.now() - dnsCache[name].ts) < DNS_MIN_AGE) writeFile = false;
+function netIfIsHealthy(name) {
+  const probe = netifProbes[name];
+  return !probe || probe.ip != netif[name].ip || !probe.replied || probe.loss < NETIF_BACKUP_MAX_LOSS;
+}
 
-    dnsCache[name].result = dnsResults[name];
+/*
+  The stream bitrate set by belacoder's controller in Kbps if it's reporting it,
+  otherwise the throughput of the interfaces in use
+*/
+function netIfGetStreamCapacity() {
+  if (encoderStats.bitrate !== undefined && getms() - encoderStats.updated < 3000) {
+    return encoderStats.bitrate;
+  }
 
-    if (writeFile) {
-      dnsCache[name].ts = Date.now();
-      await writeTextFile(DNS_CACHE_FILE, JSON.stringify(dnsCache));
-    }
+  let kbps = 0;
+  const useBackup = netIfUseBackup();
+  for (const i in netif) {
+    if (netIfIsInUse(i, useBackup)) kbps += (netif[i].tp * 8) / 1024;
   }
+  return kbps;
 }
 
+// Called every NETIF_COUNTERS_INTERVAL, after updating the throughput
+function netIfCheckBackup() {
+  if (!isStreaming) {
+    netifBackup = {active: false};
+    return;
+  }
 
-/*
-  Check Internet connectivity and if needed update the default route
-*/
-function httpGet(options) {
-  return new Promise(function(resolve, reject) {
-    let to;
+  let hasHealthyPrimary = false;
+  let hasBackup = false;
+  for (const i in netif) {
+    if (!netif[i].enabled) continue;
 
-    if (options.timeout) {
-      to = setTimeout(function() {
-        req.destroy();
-        reject('timeout');
-      }, options.timeout);
+    const priority = netIfGetSettings(i).priority;
+    if (priority == 'primary') {
+      if (netIfIsHealthy(i)) hasHealthyPrimary = true;
+    } else if (priority == 'backup') {
+      hasBackup = true;
     }
+  }
+  if (!hasBackup) return;
 
-    var req = http.get(options, function(res) {
-      let response = '';
-      res.on('data', function(d) {
-        response += d;
-      });
-      res.on('end', function() {
-        if (to) {
-          clearTimeout(to);
-        }
-        resolve( {code: res.statusCode, body: response} );
-      });
-    });
+  const threshold = (config.netif_backup_threshold != undefined) ? config.netif_backup_threshold : NETIF_BACKUP_THRESHOLD_DEFAULT;
+  const ts = getms();
+  // belacoder never goes above max_br, even with plenty of capacity
+  const capacity = netIfGetStreamCapacity();
+  const minCapacity = Math.min(threshold, config.max_br);
+  if (!netifBackup.active) {
+    if (capacity >= minCapacity) {
+      netifBackup.degradedSince = undefined;
+      return;
+    }
 
-    req.on('error', function(e) {
-      if (to) {
-        clearTimeout(to);
-      }
-      reject(e);
-    });
-  });
+    if (netifBackup.degradedSince === undefined) {
+      netifBackup.degradedSince = ts;
+    } else if (ts - netifBackup.degradedSince >= NETIF_BACKUP_DEGRADED_TIME) {
+      netIfSetBackup(true, `The stream bitrate is below ${threshold} Kbps, using the backup networks`);
+    }
+  } else {
+    if (!hasHealthyPrimary || capacity < minCapacity) {
+      netifBackup.recoveredSince = undefined;
+      return;
+    }
+
+    if (netifBackup.recoveredSince === undefined) {
+      netifBackup.recoveredSince = ts;
+    } else if (ts - netifBackup.recoveredSince >= NETIF_BACKUP_RECOVERY_TIME) {
+      netIfSetBackup(false, 'Primary networks recovered, no longer using the backup networks');
+    }
+  }
 }
 
-async function checkConnectivity(remoteAddr, localAddress) {
-  try {
-    let url = {};
-    url.headers = {'Host': CONNECTIVITY_CHECK_DOMAIN};
-    url.path = CONNECTIVITY_CHECK_PATH;
-    url.host = remoteAddr;
-    url.timeout = 4000;
 
-    if (localAddress) {
-      url.localAddress = localAddress;
-    }
+/*
+  Network data usage accounting and caps
 
-    const res = await httpGet(url);
-    if (res.code == CONNECTIVITY_CHECK_CODE && res.body == CONNECTIVITY_CHECK_BODY) {
-      return true;
+  The TX and RX bytes of each interface are added up by interface identity
+  (see netIfGetKey()) for the current day and billing month, and persisted to
+  DATA_USAGE_FILE:
+  {
+    <netif key>: {
+      name: 'wwan0', // the last seen interface name
+      day: {period: '2024-05-31', tx: <bytes>, rx: <bytes>},
+      month: {period: '2024-05', tx: <bytes>, rx: <bytes>}
     }
-  } catch(err) {
-    console.log('Internet connectivity HTTP check error ' + (err.code || err));
   }
 
-  return false;
-}
+  The caps are set in config.netifs[<netif key>].cap:
+  {daily: <MB>, monthly: <MB>, warning: <% of the cap>, reset_day: 1-28}
 
-async function clear_default_gws() {
-  try {
-    while(1) {
-      await execP("ip route del default");
-    }
-  } catch(err) {
-    return;
+  A cap of 0 means no cap. The user is warned once the usage goes over
+  <warning>% of a cap. When a cap is reached, the interface is disabled until
+  the next period starts or the cap is raised. The billing month starts on
+  <reset_day> of the month, and its period is named after the month it
+  started in. When the reset day is changed, the usage of the current billing
+  month is carried over, see dataUsageMigrateResetDay().
+*/
+const DATA_USAGE_MB = 1024 * 1024;
+const DATA_USAGE_SAVE_INTERVAL = oneMinute;
+const DATA_USAGE_BROADCAST_INTERVAL = 10000;
+const DATA_CAP_WARNING_DEFAULT = 80;
+
+let dataUsage = {};
+try {
+  dataUsage = JSON.parse(fs.readFileSync(DATA_USAGE_FILE, 'utf8'));
+} catch(err) {}
+let dataUsageModified = false;
+
+// The last notified cap state of each interface, by netif key
+const dataCapNotified = {};
+
+function validateDataCap(cap) {
+  if (!cap || typeof cap != 'object') return;
+
+  const out = {};
+  for (const f of ['daily', 'monthly']) {
+    const value = Number((cap[f] != undefined) ? cap[f] : 0);
+    if (!Number.isFinite(value) || value < 0) return;
+    out[f] = value;
   }
-}
 
+  const warningValue = (cap.warning != undefined) ? cap.warning : DATA_CAP_WARNING_DEFAULT;
+  const warning = parseInt(warningValue);
+  if (warning != warningValue || warning < 1 || warning > 100) return;
+  out.warning = warning;
 
-let updateGwLock = false;
-let updateGwLastRun = 0;
-let updateGwQueue = true;
+  const resetDayValue = (cap.reset_day != undefined) ? cap.reset_day : 1;
+  const resetDay = parseInt(resetDayValue);
+  if (resetDay != resetDayValue || resetDay < 1 || resetDay > 28) return;
+  out.reset_day = resetDay;
 
-function queueUpdateGw() {
-  updateGwQueue = true;
-  updateGwWrapper();
+  return out;
 }
 
-async function updateGw() {
-  try {
-    var {addrs, fromCache} = await dnsCacheResolve(CONNECTIVITY_CHECK_DOMAIN);
-  } catch (err) {
-    console.log(`Failed to resolve ${CONNECTIVITY_CHECK_DOMAIN}: ${err}`);
-    return false;
+function dataUsageGetCap(key) {
+  const settings = netIfGetConfig(key);
+  return Object.assign({daily: 0, monthly: 0, warning: DATA_CAP_WARNING_DEFAULT, reset_day: 1}, settings.cap);
+}
+
+function dataUsageGetPeriods(resetDay) {
+  function pad(n) {
+    return String(n).padStart(2, '0');
   }
 
-  for (const addr of addrs) {
-    if (await checkConnectivity(addr)) {
-      if (!fromCache) dnsCacheValidate(CONNECTIVITY_CHECK_DOMAIN);
+  const now = new Date();
+  const day = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const monthStart = new Date(now.getFullYear(), now.getMonth() - (now.getDate() < resetDay ? 1 : 0), 1);
+  const month = `${monthStart.getFullYear()}-${pad(monthStart.getMonth() + 1)}`;
 
-      console.log('Internet reachable via the default route');
-      notificationRemove('no_internet');
+  return {day, month};
+}
 
-      return true;
+// Returns the usage recorded for a key, taking over any usage recorded for its mac: key
+function dataUsageGet(key) {
+  const fallback = netifFallbackKeys[key];
+  if (!Object.prototype.hasOwnProperty.call(dataUsage, key) && fallback &&
+      Object.prototype.hasOwnProperty.call(dataUsage, fallback)) {
+    dataUsage[key] = dataUsage[fallback];
+    delete dataUsage[fallback];
+    dataUsageModified = true;
+  }
+  return dataUsage[key];
+}
+
+// Returns the usage in the current periods, {day: {tx, rx}, month: {tx, rx}}
+function dataUsageGetCurrent(key) {
+  const usage = dataUsageGet(key) || {};
+  const periods = dataUsageGetPeriods(dataUsageGetCap(key).reset_day);
+
+  const current = {};
+  for (const p in periods) {
+    if (usage[p] && usage[p].period == periods[p]) {
+      current[p] = {tx: usage[p].tx, rx: usage[p].rx};
+    } else {
+      current[p] = {tx: 0, rx: 0};
     }
   }
+  return current;
+}
 
-  const m = 'No Internet connectivity via the default connection, re-checking all connections...';
-  notificationBroadcast('no_internet', 'warning', m, 10, true, false);
+/*
+  Changing the reset day can change the name of the current billing month,
+  e.g. from '2024-05' to '2024-06' when moving it from the 20th to the 1st on
+  June 10th, so rename it rather than restarting the month from 0
+*/
+function dataUsageMigrateResetDay(key, oldResetDay, newResetDay) {
+  const usage = dataUsageGet(key);
+  if (!usage || !usage.month || oldResetDay == newResetDay) return;
 
-  let goodIf;
-  for (const addr of addrs) {
-    for (const i in netif) {
-      const error = netIfGetErrorMsg(netif[i]);
-      if (error) {
-        console.log(`Not probing internet connectivity via ${i} (${netif[i].ip}): ${error}`);
-        continue;
-      }
+  const oldPeriod = dataUsageGetPeriods(oldResetDay).month;
+  const newPeriod = dataUsageGetPeriods(newResetDay).month;
+  if (usage.month.period != oldPeriod || oldPeriod == newPeriod) return;
 
-      console.log(`Probing internet connectivity via ${i} (${netif[i].ip})`);
-      if (await checkConnectivity(addr, netif[i].ip)) {
-        console.log(`Internet reachable via ${i} (${netif[i].ip})`);
-        if (!fromCache) dnsCacheValidate(CONNECTIVITY_CHECK_DOMAIN);
+  usage.month.period = newPeriod;
+  dataUsageModified = true;
+}
 
-        goodIf = i;
-        break;
-      }
+function dataUsageAdd(name, tx, rx) {
+  const key = netIfGetKey(name);
+  const periods = dataUsageGetPeriods(dataUsageGetCap(key).reset_day);
+
+  if (!dataUsageGet(key)) dataUsage[key] = {};
+  const usage = dataUsage[key];
+  usage.name = name;
+
+  for (const p in periods) {
+    if (!usage[p] || usage[p].period != periods[p]) {
+      usage[p] = {period: periods[p], tx: 0, rx: 0};
     }
+    usage[p].tx += tx;
+    usage[p].rx += rx;
   }
 
-  if (goodIf) {
-    try {
-      const gw = (await execP(`ip route show table ${goodIf} default`)).stdout;
-      await clear_default_gws();
+  if (tx || rx) dataUsageModified = true;
+}
 
-      const route = `ip route add ${gw}`;
-      await execP(route);
+// Returns {reached: 'daily' | 'monthly', warning: 'daily' | 'monthly'}
+function dataUsageGetCapState(key) {
+  const cap = dataUsageGetCap(key);
+  const current = dataUsageGetCurrent(key);
+  const state = {};
 
-      console.log(`Set default route: ${route}`);
-      notificationRemove('no_internet');
+  for (const [p, c] of [['day', 'daily'], ['month', 'monthly']]) {
+    if (!cap[c]) continue;
 
-      return true;
-    } catch (err) {
-      console.log(`Error updating the default route: ${err}`);
+    const used = current[p].tx + current[p].rx;
+    const limit = cap[c] * DATA_USAGE_MB;
+    if (used >= limit) {
+      state.reached = c;
+    } else if (used >= limit * cap.warning / 100 && !state.warning) {
+      state.warning = c;
     }
   }
 
-  return false;
+  return state;
 }
 
-const UPDATE_GW_INT = 2000;
-async function updateGwWrapper() {
-  // Do nothing if no request is queued
-  if (!updateGwQueue) return;
+function dataUsageCheckCaps() {
+  let changed = false;
 
-  // Rate limit
-  const ts = getms();
-  const to = updateGwLastRun + UPDATE_GW_INT;
-  if (ts < to) return;
+  for (const i in netif) {
+    const int = netif[i];
+    const key = netIfGetKey(i);
+    const state = dataUsageGetCapState(key);
+
+    if (state.reached) {
+      if (!(int.error & NETIF_ERR_DATA_CAP)) {
+        setNetifError(int, NETIF_ERR_DATA_CAP);
+        changed = true;
+      }
+    } else if (int.error & NETIF_ERR_DATA_CAP) {
+      // Re-enable the interfaces that were only disabled because of the cap
+      clearNetifError(int, NETIF_ERR_DATA_CAP);
+      if (int.error == 0 && !netIfIsDisabledByUser(key)) int.enabled = true;
+      changed = true;
+    }
+
+    const notifyState = state.reached ? `reached_${state.reached}` : (state.warning ? `warning_${state.warning}` : undefined);
+    if (notifyState == dataCapNotified[key]) continue;
+    dataCapNotified[key] = notifyState;
+
+    const name = `netif_data_cap_${i}`;
+    if (state.reached) {
+      const msg = `${i} reached its ${state.reached} data cap and won't be used until it resets`;
+      notificationBroadcast(name, 'error', msg, 0, true, true);
+      streamEventsAdd('netif_data_cap', 'error', msg, {netif: i});
+    } else if (state.warning) {
+      const cap = dataUsageGetCap(key);
+      const msg = `${i} has used over ${cap.warning}% of its ${state.warning} data cap`;
+      notificationBroadcast(name, 'warning', msg, 0, true, true);
+    } else {
+      notificationRemove(name);
+    }
+  }
 
-  // Don't allow simultaneous execution
-  if (updateGwLock) return;
+  if (changed && isStreaming) {
+    updateSrtlaIps();
+  }
+}
 
-  // Proceeding, update status
-  updateGwLastRun = ts;
-  updateGwLock = true;
-  updateGwQueue = false;
+function dataUsageBuildMsg() {
+  const msg = {};
+  for (const key in dataUsage) {
+    msg[key] = Object.assign({name: dataUsage[key].name, cap: dataUsageGetCap(key)}, dataUsageGetCurrent(key));
+  }
 
-  const r = await updateGw();
-  if (!r) {
-    updateGwQueue = true;
+  // Also include the current interfaces without any recorded usage yet
+  for (const i in netif) {
+    const key = netIfGetKey(i);
+    if (msg[key]) continue;
+    msg[key] = Object.assign({name: i, cap: dataUsageGetCap(key)}, dataUsageGetCurrent(key));
   }
-  updateGwLock = false;
+
+  return msg;
 }
-updateGwWrapper();
-setInterval(updateGwWrapper, UPDATE_GW_INT);
 
+function dataUsageSave() {
+  if (!dataUsageModified) return;
 
-/*
-  WiFi device list / status maintained by periodic ifconfig updates
+  fs.writeFileSync(DATA_USAGE_FILE, JSON.stringify(dataUsage));
+  dataUsageModified = false;
+}
 
-  It tracks and detects changes by device name, physical (MAC) addresses and
-  IPv4 address. It allows us to only update the WiFi status via nmcli when
-  something has changed, because NM is very CPU / power intensive compared
-  to the periodic ifconfig polling that belaUI is already doing
-*/
-let wifiDeviceHwAddr = {};
-let wiFiDeviceListIsModified = false;
-let wiFiDeviceListIsUpdating = false;
+function handleDataUsage(conn, msg) {
+  if (msg.reset) {
+    if (typeof msg.reset != 'string' || !Object.prototype.hasOwnProperty.call(dataUsage, msg.reset)) return;
 
-function wiFiDeviceListStartUpdate() {
-  if (wiFiDeviceListIsUpdating) {
-    throw "Called while an update was already in progress";
+    delete dataUsage[msg.reset];
+    dataUsageModified = true;
+    dataUsageSave();
+    dataUsageCheckCaps();
+    broadcastMsg('netif', netIfBuildMsg());
   }
 
-  for (const i in wifiDeviceHwAddr) {
-    wifiDeviceHwAddr[i].removed = true;
-  }
-  wiFiDeviceListIsUpdating = true;
-  wiFiDeviceListIsModified = false
+  broadcastMsg('data_usage', dataUsageBuildMsg());
 }
 
-function wiFiDeviceListAdd(ifname, hwAddr, inetAddr) {
-  if (!wiFiDeviceListIsUpdating) {
-    throw "Called without starting an update";
-  }
+setInterval(dataUsageSave, DATA_USAGE_SAVE_INTERVAL);
+// The periodic updates aren't relayed to the remote, which may be on a metered link
+setInterval(function() {
+  broadcastMsgLocal('data_usage', dataUsageBuildMsg(), getms() - ACTIVE_TO);
+}, DATA_USAGE_BROADCAST_INTERVAL);
 
-  if (wifiDeviceHwAddr[ifname]) {
-    if (wifiDeviceHwAddr[ifname].hwAddr != hwAddr) {
-      wifiDeviceHwAddr[ifname].hwAddr = hwAddr;
-      wiFiDeviceListIsModified = true;
-    }
-    if (wifiDeviceHwAddr[ifname].inetAddr != inetAddr) {
-      wifiDeviceHwAddr[ifname].inetAddr = inetAddr;
-      wiFiDeviceListIsModified = true;
+
+/*
+  Per-link latency and packet loss probing
+
+  Every NETIF_PROBE_INTERVAL, NETIF_PROBE_COUNT ICMP echo requests are sent
+  from the IP address of each network interface, which gets them routed via
+  that interface. The target is config.netif_probe.target if set, otherwise
+  the relay in use while streaming, or the configured relay / SRTLA receiver
+  when idle. The probes are only a few small packets, so they don't disturb
+  the stream. Only the interfaces currently used for streaming are probed, so
+  the disabled and idle backup links (often metered) aren't woken up.
+
+  config.netif_probe: {enabled: true/false, target: '' / hostname / IP address}
+*/
+const NETIF_PROBE_INTERVAL = 10000;
+const NETIF_PROBE_COUNT = 5;
+const NETIF_PROBE_TIMEOUT = 5000;
+
+// The latest results by interface name: {ip, target, rtt, loss, replied}
+let netifProbes = {};
+let netifProbing = false;
+
+async function netIfProbeGetTarget() {
+  let host = (config.netif_probe || {}).target;
+  if (!host) {
+    const relay = relayFailover.candidates[relayFailover.current];
+    if (isStreaming && relay && relay.addr) return relay.addr;
+
+    if (config.relay_server && relaysCache && relaysCache.servers[config.relay_server]) {
+      host = relaysCache.servers[config.relay_server].addr;
+    } else {
+      host = config.srtla_addr;
     }
-    wifiDeviceHwAddr[ifname].removed = false;
-  } else {
-    wifiDeviceHwAddr[ifname] = {
-      hwAddr,
-      inetAddr
-    };
-    wiFiDeviceListIsModified = true;
   }
-}
+  if (!host) return;
+  if (net.isIP(host)) return host;
 
-function wiFiDeviceListEndUpdate() {
-  if (!wiFiDeviceListIsUpdating) {
-    throw "Called without starting an update";
+  try {
+    const {addrs} = await dnsCacheResolve(host, 'a');
+    return addrs[0];
+  } catch (err) {
+    console.log(`netif probe: failed to resolve ${host}: ${err}`);
   }
+}
 
-  for (const i in wifiDeviceHwAddr) {
-    if (wifiDeviceHwAddr[i].removed) {
-      delete wifiDeviceHwAddr[i];
-      wiFiDeviceListIsModified = true;
-    }
-  }
+function netIfProbe(ip, target) {
+  return new Promise(function(resolve) {
+    const args = ['-n', '-q', '-c', String(NETIF_PROBE_COUNT), '-i', '0.2', '-W', '1', '-I', ip, '--', target];
+    execFile('ping', args, {timeout: NETIF_PROBE_TIMEOUT}, function(err, stdout) {
+      // ping exits with an error if no replies are received, but still prints the stats
+      const stats = (stdout || '').match(/(\d+) packets transmitted, (\d+) (?:packets )?received/);
+      if (!stats || stats[1] == 0) {
+        resolve();
+        return;
+      }
 
-  wiFiDeviceListIsUpdating = false;
-  return wiFiDeviceListIsModified;
+      const result = {loss: Math.round((1 - stats[2] / stats[1]) * 100)};
+      const rtt = stdout.match(/= [\d.]+\/([\d.]+)\//);
+      if (rtt) result.rtt = Math.round(parseFloat(rtt[1]));
+      resolve(result);
+    });
+  });
 }
 
-function wifiDeviceListGetHwAddr(ifname) {
-  if (wifiDeviceHwAddr[ifname]) {
-    return wifiDeviceHwAddr[ifname].hwAddr;
+async function netIfProbeAll() {
+  if (netifProbing) return;
+
+  if ((config.netif_probe || {}).enabled === false) {
+    netifProbes = {};
+    return;
   }
-}
 
-function wifiDeviceListGetInetAddr(ifname) {
-  if (wifiDeviceHwAddr[ifname]) {
-    return wifiDeviceHwAddr[ifname].inetAddr;
+  netifProbing = true;
+
+  const results = {};
+  const target = await netIfProbeGetTarget();
+  if (target) {
+    const useBackup = netIfUseBackup();
+    await Promise.all(Object.keys(netif).map(async function(i) {
+      if (!netIfIsInUse(i, useBackup)) return;
+
+      const ip = netif[i].ip;
+      const result = await netIfProbe(ip, target);
+      if (!result) return;
+
+      // Whether the target ever replied via this interface, to tell packet loss from filtered ICMP
+      const prev = netifProbes[i];
+      const replied = result.loss < 100 || (prev && prev.ip == ip && prev.target == target && prev.replied);
+      results[i] = Object.assign({ip, target, replied: !!replied}, result);
+    }));
   }
+  netifProbes = results;
+
+  netifProbing = false;
 }
 
+function setNetifProbe(conn, msg) {
+  if (!msg || typeof msg != 'object') return;
 
-/* NetworkManager / nmcli helpers */
-async function nmConnAdd(fields) {
-  try {
-    let args = [
-      "connection",
-      "add"
-    ];
-    for (const field in fields) {
-      args.push(field);
-      args.push(fields[field]);
-    }
-    const result = await execFileP("nmcli", args);
-    const success = result.stdout.match(/Connection '.+' \((.+)\) successfully added./);
+  const target = (typeof msg.target == 'string') ? msg.target.trim() : '';
+  // Hostnames and IP addresses, which never start with a '-'
+  if (target.length > 253 || !target.match(/^([a-zA-Z0-9.:][a-zA-Z0-9.:-]*)?$/)) {
+    notificationSend(conn, "netif_probe_error", "error", "Invalid probe target", 10);
+    return;
+  }
 
-    if (success) return success[1];
+  config.netif_probe = {
+    enabled: !!msg.enabled,
+    target
+  };
+  saveConfig();
 
-  } catch ({message}) {
-    console.log(`nmConnNew err: ${message}`);
-  }
+  netifProbes = {};
+  broadcastMsg('config', config);
 }
 
-async function nmConnsGet(fields) {
-  try {
-    const result = await execFileP("nmcli", [
-      "--terse",
-      "--fields",
-      fields,
-      "connection",
-      "show",
-    ]);
-    return result.stdout.toString("utf-8").split("\n");
+setInterval(netIfProbeAll, NETIF_PROBE_INTERVAL);
 
-  } catch ({message}) {
-    console.log(`nmConnsGet err: ${message}`);
-  }
-}
 
-async function nmConnGetFields(uuid, fields) {
-  try {
-    const result = await execFileP("nmcli", [
-      "--terse",
-      "--escape", "no",
-      "--show-secrets",
-      "--get-values",
-      fields,
-      "connection",
-      "show",
-      uuid,
-    ]);
-    return result.stdout.toString("utf-8").split("\n");
+/*
+  DNS utils w/ a persistent cache
+*/
 
-  } catch ({message}) {
-    console.log(`nmConnGetFields err: ${message}`);
+/*
+  dns.Resolver uses c-ares, with each instance (and the global
+  dns.resolve*() functions) mapped one-to-one to a c-ares channel
+
+  c-ares channels re-use the underlying UDP sockets for multi queries,
+  which is good for performance but the incorrect behaviour for us, as
+  it can end up trying to use stale connections long after we change
+  the default route after a network becomes unavailable
+
+  For simplicity, we create a new instance for each query unless one
+  is provided by the caller. The callers shouldn't reuse Resolver
+  instances for unrelated queries as we call resolver.cancel() on
+  timeout, which will make all pending queries time out.
+*/
+function resolveP(hostname, rrtype = undefined, resolver = undefined) {
+  if (rrtype !== undefined && rrtype !== 'a' && rrtype !== 'aaaa') {
+    throw(`invalid rrtype ${rrtype}`);
   }
-}
 
-async function nmConnSetFields(uuid, fields) {
-  try {
-    let args = [
-      "con",
-      "modify",
-      uuid,
-    ];
-    for (const field in fields) {
-      args.push(field);
-      args.push(fields[field]);
+  if (!resolver) {
+    resolver = new Resolver();
+  }
+
+  return new Promise(function(resolve, reject) {
+    let to;
+
+    if (DNS_TIMEOUT) {
+      to = setTimeout(function() {
+        resolver.cancel();
+        reject(`DNS timeout for ${hostname}`);
+      }, DNS_TIMEOUT);
     }
-    const result = await execFileP("nmcli", args);
-    return (result.stdout == "");
 
-  } catch ({message}) {
-    console.log(`nmConnSetFields err: ${message}`);
-  }
-  return false;
-}
+    let ipv4Res;
+    if (rrtype === undefined || rrtype == 'a') {
+      resolver.resolve4(hostname, {}, function(err, address) {
+        ipv4Res = err ? null : address;
+        returnResults();
+      });
+    }
 
-async function nmConnSetWifiMac(uuid, mac) {
-  return nmConnSetFields(uuid, {'connection.interface-name': '', '802-11-wireless.mac-address': mac});
-}
+    let ipv6Res;
+    if (rrtype === undefined || rrtype == 'aaaa') {
+      resolver.resolve6(hostname, {}, function(err, address) {
+        ipv6Res = err ? null : address;
+        returnResults();
+      });
+    }
 
-async function nmConnDelete(uuid) {
-  try {
-    const result = await execFileP("nmcli", ["conn", "del", uuid]);
-    return result.stdout.match("successfully deleted");
+    const returnResults = function() {
+      // If querying both for A and AAAA records, wait for the IPv4 result
+      if (rrtype === undefined && ipv4Res === undefined) return;
 
-  } catch ({message}) {
-    console.log(`nmConnDelete err: ${message}`);
-  }
-  return false;
+      let res;
+      if (ipv4Res) {
+        res = ipv4Res;
+      } else if (ipv6Res) {
+        res = ipv6Res;
+      }
+
+      if (res) {
+        if (to) {
+          clearTimeout(to);
+        }
+        resolve(res);
+      } else {
+        reject(`DNS record not found for ${hostname}`);
+      }
+    }
+  });
 }
 
-async function nmConnect(uuid, timeout = undefined) {
-  try {
-    const timeoutArgs = timeout ? ["-w", timeout] : [];
-    const result = await execFileP("nmcli", timeoutArgs.concat(["conn", "up", uuid]));
-    return result.stdout.match("^Connection successfully activated")
+let dnsCache = {};
+let dnsResults = {};
+try {
+  dnsCache = JSON.parse(fs.readFileSync(DNS_CACHE_FILE, 'utf8'));
+} catch(err) {
+  console.log("Failed to load the persistent DNS cache, starting with an empty cache");
+}
 
-  } catch ({message}) {
-    console.log(`nmConnect err: ${message}`);
-  }
-  return false;
+function isIpv4Addr(val) {
+  return val.match(/^((25[0-5]|(2[0-4]|1\d|[1-9]|)\d)\.?\b){4}$/) != null;
 }
 
-async function nmDisconnect(uuid) {
-  try {
-     const result = await execFileP("nmcli", ["conn", "down", uuid]);
-     return result.stdout.match("successfully deactivated");
+async function dnsCacheResolve(name, rrtype = undefined) {
+  if (rrtype) {
+    rrtype = rrtype.toLowerCase();
+    if (rrtype !== 'a' && rrtype !== 'aaaa') {
+      throw('Invalid rrtype');
+    }
+  }
 
-  } catch ({message}) {
-    console.log(`nmDisconnect err: ${message}`);
+  if (isIpv4Addr(name) && rrtype != 'aaaa') {
+    return {addrs: [name], fromCache: false};
   }
-  return false;
-}
 
-async function nmDevices(fields) {
-  try {
-    const result = await execFileP("nmcli", [
-      "--terse",
-      "--fields",
-      fields,
-      "device",
-      "status",
-    ]);
-    return result.stdout.toString("utf-8").split("\n");
+  let badDns = true;
 
-  } catch ({message}) {
-    console.log(`nmDevices err: ${message}`);
-  }
-}
+  // Reuse the Resolver instance for the actual query after a succesful validation
+  const resolver = new Resolver();
 
-async function nmDeviceProp(device, fields) {
+  /* Assume that DNS resolving is broken, unless it returns
+     the expected result for a known name */
   try {
-    const result = await execFileP("nmcli", [
-      "--terse",
-      "--escape", "no",
-      "--get-values",
-      fields,
-      "device",
-      "show",
-      device
-    ]);
-    return result.stdout.toString("utf-8").split("\n");
+    const lookup = await resolveP(DNS_WELLKNOWN_NAME, 'a', resolver);
+    if (lookup.length == 1 && lookup[0] == DNS_WELLKNOWN_ADDR) {
+      badDns = false;
+    } else {
+      console.log(`DNS validation failure: got result ${lookup} instead of the expected ${DNS_WELLKNOWN_ADDR}`);
+    }
+  } catch(e) {
+    console.log(`DNS validation failure: ${e}`);
+  }
 
-  } catch ({message}) {
-    console.log(`nmDeviceProp err: ${message}`);
+  if (badDns) {
+    delete dnsResults[name];
+  } else {
+    try {
+      const res = await resolveP(name, rrtype, resolver);
+      dnsResults[name] = res;
+
+      return {addrs: res, fromCache: false};
+    } catch(err) {
+      console.log('dns error ' + err);
+    }
   }
+
+  if (dnsCache[name]) return {addrs: dnsCache[name].result, fromCache: true};
+
+  throw('DNS query failed and no cached value is available');
 }
 
-async function nmRescan(device) {
-  try {
-    const args = ["device", "wifi", "rescan"];
-    if (device) {
-      args.push("ifname");
-      args.push(device);
-    }
-    const result = await execFileP("nmcli", args);
-    return result.stdout == "";
+function compareArrayElements(a1, a2) {
+  if (!Array.isArray(a1) || !Array.isArray(a2)) return false;
 
-  } catch ({message}) {
-    console.log(`nmDevices err: ${message}`);
+  const cmp = {};
+  for (e of a1) {
+    cmp[e] = false;
   }
-  return false;
-}
 
-async function nmScanResults(fields) {
-  try {
-    const result = await execFileP("nmcli", [
-      "--terse",
-      "--fields",
-      fields,
-      "device",
-      "wifi",
-      "list",
-      "--rescan",
-      "no"
-    ]);
-    return result.stdout.toString("utf-8").split("\n");
-
-  } catch ({message}) {
-    console.log(`nmScanResults err: ${message}`);
+  // check that all elements of a2 are in a1
+  for (e of a2) {
+    if (cmp[e] === undefined) {
+      return false;
+    }
+    cmp[e] = true;
   }
-}
-
-async function nmHotspot(device, ssid, password, timeout = undefined) {
-  try {
-    const timeoutArgs = timeout ? ["-w", timeout] : [];
-    const result = await execFileP("nmcli", timeoutArgs.concat([
-      "device", "wifi",
-      "hotspot",
-      "ssid", ssid,
-      "password", password,
-      "ifname", device
-    ]));
 
-    const uuid = result.stdout.match(/successfully activated with '(.+)'/);
-    return uuid[1];
-  } catch ({message}) {
-    console.log(`nmHotspot err: ${message}`);
+  // check that all elements of a1 are in a2
+  for (e in cmp) {
+    if (!cmp[e]) return false;
   }
-}
 
-// parses : separated values, with automatic \ escape detection and stripping
-function nmcliParseSep(value) {
-  return value.split(/(?<!\\):/).map(a => a.replace(/\\:/g, ':'));
+  return true;
 }
 
+async function dnsCacheValidate(name) {
+  if (!dnsResults[name]) {
+    console.log(`DNS: error validating results for ${name}: not found`);
+    return;
+  }
 
-/*
-  NetworkManager / nmcli based Wifi Manager
+  if (!dnsCache[name] || !compareArrayElements(dnsResults[name], dnsCache[name].results)) {
+    let writeFile = true;
 
-  Structs:
+    if (!dnsCache[name]) {
+      dnsCache[name] = {};
+    }
 
-  WiFi list <wifiIfs>:
-  {
-    'mac': <wd>
-  }
+    if (dnsCache[name].ts &&
+        (Date.now() - dnsCache[name].ts) < DNS_MIN_AGE) writeFile = false;
 
-  WiFi id to MAC address mapping <wifiIdToHwAddr>:
-  {
-    id: 'mac'
-  }
+    dnsCache[name].result = dnsResults[name];
 
-  Wifi device <wd>:
-  {
-    'id', // numeric id for the adapter - temporary for each belaUI execution
-    'ifname': 'wlanX',
-    'conn': 'uuid' or undefined; // the active connection
-    'hw': 'hardware name',       // the name of the wifi adapter hardware
-    'available': Map{<an>},
-    'saved': {<sn>},
-    'hotspot': {
-      'conn': 'uuid',
-      'name': 'ssid',
-      'password': 'password',
-      'availableChannels': ['auto', 'auto_24', 'auto_50'],
-      'channel': ^see above,
-      'warnings': {} / {modified: true},
+    if (writeFile) {
+      dnsCache[name].ts = Date.now();
+      await writeTextFile(DNS_CACHE_FILE, JSON.stringify(dnsCache));
     }
   }
+}
 
-  Available network <an>:
-  {
-    active, // is it currently connected?
-    ssid,
-    signal: 0-100,
-    security,
-    freq
-  }
 
-  Saved networks {<sn>}:
-  {
-    ssid: uuid,
-  }
+/*
+  Check Internet connectivity and if needed update the default route
 */
-let wifiIfId = 0;
-let wifiIfs = {};
-let wifiIdToHwAddr = {};
+function httpGet(options) {
+  return new Promise(function(resolve, reject) {
+    let to;
 
-/* Builds the WiFi status structure sent over the network from the <wd> structures */
-function wifiBuildMsg() {
-  const ifs = {};
-  for (const i in wifiIfs) {
-    const id = wifiIfs[i].id;
-    const s = wifiIfs[i];
+    if (options.timeout) {
+      to = setTimeout(function() {
+        req.destroy();
+        reject('timeout');
+      }, options.timeout);
+    }
 
-    ifs[id] = {
-      ifname: s.ifname,
-      conn: s.conn,
-      hw: s.hw
-    };
+    var req = http.get(options, function(res) {
+      let response = '';
+      res.on('data', function(d) {
+        response += d;
+      });
+      res.on('end', function() {
+        if (to) {
+          clearTimeout(to);
+        }
+        resolve( {code: res.statusCode, body: response} );
+      });
+    });
 
-    if (wifiIfIsHotspot(s)) {
-      ifs[id].hotspot = {};
-      ifs[id].hotspot.name = s.hotspot.name;
-      ifs[id].hotspot.password = s.hotspot.password;
-      ifs[id].hotspot.available_channels = getWifiChannelMap(s.hotspot.availableChannels);
-      ifs[id].hotspot.channel = s.hotspot.channel;
-      const warnings = Object.keys(s.hotspot.warnings);
-      if (warnings.length > 0) {
-        ifs[id].hotspot.warnings = warnings;
-      }
-    } else {
-      ifs[id].available = Array.from(s.available.values());
-      ifs[id].saved = s.saved;
-      if (s.hotspot) {
-        ifs[id].supports_hotspot = true;
+    req.on('error', function(e) {
+      if (to) {
+        clearTimeout(to);
       }
-    }
-  }
-
-  return ifs;
+      reject(e);
+    });
+  });
 }
 
-function wifiBroadcastState() {
-  broadcastMsg('status', {wifi: wifiBuildMsg()});
-}
+async function checkConnectivity(remoteAddr, localAddress) {
+  try {
+    let url = {};
+    url.headers = {'Host': CONNECTIVITY_CHECK_DOMAIN};
+    url.path = CONNECTIVITY_CHECK_PATH;
+    url.host = remoteAddr;
+    url.timeout = 4000;
 
-const wifiChannels = {
-  auto:    {name: 'Auto (any band)', nmBand: '',   nmChannel: ''},
-  auto_24: {name: 'Auto (2.4 GHz)',  nmBand: 'bg', nmChannel: ''},
-  auto_50: {name: 'Auto (5.0 GHz)',  nmBand: 'a',  nmChannel: ''}
-};
+    if (localAddress) {
+      url.localAddress = localAddress;
+    }
 
-function getWifiChannelMap(list) {
-  const map = {};
-  for (const e of list) {
-    if (wifiChannels[e]) {
-      map[e] = {name: wifiChannels[e].name};
-    } else {
-      console.log(`Unknown WiFi channel ${e}`);
+    const res = await httpGet(url);
+    if (res.code == CONNECTIVITY_CHECK_CODE && res.body == CONNECTIVITY_CHECK_BODY) {
+      return true;
     }
+  } catch(err) {
+    console.log('Internet connectivity HTTP check error ' + (err.code || err));
   }
 
-  return map;
+  return false;
 }
 
-function channelFromNM(band, channel) {
-  for (const i in wifiChannels) {
-    if (band == wifiChannels[i].nmBand &&
-        (channel == wifiChannels[i].nmChannel || (channel == 0 && wifiChannels[i].nmChannel == ''))) {
-      return i;
+async function clear_default_gws() {
+  try {
+    while(1) {
+      await execP("ip route del default");
     }
+  } catch(err) {
+    return;
   }
-
-  console.log(`channelFromNM(): WARNING unknown NM channel (band: ${band}, channel: ${channel}`);
-  return 'auto';
 }
 
-async function handleHotspotConn(macAddr, uuid) {
-  if (!macAddr) {
-    // Check if the connection is in use for any wifi interface
-    const connIfName = await nmConnGetFields(uuid, 'connection.interface-name');
 
-    for (const m in wifiIfs) {
-      const w = wifiIfs[m];
+let updateGwLock = false;
+let updateGwLastRun = 0;
+let updateGwQueue = true;
 
-      if (w.hotspot && (w.hotspot.conn == uuid || w.ifname == connIfName)) {
-        // If we can match the connection against a certain interface
-        if (!w.hotspot.conn) {
-          // And if this interface doesn't already have a hotspot connection
-          // Try to update the connection to match the MAC address
-          if (await nmConnSetWifiMac(uuid, m)) {
-            w.hotspot.conn = uuid;
-            macAddr = m;
-          }
-        } else {
-          // If the interface already has a hotspot connection, then disable autoconnect
-          await nmConnSetFields(uuid, {'connection.autoconnect': 'no'});
-        }
-        break;
-      } // if (w.hotspot && ...)
-    } // for m in wifiIfs
-  } // !macAddr
+function queueUpdateGw() {
+  updateGwQueue = true;
+  updateGwWrapper();
+}
 
-  if (!macAddr || !wifiIfs[macAddr] || !wifiIfs[macAddr].hotspot || (wifiIfs[macAddr].hotspot.conn && wifiIfs[macAddr].hotspot.conn != uuid)) {
-    return;
+async function updateGw() {
+  try {
+    var {addrs, fromCache} = await dnsCacheResolve(CONNECTIVITY_CHECK_DOMAIN);
+  } catch (err) {
+    console.log(`Failed to resolve ${CONNECTIVITY_CHECK_DOMAIN}: ${err}`);
+    return false;
   }
 
-  /*
-    we expect and will update automatically:
-    connection.autoconnect-priority: 999
+  for (const addr of addrs) {
+    if (await checkConnectivity(addr)) {
+      if (!fromCache) dnsCacheValidate(CONNECTIVITY_CHECK_DOMAIN);
 
-    we expect these settings, otherwise will mark as modified connections:
-    802-11-wireless.hidden=no
-    802-11-wireless-security.key-mgmt=wpa-psk
-    802-11-wireless-security.pairwise=ccmp
-    802-11-wireless-security.group=ccmp
-    802-11-wireless-security.proto=rsn
-    802-11-wireless-security.pmf=1 (disable) - disables requiring WPA3 Protected Management Frames for compatibility
-  */
-  const settingsFields = "connection.autoconnect-priority," +
-                         "802-11-wireless.ssid," +
-                         "802-11-wireless-security.psk," +
-                         "802-11-wireless.band," +
-                         "802-11-wireless.channel";
-  const checkFields = "802-11-wireless.hidden," +
-                      "802-11-wireless-security.key-mgmt," +
-                      "802-11-wireless-security.pairwise," +
-                      "802-11-wireless-security.group," +
-                      "802-11-wireless-security.proto," +
-                      "802-11-wireless-security.pmf";
-
-  const fields = await nmConnGetFields(uuid, `${settingsFields},${checkFields}`);
+      console.log('Internet reachable via the default route');
+      notificationRemove('no_internet');
 
-  /* If the connection doesn't have maximum priority, update it
-     This is required to ensure the hotspot is started even if the Wifi
-     networks for some matching client connections are available
-  */
-  if (fields[0] != '999') {
-    await nmConnSetFields(uuid, {'connection.autoconnect-priority': 999});
+      return true;
+    }
   }
 
-  wifiIfs[macAddr].hotspot.conn = uuid;
-  wifiIfs[macAddr].hotspot.name = fields[1];
-  wifiIfs[macAddr].hotspot.password = fields[2];
-  wifiIfs[macAddr].hotspot.channel = channelFromNM(fields[3], fields[4]);
+  const m = 'No Internet connectivity via the default connection, re-checking all connections...';
+  notificationBroadcast('no_internet', 'warning', m, 10, true, false);
 
-  if (fields[5] != "no" || fields[6] != "wpa-psk" || fields[7] != "ccmp" || fields[8] != "ccmp" || fields[9] != "rsn" || fields[10] != "1") {
-    wifiIfs[macAddr].hotspot.warnings.modified = true;
-  }
-}
+  let goodIf;
+  for (const addr of addrs) {
+    for (const i in netif) {
+      const error = netIfGetErrorMsg(netif[i]);
+      if (error) {
+        console.log(`Not probing internet connectivity via ${i} (${netif[i].ip}): ${error}`);
+        continue;
+      }
 
-async function wifiUpdateSavedConns() {
-  let connections = await nmConnsGet("uuid,type");
-  if (connections === undefined) return;
+      console.log(`Probing internet connectivity via ${i} (${netif[i].ip})`);
+      if (await checkConnectivity(addr, netif[i].ip)) {
+        console.log(`Internet reachable via ${i} (${netif[i].ip})`);
+        if (!fromCache) dnsCacheValidate(CONNECTIVITY_CHECK_DOMAIN);
 
-  for (const i in wifiIfs) {
-    wifiIfs[i].saved = {};
+        goodIf = i;
+        break;
+      }
+    }
   }
 
-  for (const connection of connections) {
+  if (goodIf) {
     try {
-      const [uuid, type] = nmcliParseSep(connection);
-
-      if (type !== "802-11-wireless") continue;
+      const gw = (await execP(`ip route show table ${goodIf} default`)).stdout;
+      await clear_default_gws();
 
-      // Get the device the connection is bound to and the ssid
-      const [mode, ssid, macTmp] = await nmConnGetFields(uuid, "802-11-wireless.mode,802-11-wireless.ssid,802-11-wireless.mac-address");
+      const route = `ip route add ${gw}`;
+      await execP(route);
 
-      if (!ssid) continue;
+      console.log(`Set default route: ${route}`);
+      notificationRemove('no_internet');
 
-      const macAddr = macTmp.toLowerCase();
-      if (mode == 'ap') {
-        handleHotspotConn(macAddr, uuid);
-      } else if (mode == 'infrastructure') {
-        if (macAddr && wifiIfs[macAddr]) {
-          wifiIfs[macAddr].saved[ssid] = uuid;
-        }
-      }
+      return true;
     } catch (err) {
-      console.log(`Error getting the nmcli connection information: ${err.message}`);
+      console.log(`Error updating the default route: ${err}`);
     }
   }
-}
 
-async function wifiUpdateScanResult() {
-  const wifiNetworks = await nmScanResults("active,ssid,signal,security,freq,device");
-  if (!wifiNetworks) return;
+  return false;
+}
 
-  for (const i in wifiIfs) {
-    wifiIfs[i].available = new Map();
-  }
+const UPDATE_GW_INT = 2000;
+async function updateGwWrapper() {
+  // Do nothing if no request is queued
+  if (!updateGwQueue) return;
 
-  for (const wifiNetwork of wifiNetworks) {
-    const [active, ssid, signal, security, freq, device] =
-      nmcliParseSep(wifiNetwork);
+  // Rate limit
+  const ts = getms();
+  const to = updateGwLastRun + UPDATE_GW_INT;
+  if (ts < to) return;
 
-    if (ssid == null || ssid == "") continue;
+  // Don't allow simultaneous execution
+  if (updateGwLock) return;
 
-    const hwAddr = wifiDeviceListGetHwAddr(device);
-    if (!wifiIfs[hwAddr] || (active != 'yes' && wifiIfs[hwAddr].available.has(ssid))) continue;
+  // Proceeding, update status
+  updateGwLastRun = ts;
+  updateGwLock = true;
+  updateGwQueue = false;
 
-    wifiIfs[hwAddr].available.set(ssid, {
-      active: (active == 'yes'),
-      ssid,
-      signal: parseInt(signal),
-      security,
-      freq: parseInt(freq),
-    });
+  const r = await updateGw();
+  if (!r) {
+    updateGwQueue = true;
   }
-
-  wifiBroadcastState();
+  updateGwLock = false;
 }
+updateGwWrapper();
+setInterval(updateGwWrapper, UPDATE_GW_INT);
+
 
 /*
-  The WiFi scan results are updated some time after a rescan command is issued /
-  some time after a new WiFi adapter is plugged in.
-  This function sets up a number of timers to broadcast the updated scan results
-  with the expectation that eventually it will capture any relevant new results
+  WiFi device list / status maintained by the network interface updates
+
+  It tracks and detects changes by device name, physical (MAC) addresses and
+  IPv4 address. It allows us to only update the WiFi status via nmcli when
+  something has changed, because NM is very CPU / power intensive compared
+  to the network interface monitoring that belaUI is already doing
 */
-function wifiScheduleScanUpdates() {
-  setTimeout(wifiUpdateScanResult, 1000);
-  setTimeout(wifiUpdateScanResult, 3000);
-  setTimeout(wifiUpdateScanResult, 5000);
-  setTimeout(wifiUpdateScanResult, 10000);
-  setTimeout(wifiUpdateScanResult, 15000);
-  setTimeout(wifiUpdateScanResult, 20000);
-}
+let wifiDeviceHwAddr = {};
+let wiFiDeviceListIsModified = false;
+let wiFiDeviceListIsUpdating = false;
 
-let unavailableDeviceRetryExpiry = 0;
-async function wifiUpdateDevices() {
-  let newDevices = false;
-  let statusChange = false;
-  let unavailableDevices = false;
+function wiFiDeviceListStartUpdate() {
+  if (wiFiDeviceListIsUpdating) {
+    throw "Called while an update was already in progress";
+  }
 
-  let networkDevices = await nmDevices("device,type,state,con-uuid");
-  if (!networkDevices) return;
+  for (const i in wifiDeviceHwAddr) {
+    wifiDeviceHwAddr[i].removed = true;
+  }
+  wiFiDeviceListIsUpdating = true;
+  wiFiDeviceListIsModified = false
+}
 
-  // sorts the results alphabetically by interface name
-  networkDevices.sort();
+function wiFiDeviceListAdd(ifname, hwAddr, inetAddr) {
+  if (!wiFiDeviceListIsUpdating) {
+    throw "Called without starting an update";
+  }
 
-  // mark all WiFi adapters as removed
-  for (const i in wifiIfs) {
-    wifiIfs[i].removed = true;
+  if (wifiDeviceHwAddr[ifname]) {
+    if (wifiDeviceHwAddr[ifname].hwAddr != hwAddr) {
+      wifiDeviceHwAddr[ifname].hwAddr = hwAddr;
+      wiFiDeviceListIsModified = true;
+    }
+    if (wifiDeviceHwAddr[ifname].inetAddr != inetAddr) {
+      wifiDeviceHwAddr[ifname].inetAddr = inetAddr;
+      wiFiDeviceListIsModified = true;
+    }
+    wifiDeviceHwAddr[ifname].removed = false;
+  } else {
+    wifiDeviceHwAddr[ifname] = {
+      hwAddr,
+      inetAddr
+    };
+    wiFiDeviceListIsModified = true;
   }
+}
 
-  // Rebuild the id-to-hwAddr map
-  wifiIdToHwAddr = {};
+function wiFiDeviceListEndUpdate() {
+  if (!wiFiDeviceListIsUpdating) {
+    throw "Called without starting an update";
+  }
 
-  for (const networkDevice of networkDevices) {
-    try {
-      const [ifname, type, state, connUuid] = nmcliParseSep(networkDevice);
+  for (const i in wifiDeviceHwAddr) {
+    if (wifiDeviceHwAddr[i].removed) {
+      delete wifiDeviceHwAddr[i];
+      wiFiDeviceListIsModified = true;
+    }
+  }
 
-      if (type !== "wifi") continue;
-      if (state == "unavailable") {
-        unavailableDevices = true;
-        continue;
-      }
+  wiFiDeviceListIsUpdating = false;
+  return wiFiDeviceListIsModified;
+}
 
-      const conn = (connUuid != '' && wifiDeviceListGetInetAddr(ifname)) ? connUuid : null;
-      const hwAddr = wifiDeviceListGetHwAddr(ifname);
-      if (!hwAddr) continue;
+function wifiDeviceListGetHwAddr(ifname) {
+  if (wifiDeviceHwAddr[ifname]) {
+    return wifiDeviceHwAddr[ifname].hwAddr;
+  }
+}
 
-      if (wifiIfs[hwAddr]) {
-        // the interface is still available
-        delete wifiIfs[hwAddr].removed;
+function wifiDeviceListGetInetAddr(ifname) {
+  if (wifiDeviceHwAddr[ifname]) {
+    return wifiDeviceHwAddr[ifname].inetAddr;
+  }
+}
 
-        if (ifname != wifiIfs[hwAddr].ifname) {
-          wifiIfs[hwAddr].ifname = ifname;
-          statusChange = true;
-        }
-        if (conn != wifiIfs[hwAddr].conn) {
-          wifiIfs[hwAddr].conn = conn;
-          statusChange = true;
-        }
-      } else {
-        const id = wifiIfId++;
 
-        const prop = await nmDeviceProp(ifname, "GENERAL.VENDOR,GENERAL.PRODUCT,WIFI-PROPERTIES.AP,WIFI-PROPERTIES.5GHZ,WIFI-PROPERTIES.2GHZ");
-        const vendor = prop[0].replace('Corporation', '').trim();
-        const pb = prop[1].match(/[\[\(](.+)[\]\)]/);
-        const product = pb ? pb[1] : prop[1];
+/* NetworkManager / nmcli helpers */
+async function nmConnAdd(fields) {
+  try {
+    let args = [
+      "connection",
+      "add"
+    ];
+    for (const field in fields) {
+      args.push(field);
+      args.push(fields[field]);
+    }
+    const result = await execFileP("nmcli", args);
+    const success = result.stdout.match(/Connection '.+' \((.+)\) successfully added./);
 
-        wifiIfs[hwAddr] = {
+    if (success) return success[1];
+
+  } catch ({message}) {
+    console.log(`nmConnNew err: ${message}`);
+  }
+}
+
+async function nmConnsGet(fields) {
+  try {
+    const result = await execFileP("nmcli", [
+      "--terse",
+      "--fields",
+      fields,
+      "connection",
+      "show",
+    ]);
+    return result.stdout.toString("utf-8").split("\n");
+
+  } catch ({message}) {
+    console.log(`nmConnsGet err: ${message}`);
+  }
+}
+
+async function nmConnGetFields(uuid, fields) {
+  try {
+    const result = await execFileP("nmcli", [
+      "--terse",
+      "--escape", "no",
+      "--show-secrets",
+      "--get-values",
+      fields,
+      "connection",
+      "show",
+      uuid,
+    ]);
+    return result.stdout.toString("utf-8").split("\n");
+
+  } catch ({message}) {
+    console.log(`nmConnGetFields err: ${message}`);
+  }
+}
+
+async function nmConnSetFields(uuid, fields) {
+  try {
+    let args = [
+      "con",
+      "modify",
+      uuid,
+    ];
+    for (const field in fields) {
+      args.push(field);
+      args.push(fields[field]);
+    }
+    const result = await execFileP("nmcli", args);
+    return (result.stdout == "");
+
+  } catch ({message}) {
+    console.log(`nmConnSetFields err: ${message}`);
+  }
+  return false;
+}
+
+async function nmConnSetWifiMac(uuid, mac) {
+  return nmConnSetFields(uuid, {'connection.interface-name': '', '802-11-wireless.mac-address': mac});
+}
+
+async function nmConnDelete(uuid) {
+  try {
+    const result = await execFileP("nmcli", ["conn", "del", uuid]);
+    return result.stdout.match("successfully deleted");
+
+  } catch ({message}) {
+    console.log(`nmConnDelete err: ${message}`);
+  }
+  return false;
+}
+
+async function nmConnect(uuid, timeout = undefined) {
+  try {
+    const timeoutArgs = timeout ? ["-w", timeout] : [];
+    const result = await execFileP("nmcli", timeoutArgs.concat(["conn", "up", uuid]));
+    return result.stdout.match("^Connection successfully activated")
+
+  } catch ({message}) {
+    console.log(`nmConnect err: ${message}`);
+  }
+  return false;
+}
+
+async function nmDisconnect(uuid) {
+  try {
+     const result = await execFileP("nmcli", ["conn", "down", uuid]);
+     return result.stdout.match("successfully deactivated");
+
+  } catch ({message}) {
+    console.log(`nmDisconnect err: ${message}`);
+  }
+  return false;
+}
+
+async function nmDevices(fields) {
+  try {
+    const result = await execFileP("nmcli", [
+      "--terse",
+      "--fields",
+      fields,
+      "device",
+      "status",
+    ]);
+    return result.stdout.toString("utf-8").split("\n");
+
+  } catch ({message}) {
+    console.log(`nmDevices err: ${message}`);
+  }
+}
+
+async function nmDeviceProp(device, fields) {
+  try {
+    const result = await execFileP("nmcli", [
+      "--terse",
+      "--escape", "no",
+      "--get-values",
+      fields,
+      "device",
+      "show",
+      device
+    ]);
+    return result.stdout.toString("utf-8").split("\n");
+
+  } catch ({message}) {
+    console.log(`nmDeviceProp err: ${message}`);
+  }
+}
+
+async function nmRescan(device) {
+  try {
+    const args = ["device", "wifi", "rescan"];
+    if (device) {
+      args.push("ifname");
+      args.push(device);
+    }
+    const result = await execFileP("nmcli", args);
+    return result.stdout == "";
+
+  } catch ({message}) {
+    console.log(`nmDevices err: ${message}`);
+  }
+  return false;
+}
+
+async function nmScanResults(fields) {
+  try {
+    const result = await execFileP("nmcli", [
+      "--terse",
+      "--fields",
+      fields,
+      "device",
+      "wifi",
+      "list",
+      "--rescan",
+      "no"
+    ]);
+    return result.stdout.toString("utf-8").split("\n");
+
+  } catch ({message}) {
+    console.log(`nmScanResults err: ${message}`);
+  }
+}
+
+async function nmHotspot(device, ssid, password, timeout = undefined) {
+  try {
+    const timeoutArgs = timeout ? ["-w", timeout] : [];
+    const result = await execFileP("nmcli", timeoutArgs.concat([
+      "device", "wifi",
+      "hotspot",
+      "ssid", ssid,
+      "password", password,
+      "ifname", device
+    ]));
+
+    const uuid = result.stdout.match(/successfully activated with '(.+)'/);
+    return uuid[1];
+  } catch ({message}) {
+    console.log(`nmHotspot err: ${message}`);
+  }
+}
+
+// parses : separated values, with automatic \ escape detection and stripping
+function nmcliParseSep(value) {
+  return value.split(/(?<!\\):/).map(a => a.replace(/\\:/g, ':'));
+}
+
+
+/*
+  NetworkManager / nmcli based Wifi Manager
+
+  Structs:
+
+  WiFi list <wifiIfs>:
+  {
+    'mac': <wd>
+  }
+
+  WiFi id to MAC address mapping <wifiIdToHwAddr>:
+  {
+    id: 'mac'
+  }
+
+  Wifi device <wd>:
+  {
+    'id', // numeric id for the adapter - temporary for each belaUI execution
+    'ifname': 'wlanX',
+    'conn': 'uuid' or undefined; // the active connection
+    'hw': 'hardware name',       // the name of the wifi adapter hardware
+    'available': Map{<an>},
+    'saved': {<sn>},
+    'hotspot': {
+      'conn': 'uuid',
+      'name': 'ssid',
+      'password': 'password',
+      'availableChannels': ['auto', 'auto_24', 'auto_50'],
+      'channel': ^see above,
+      'warnings': {} / {modified: true},
+    }
+  }
+
+  Available network <an>:
+  {
+    active, // is it currently connected?
+    ssid,
+    signal: 0-100,
+    security,
+    freq
+  }
+
+  Saved networks {<sn>}:
+  {
+    ssid: uuid,
+  }
+*/
+let wifiIfId = 0;
+let wifiIfs = {};
+let wifiIdToHwAddr = {};
+// The SSIDs of the client connections, by NM connection uuid
+const wifiConnSsids = {};
+
+/* Builds the WiFi status structure sent over the network from the <wd> structures */
+function wifiBuildMsg() {
+  const ifs = {};
+  for (const i in wifiIfs) {
+    const id = wifiIfs[i].id;
+    const s = wifiIfs[i];
+
+    ifs[id] = {
+      ifname: s.ifname,
+      conn: s.conn,
+      hw: s.hw
+    };
+
+    if (wifiIfIsHotspot(s)) {
+      ifs[id].hotspot = {};
+      ifs[id].hotspot.name = s.hotspot.name;
+      ifs[id].hotspot.password = s.hotspot.password;
+      ifs[id].hotspot.available_channels = getWifiChannelMap(s.hotspot.availableChannels);
+      ifs[id].hotspot.channel = s.hotspot.channel;
+      const warnings = Object.keys(s.hotspot.warnings);
+      if (warnings.length > 0) {
+        ifs[id].hotspot.warnings = warnings;
+      }
+    } else {
+      ifs[id].available = Array.from(s.available.values());
+      ifs[id].saved = s.saved;
+      if (s.hotspot) {
+        ifs[id].supports_hotspot = true;
+      }
+    }
+  }
+
+  return ifs;
+}
+
+function wifiBroadcastState() {
+  broadcastMsg('status', {wifi: wifiBuildMsg()});
+}
+
+const wifiChannels = {
+  auto:    {name: 'Auto (any band)', nmBand: '',   nmChannel: ''},
+  auto_24: {name: 'Auto (2.4 GHz)',  nmBand: 'bg', nmChannel: ''},
+  auto_50: {name: 'Auto (5.0 GHz)',  nmBand: 'a',  nmChannel: ''}
+};
+
+function getWifiChannelMap(list) {
+  const map = {};
+  for (const e of list) {
+    if (wifiChannels[e]) {
+      map[e] = {name: wifiChannels[e].name};
+    } else {
+      console.log(`Unknown WiFi channel ${e}`);
+    }
+  }
+
+  return map;
+}
+
+function channelFromNM(band, channel) {
+  for (const i in wifiChannels) {
+    if (band == wifiChannels[i].nmBand &&
+        (channel == wifiChannels[i].nmChannel || (channel == 0 && wifiChannels[i].nmChannel == ''))) {
+      return i;
+    }
+  }
+
+  console.log(`channelFromNM(): WARNING unknown NM channel (band: ${band}, channel: ${channel}`);
+  return 'auto';
+}
+
+async function handleHotspotConn(macAddr, uuid) {
+  if (!macAddr) {
+    // Check if the connection is in use for any wifi interface
+    const connIfName = await nmConnGetFields(uuid, 'connection.interface-name');
+
+    for (const m in wifiIfs) {
+      const w = wifiIfs[m];
+
+      if (w.hotspot && (w.hotspot.conn == uuid || w.ifname == connIfName)) {
+        // If we can match the connection against a certain interface
+        if (!w.hotspot.conn) {
+          // And if this interface doesn't already have a hotspot connection
+          // Try to update the connection to match the MAC address
+          if (await nmConnSetWifiMac(uuid, m)) {
+            w.hotspot.conn = uuid;
+            macAddr = m;
+          }
+        } else {
+          // If the interface already has a hotspot connection, then disable autoconnect
+          await nmConnSetFields(uuid, {'connection.autoconnect': 'no'});
+        }
+        break;
+      } // if (w.hotspot && ...)
+    } // for m in wifiIfs
+  } // !macAddr
+
+  if (!macAddr || !wifiIfs[macAddr] || !wifiIfs[macAddr].hotspot || (wifiIfs[macAddr].hotspot.conn && wifiIfs[macAddr].hotspot.conn != uuid)) {
+    return;
+  }
+
+  /*
+    we expect and will update automatically:
+    connection.autoconnect-priority: 999
+
+    we expect these settings, otherwise will mark as modified connections:
+    802-11-wireless.hidden=no
+    802-11-wireless-security.key-mgmt=wpa-psk
+    802-11-wireless-security.pairwise=ccmp
+    802-11-wireless-security.group=ccmp
+    802-11-wireless-security.proto=rsn
+    802-11-wireless-security.pmf=1 (disable) - disables requiring WPA3 Protected Management Frames for compatibility
+  */
+  const settingsFields = "connection.autoconnect-priority," +
+                         "802-11-wireless.ssid," +
+                         "802-11-wireless-security.psk," +
+                         "802-11-wireless.band," +
+                         "802-11-wireless.channel";
+  const checkFields = "802-11-wireless.hidden," +
+                      "802-11-wireless-security.key-mgmt," +
+                      "802-11-wireless-security.pairwise," +
+                      "802-11-wireless-security.group," +
+                      "802-11-wireless-security.proto," +
+                      "802-11-wireless-security.pmf";
+
+  const fields = await nmConnGetFields(uuid, `${settingsFields},${checkFields}`);
+
+  /* If the connection doesn't have maximum priority, update it
+     This is required to ensure the hotspot is started even if the Wifi
+     networks for some matching client connections are available
+  */
+  if (fields[0] != '999') {
+    await nmConnSetFields(uuid, {'connection.autoconnect-priority': 999});
+  }
+
+  wifiIfs[macAddr].hotspot.conn = uuid;
+  wifiIfs[macAddr].hotspot.name = fields[1];
+  wifiIfs[macAddr].hotspot.password = fields[2];
+  wifiIfs[macAddr].hotspot.channel = channelFromNM(fields[3], fields[4]);
+
+  if (fields[5] != "no" || fields[6] != "wpa-psk" || fields[7] != "ccmp" || fields[8] != "ccmp" || fields[9] != "rsn" || fields[10] != "1") {
+    wifiIfs[macAddr].hotspot.warnings.modified = true;
+  }
+}
+
+async function wifiUpdateSavedConns() {
+  let connections = await nmConnsGet("uuid,type");
+  if (connections === undefined) return;
+
+  for (const i in wifiIfs) {
+    wifiIfs[i].saved = {};
+  }
+
+  for (const connection of connections) {
+    try {
+      const [uuid, type] = nmcliParseSep(connection);
+
+      if (type !== "802-11-wireless") continue;
+
+      // Get the device the connection is bound to and the ssid
+      const [mode, ssid, macTmp] = await nmConnGetFields(uuid, "802-11-wireless.mode,802-11-wireless.ssid,802-11-wireless.mac-address");
+
+      if (!ssid) continue;
+
+      const macAddr = macTmp.toLowerCase();
+      if (mode == 'ap') {
+        handleHotspotConn(macAddr, uuid);
+      } else if (mode == 'infrastructure') {
+        wifiConnSsids[uuid] = ssid;
+        if (macAddr && wifiIfs[macAddr]) {
+          wifiIfs[macAddr].saved[ssid] = uuid;
+        }
+      }
+    } catch (err) {
+      console.log(`Error getting the nmcli connection information: ${err.message}`);
+    }
+  }
+}
+
+async function wifiUpdateScanResult() {
+  const wifiNetworks = await nmScanResults("active,ssid,signal,security,freq,device");
+  if (!wifiNetworks) return;
+
+  for (const i in wifiIfs) {
+    wifiIfs[i].available = new Map();
+  }
+
+  for (const wifiNetwork of wifiNetworks) {
+    const [active, ssid, signal, security, freq, device] =
+      nmcliParseSep(wifiNetwork);
+
+    if (ssid == null || ssid == "") continue;
+
+    const hwAddr = wifiDeviceListGetHwAddr(device);
+    if (!wifiIfs[hwAddr] || (active != 'yes' && wifiIfs[hwAddr].available.has(ssid))) continue;
+
+    wifiIfs[hwAddr].available.set(ssid, {
+      active: (active == 'yes'),
+      ssid,
+      signal: parseInt(signal),
+      security,
+      freq: parseInt(freq),
+    });
+  }
+
+  wifiBroadcastState();
+}
+
+/*
+  The WiFi scan results are updated some time after a rescan command is issued /
+  some time after a new WiFi adapter is plugged in.
+  This function sets up a number of timers to broadcast the updated scan results
+  with the expectation that eventually it will capture any relevant new results
+*/
+function wifiScheduleScanUpdates() {
+  setTimeout(wifiUpdateScanResult, 1000);
+  setTimeout(wifiUpdateScanResult, 3000);
+  setTimeout(wifiUpdateScanResult, 5000);
+  setTimeout(wifiUpdateScanResult, 10000);
+  setTimeout(wifiUpdateScanResult, 15000);
+  setTimeout(wifiUpdateScanResult, 20000);
+}
+
+let unavailableDeviceRetryExpiry = 0;
+async function wifiUpdateDevices() {
+  let newDevices = false;
+  let statusChange = false;
+  let unavailableDevices = false;
+
+  let networkDevices = await nmDevices("device,type,state,con-uuid");
+  if (!networkDevices) return;
+
+  // sorts the results alphabetically by interface name
+  networkDevices.sort();
+
+  // mark all WiFi adapters as removed
+  for (const i in wifiIfs) {
+    wifiIfs[i].removed = true;
+  }
+
+  // Rebuild the id-to-hwAddr map
+  wifiIdToHwAddr = {};
+
+  for (const networkDevice of networkDevices) {
+    try {
+      const [ifname, type, state, connUuid] = nmcliParseSep(networkDevice);
+
+      if (type !== "wifi") continue;
+      if (state == "unavailable") {
+        unavailableDevices = true;
+        continue;
+      }
+
+      const conn = (connUuid != '' && wifiDeviceListGetInetAddr(ifname)) ? connUuid : null;
+      const hwAddr = wifiDeviceListGetHwAddr(ifname);
+      if (!hwAddr) continue;
+
+      // Look up the SSID of the active connection, used to identify the network interface
+      if (conn && !wifiConnSsids[conn]) {
+        const fields = await nmConnGetFields(conn, '802-11-wireless.ssid');
+        if (fields && fields[0]) wifiConnSsids[conn] = fields[0];
+      }
+
+      if (wifiIfs[hwAddr]) {
+        // the interface is still available
+        delete wifiIfs[hwAddr].removed;
+
+        if (ifname != wifiIfs[hwAddr].ifname) {
+          wifiIfs[hwAddr].ifname = ifname;
+          statusChange = true;
+        }
+        if (conn != wifiIfs[hwAddr].conn) {
+          wifiIfs[hwAddr].conn = conn;
+          statusChange = true;
+        }
+      } else {
+        const id = wifiIfId++;
+
+        const prop = await nmDeviceProp(ifname, "GENERAL.VENDOR,GENERAL.PRODUCT,WIFI-PROPERTIES.AP,WIFI-PROPERTIES.5GHZ,WIFI-PROPERTIES.2GHZ");
+        const vendor = prop[0].replace('Corporation', '').trim();
+        const pb = prop[1].match(/[\[\(](.+)[\]\)]/);
+        const product = pb ? pb[1] : prop[1];
+
+        wifiIfs[hwAddr] = {
           id,
           ifname,
           hw: vendor + ' ' + product,
@@ -1451,1755 +2319,4031 @@ async function wifiUpdateDevices() {
           wifiIfs[hwAddr].hotspot.forceHotspotStatus = 0;
           wifiIfs[hwAddr].hotspot.warnings = {};
 
-          wifiIfs[hwAddr].hotspot.availableChannels = ['auto'];
-          if (prop[3] === 'yes') {
-            wifiIfs[hwAddr].hotspot.availableChannels.push('auto_50');
-          }
-          if (prop[4] === 'yes') {
-            wifiIfs[hwAddr].hotspot.availableChannels.push('auto_24');
-          }
-        }
-        newDevices = true;
-        statusChange = true;
+          wifiIfs[hwAddr].hotspot.availableChannels = ['auto'];
+          if (prop[3] === 'yes') {
+            wifiIfs[hwAddr].hotspot.availableChannels.push('auto_50');
+          }
+          if (prop[4] === 'yes') {
+            wifiIfs[hwAddr].hotspot.availableChannels.push('auto_24');
+          }
+        }
+        newDevices = true;
+        statusChange = true;
+      }
+      wifiIdToHwAddr[wifiIfs[hwAddr].id] = hwAddr;
+    } catch (err) {
+      console.log(`Error getting the nmcli WiFi device information: ${err.message}`);
+    }
+  }
+
+  // delete removed adapters
+  for (const i in wifiIfs) {
+    if (wifiIfs[i].removed) {
+      delete wifiIfs[i];
+      statusChange = true;
+    }
+  }
+
+  if (newDevices) {
+    await wifiUpdateSavedConns();
+    wifiScheduleScanUpdates();
+  }
+
+  if (statusChange) {
+    await wifiUpdateScanResult();
+    wifiScheduleScanUpdates();
+  }
+  if (newDevices || statusChange) {
+    wifiBroadcastState();
+
+    // Mark any WiFi hotspot interfaces as unavailable for bonding
+    let hotspotCount = 0;
+    for (const i in wifiIfs) {
+      if (wifiIfIsHotspot(wifiIfs[i])) {
+        const n = netif[wifiIfs[i].ifname];
+        if (!n) continue;
+        if (n.error & NETIF_ERR_HOTSPOT) continue;
+
+        setNetifHotspot(n);
+        hotspotCount++;
+      }
+    }
+    if (hotspotCount && isStreaming) {
+      updateSrtlaIps();
+    }
+  }
+  console.log(wifiIfs);
+
+  /* If some wifi adapters were marked unavailable, recheck periodically
+     This might happen when the system has just booted up and the adapter
+     typically becomes available within 30 seconds.
+     Uses a 5 minute timeout to avoid polling nmcli forever */
+  if (unavailableDevices) {
+    if (unavailableDeviceRetryExpiry == 0) {
+      unavailableDeviceRetryExpiry = getms() + 5 * 60 * 1000; // 5 minute timeout
+      setTimeout(wifiUpdateDevices, 3000);
+      console.log("One or more Wifi interfaces are unavailable. Will retry periodically for the next 5 minutes");
+    } else if (getms() < unavailableDeviceRetryExpiry) {
+      setTimeout(wifiUpdateDevices, 3000);
+      console.log("One or more Wifi interfaces are still unavailable. Retrying in 3 seconds...");
+    }
+  } else {
+    unavailableDeviceRetryExpiry = 0;
+  }
+
+  return statusChange;
+}
+
+async function wifiRescan() {
+  await nmRescan();
+
+  /* A rescan request will fail if a previous one is in progress,
+     but we still attempt to update the results */
+  await wifiUpdateScanResult();
+  wifiScheduleScanUpdates();
+}
+
+/* Searches saved connections in wifiIfs by UUID */
+function wifiSearchConnection(uuid) {
+  let connFound;
+  for (const i in wifiIdToHwAddr) {
+    const macAddr = wifiIdToHwAddr[i];
+    for (const s in wifiIfs[macAddr].saved) {
+      if (wifiIfs[macAddr].saved[s] == uuid) {
+        connFound = i;
+        break;
+      }
+    }
+  }
+
+  return connFound;
+}
+
+async function wifiDisconnect(uuid) {
+  if (wifiSearchConnection(uuid) === undefined) return;
+
+  if (await nmDisconnect(uuid)) {
+    await wifiUpdateScanResult();
+    wifiScheduleScanUpdates();
+  }
+}
+
+async function wifiForget(uuid) {
+  if (wifiSearchConnection(uuid) === undefined) return;
+
+  if (await nmConnDelete(uuid)) {
+    await wifiUpdateSavedConns();
+    await wifiUpdateScanResult();
+    wifiScheduleScanUpdates();
+  }
+}
+
+async function wifiDeleteFailedConns() {
+  const connections = await nmConnsGet("uuid,type,timestamp");
+  for (const c in connections) {
+    const [uuid, type, ts] = nmcliParseSep(connections[c]);
+    if (type !== "802-11-wireless") continue;
+    if (ts == 0) {
+      await nmConnDelete(uuid);
+    }
+  }
+}
+
+function wifiNew(conn, msg) {
+  if (!msg.device || !msg.ssid) return;
+
+  const mac = wifiIdToHwAddr[msg.device];
+  if (!mac) return;
+
+  const device = wifiIfs[mac].ifname;
+
+  const args = [
+    "-w",
+    "15",
+    "device",
+    "wifi",
+    "connect",
+    msg.ssid,
+    "ifname",
+    device
+  ];
+
+  if (msg.password) {
+    args.push('password');
+    args.push(msg.password);
+  }
+
+  const senderId = conn.senderId;
+  execFile("nmcli", args, async function(error, stdout, stderr) {
+    if (error || stdout.match('^Error:')) {
+      await wifiDeleteFailedConns();
+
+      if (stdout.match('Secrets were required, but not provided')) {
+        conn.send(buildMsg('wifi', {new: {error: "auth", device: msg.device}}, senderId));
+      } else {
+        conn.send(buildMsg('wifi', {new: {error: "generic", device: msg.device}}, senderId));
+      }
+    } else {
+      const success = stdout.match(/successfully activated with '(.+)'/);
+      if (success) {
+        const uuid = success[1];
+        if (!(await nmConnSetWifiMac(uuid, mac))) {
+          console.log("Failed to set the MAC address for the newly created connection");
+        }
+
+        await wifiUpdateSavedConns();
+        await wifiUpdateScanResult();
+
+        conn.send(buildMsg('wifi', {new: {success: true, device: msg.device}}, senderId));
+      } else {
+        console.log(`wifiNew: no error but not matching a successful connection msg in:\n${stdout}\n${stderr}`);
+      }
+    }
+  });
+}
+
+async function wifiConnect(conn, uuid) {
+  const deviceId = wifiSearchConnection(uuid);
+  if (deviceId === undefined) return;
+
+  const senderId = conn.senderId;
+  const success = await nmConnect(uuid);
+  await wifiUpdateScanResult();
+  conn.send(buildMsg('wifi', {connect: success, device: deviceId}, senderId));
+}
+
+function wifiForceHotspot(wifi, ms) {
+  if (!wifi.hotspot) return;
+
+  if (ms <= 0) {
+    wifi.hotspot.forceHotspotStatus = 0;
+    return;
+  }
+
+  const until = getms() + ms;
+  if (until > wifi.hotspot.forceHotspotStatus) {
+    wifi.hotspot.forceHotspotStatus = until;
+  }
+}
+
+const HOTSPOT_UP_TO = 10;
+const HOTSPOT_UP_FORCE_TO = (HOTSPOT_UP_TO + 2) * 1000;
+
+async function wifiHotspotStart(msg) {
+  if (!msg.device) return;
+
+  const mac = wifiIdToHwAddr[msg.device];
+  if (!mac) return;
+
+  const i = wifiIfs[mac];
+  if (!i) return;
+  if (!i.hotspot) return; // hotspot not supported, nothing to do
+
+  if (i.hotspot.conn) {
+    if (i.hotspot.conn != i.conn) {
+      /* We assume that the operation will succeed, to be able to show an immediate response in the UI
+         But especially if we're already connected to a network in client mode, it can take a few
+         seconds before NM will show us as 'connected' to our hotspot connection.
+         We use wifiForceHotspot() to ensure the device is reported in hotspot mode for this duration
+      */
+      wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
+      wifiBroadcastState();
+
+      if (await nmConnect(i.hotspot.conn, HOTSPOT_UP_TO)) {
+        await nmConnSetFields(i.hotspot.conn, {'connection.autoconnect': 'yes',
+                                               'connection.autoconnect-priority': 999});
+      } else {
+        // Remove the wifiForceHotspot() timer to immediately show the failure by resetting the UI to client mode
+        wifiForceHotspot(i, -1);
+        wifiUpdateDevices();
+      }
+    }
+  } else {
+    const ms = mac.split(':');
+    const name = 'BELABOX_' + ms[4] + ms[5];
+    const password = crypto.randomBytes(9).toString('base64');
+
+    // Temporary hotspot config to send to the client
+    i.hotspot.name = name;
+    i.hotspot.password = password;
+    i.hotspot.channel = 'auto';
+    wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
+    wifiBroadcastState();
+
+    // Create the NM connection for the hotspot
+    const uuid = await nmHotspot(i.ifname, name, password, HOTSPOT_UP_TO);
+    if (uuid) {
+      // Update any settings that we need different from the default
+      await nmConnSetFields(uuid, {'connection.interface-name': '',
+                                   'connection.autoconnect': 'yes',
+                                   'connection.autoconnect-priority': 999,
+                                   '802-11-wireless.mac-address': mac,
+                                   '802-11-wireless-security.pmf': 'disable'});
+      // The updated settings will allow the connection to be recognised as our Hotspot connection
+      await wifiUpdateSavedConns();
+      // Restart the connection with the updated settings (needed to disable pmf)
+      wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
+      await nmConnect(uuid, HOTSPOT_UP_TO);
+    } else {
+      // Remove the wifiForceHotspot() timer to immediately show the failure by resetting the UI to client mode
+      wifiForceHotspot(i, -1);
+      wifiUpdateDevices();
+    }
+  }
+}
+
+async function wifiHotspotStop(msg) {
+  if (!msg.device) return;
+
+  const mac = wifiIdToHwAddr[msg.device];
+  if (!mac) return;
+
+  const i = wifiIfs[mac];
+  if (!i) return;
+  if (!wifiIfIsHotspot(i)) return; // not in hotspot mode, nothing to do
+
+  await nmConnSetFields(i.hotspot.conn, {'connection.autoconnect': 'no'});
+
+  wifiForceHotspot(i, -1);
+  if (await nmDisconnect(i.hotspot.conn)) {
+    i.conn = null;
+    i.available.clear();
+    wifiBroadcastState();
+    wifiRescan();
+  }
+}
+
+function wifiIfIsHotspot(wifi) {
+  if (!wifi || !wifi.hotspot) return false;
+  return ((wifi.hotspot.conn && wifi.conn == wifi.hotspot.conn) ||
+          (wifi.hotspot.forceHotspotStatus > getms()));
+}
+
+// Returns the SSID of the network a WiFi interface is connected to as a client
+function wifiIfGetSsid(ifname) {
+  for (const i in wifiIfs) {
+    const wifi = wifiIfs[i];
+    if (wifi.ifname != ifname || !wifi.conn || wifiIfIsHotspot(wifi)) continue;
+
+    return wifiConnSsids[wifi.conn];
+  }
+}
+
+function nmConnSetHotspotFields(uuid, name, password, channel) {
+  // Validate the requested channel
+  const newChannel = wifiChannels[channel];
+  if (!newChannel) return;
+
+  const settingsToChange = {
+    '802-11-wireless.ssid': name,
+    '802-11-wireless-security.psk': password,
+    '802-11-wireless.band': newChannel.nmBand,
+    '802-11-wireless.channel': newChannel.nmChannel
+  };
+
+  return nmConnSetFields(uuid, settingsToChange);
+}
+
+/*
+  Expects:
+  {
+    device: device id,
+    name,
+    password,
+    channel  // from wifiChannels
+  }
+*/
+async function wifiHotspotConfig(conn, msg) {
+  // Find the Wifi interface
+  if (!msg.device) return;
+
+  const mac = wifiIdToHwAddr[msg.device];
+  if (!mac) return;
+
+  const i = wifiIfs[mac];
+  if (!i) return;
+  if (!wifiIfIsHotspot(i)) return; // Make sure the interface is already in hotspot mode
+
+  const senderId = conn.senderId;
+
+  // Make sure all required fields are present and valid
+  if (msg.name === undefined || typeof msg.name != 'string' ||
+      msg.name.length < 1 || msg.name.length > 32) {
+    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'name'}}}, senderId));
+    return;
+  }
+
+  if (msg.password === undefined || typeof msg.password != 'string' ||
+      msg.password.length < 8 || msg.password.length > 64) {
+    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'password'}}}, senderId));
+    return;
+  }
+
+  if (msg.channel === undefined || typeof msg.channel != 'string' || !wifiChannels[msg.channel]) {
+    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'channel'}}}, senderId));
+    return;
+  }
+
+  // Update the NM connection
+  if (!(await nmConnSetHotspotFields(i.hotspot.conn, msg.name, msg.password, msg.channel))) {
+    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'saving'}}}, senderId));
+    return;
+  }
+
+  // Restart the connection with the updated config
+  wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
+  if (!(await nmConnect(i.hotspot.conn, HOTSPOT_UP_TO))) {
+    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'activating'}}}, senderId));
+    // Failed to bring up the hotspot with the new settings; restore it
+    wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
+    await nmConnSetHotspotFields(i.hotspot.conn, i.hotspot.name, i.hotspot.password, i.hotspot.channel);
+    await nmConnect(i.hotspot.conn, HOTSPOT_UP_TO);
+    return;
+  }
+
+  // Succesfully brought up the hotspot with the new settings, reload the NM connection
+  await wifiUpdateSavedConns();
+
+  conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, success: true}}}, senderId));
+}
+
+function handleWifi(conn, msg) {
+  for (const type in msg) {
+    switch(type) {
+      case 'connect':
+        wifiConnect(conn, msg[type]);
+        break;
+      case 'disconnect':
+        wifiDisconnect(msg[type]);
+        break;
+      case 'scan':
+        wifiRescan();
+        break;
+      case 'new':
+        wifiNew(conn, msg[type]);
+        break;
+      case 'forget':
+        wifiForget(msg[type]);
+        break;
+      case 'hotspot':
+        if (msg[type].start) {
+          wifiHotspotStart(msg[type].start);
+        } else if (msg[type].stop) {
+          wifiHotspotStop(msg[type].stop);
+        } else if (msg[type].config) {
+          wifiHotspotConfig(conn, msg[type].config);
+        }
+        break;
+    }
+  }
+}
+
+
+/*
+  mmcli helpers
+*/
+function mmcliParseSep(input) {
+  let output = {};
+  for (let line of input.split('\n')) {
+    line = line.replace(/\\\d+/g, ''); // strips special escaped characters
+    if (!line) continue;
+
+    const kv = line.split(/:(.*)/); // splits on the first ':' only
+    if (kv.length != 3) {
+      console.log(`mmcliParseSep: error parsing line ${line}`);
+      continue;
+    }
+    let key = kv[0].trim();
+    let value = kv[1].trim();
+
+    // Parse mmcli arrays
+    let pattern = /\.length$/;
+    if (key.match(pattern)) {
+      key = key.replace(pattern, '');
+      value = [];
+    }
+    pattern = /\.value\[\d+\]$/;
+    if (key.match(pattern)) {
+      key = key.replace(pattern, '');
+      output[key].push(value);
+      continue;
+    }
+
+    // skip empty values
+    if (value == '--') continue;
+
+    output[key] = value;
+  }
+
+  return output;
+}
+
+function mmConvertNetworkType(mmType) {
+  const typeMatch = mmType.match(/^allowed: (.+); preferred: (.+)$/);
+  const label = typeMatch[1].split(/,? /).sort().reverse().join('');
+  const allowed = typeMatch[1].replace(/,? /g, '|');
+  const preferred = typeMatch[2];
+  return {label, allowed, preferred};
+}
+
+function mmConvertNetworkTypes(mmTypes) {
+  const types = {};
+  for (const mmType of mmTypes) {
+    const type = mmConvertNetworkType(mmType);
+    if (!types[type.label] || types[type.label].preferred == 'none' || types[type.label].preferred < type.preferred) {
+      types[type.label] = {allowed: type.allowed, preferred: type.preferred};
+    }
+  }
+  return types;
+}
+
+function mmConvertAccessTech(accessTechs) {
+  if (!accessTechs || accessTechs.length == 0) {
+    return;
+  }
+
+  const accessTechToGen = {
+    'gsm': '2G',
+    'umts': '3G',
+    'hsdpa': '3G+',
+    'hsupa': '3G+',
+    'lte': '4G',
+    '5gnr': '5G'
+  };
+  // Return the highest gen for situations such as 5G NSA, which will report "lte, 5gnr"
+  let gen = '';
+  for (const t of accessTechs) {
+    if (accessTechToGen[t] > gen) {
+      gen = accessTechToGen[t];
+    }
+  }
+
+  // If we only encountered unknown access techs, simply return the first one
+  if (!gen) return accessTechs[0];
+  return gen;
+}
+
+async function mmList() {
+  try {
+    const result = await execFileP("mmcli", ["-K", "-L"]);
+    const modems = mmcliParseSep(result.stdout.toString("utf-8"))['modem-list'];
+    let list = [];
+    for (const m of modems) {
+      const id = m.match(/\/org\/freedesktop\/ModemManager1\/Modem\/(\d+)/);
+      if (id) {
+        list.push(parseInt(id[1]));
+      }
+    }
+    return list;
+  } catch ({message}) {
+    console.log(`mmList err: ${message}`);
+  }
+}
+
+async function mmGetModem(id) {
+  try {
+    const result = await execFileP("mmcli", ["-K", "-m", id]);
+    return mmcliParseSep(result.stdout.toString("utf-8"));
+  } catch ({message}) {
+    console.log(`mmGetModem err: ${message}`);
+  }
+}
+
+async function mmGetSim(id) {
+  try {
+    const result = await execFileP("mmcli", ["-K", "-i", id]);
+    return mmcliParseSep(result.stdout.toString("utf-8"));
+  } catch ({message}) {
+    console.log(`mmGetSim err: ${message}`);
+  }
+}
+
+async function mmSetNetworkTypes(id, allowed, preferred) {
+  try {
+    let args = [
+      "-m", id,
+      `--set-allowed-modes=${allowed}`
+    ];
+    if (preferred != 'none') {
+      args.push(`--set-preferred-mode=${preferred}`);
+    }
+    const result = await execFileP("mmcli", args);
+    return result.stdout.match(/successfully set current modes in the modem/);
+  } catch ({message}) {
+    console.log(`mmSetNetworkTypes err: ${message}`);
+  }
+}
+
+async function mmNetworkScan(id, timeout=240) {
+  try {
+    const result = await execFileP("mmcli", [`--timeout=${timeout}`, "-K", "-m", id, "--3gpp-scan"]);
+    const networks = mmcliParseSep(result.stdout.toString("utf-8"))['modem.3gpp.scan-networks'];
+    const parsed = networks.map(function(n) {
+      const info = n.split(/, */);
+      const output = {};
+      for (const entry of info) {
+        const kv = entry.split(/: */);
+        output[kv[0]] = kv[1];
+      }
+      return output;
+    });
+    return parsed;
+  } catch ({message}) {
+    console.log(`mmNetworkScan err: ${message}`);
+  }
+}
+
+
+/*
+  ModemManager / NetworkManager based modem management
+
+  Structs:
+
+  Modem list <modems>:
+  {
+    MMid: <modem>
+  }
+
+  Individual modem struct <modem>:
+  {
+    ifname: wwan0,
+    name: "QUECTEL Broadband Module - 00000 | VINAPHONE", <Model - partial IMEI | SIM provider>
+    network_type: {
+      supported: ['2g', 3g', '3g4g', '4g'],
+      config: '3g4g',
+    },
+    is_scanning: true/undefined,
+    inhibit: true/undefined, // don't bring up automatically
+    config: {
+      conn: 'nmUuid',
+      autoconfig: true/false, // only if(setup.has_gsm_autoconfig)
+      apn: '',
+      username: '',
+      password: '',
+      roaming: true/false,
+      network: ''
+    },
+    status: {
+      state: 'connecting', 'connected', 'disconnected', etc
+      network: '<GSM NETWORK NAME>',
+      network_type: 3g/4g,
+      signal: 0-100,
+      roaming: true/false,
+    }
+    available_networks: undefined or {
+      'id': {
+        name: '',
+        availability: 'available', 'forbidden', etc
+      }
+    }
+  }
+*/
+let modems = {};
+
+let gsmOperatorsCache = {};
+try {
+  gsmOperatorsCache = JSON.parse(fs.readFileSync(GSM_OPERATORS_CACHE_FILE, 'utf8'));
+} catch(err) {
+  console.log("Failed to load the persistent GSM operators cache, starting with an empty cache");
+}
+async function gsmOperatorsAdd(id, name) {
+  if (!gsmOperatorsCache[id] || gsmOperatorsCache[id] != name) {
+    gsmOperatorsCache[id] = name;
+    await writeTextFile(GSM_OPERATORS_CACHE_FILE, JSON.stringify(gsmOperatorsCache));
+  }
+}
+
+async function getGsmConns() {
+  let byDevice = {};
+  let byOperator = {};
+  let byUuid = {};
+
+  const conns = await nmConnsGet("uuid,type,state");
+  for (const c of conns) {
+    const [uuid, type, state] = nmcliParseSep(c);
+
+    if (type != 'gsm') continue;
+
+    let fields = "gsm.device-id,gsm.sim-id,gsm.sim-operator-id,gsm.apn,gsm.username,gsm.password,gsm.home-only,gsm.network-id"
+    if (setup.has_gsm_autoconfig) {
+      fields += ",gsm.auto-config";
+    }
+    const connInfo = await nmConnGetFields(uuid, fields);
+
+    const deviceId = connInfo[0];
+    const simId = connInfo[1];
+    const operatorId = connInfo[2];
+    const apn = connInfo[3];
+    const username = connInfo[4];
+    const password = connInfo[5];
+    const roaming = (connInfo[6] == 'no');
+    const network = connInfo[7];
+
+    const conn = {state, uuid, deviceId, simId, operatorId, apn, username, password, roaming, network};
+    if (setup.has_gsm_autoconfig) {
+      conn.autoconfig = (connInfo[8] == 'yes');
+    }
+
+    byUuid[uuid] = conn;
+
+    if (deviceId && simId) {
+      if (!byDevice[deviceId]) {
+        byDevice[deviceId] = {};
+      }
+      byDevice[deviceId][simId] = conn;
+    }
+
+    if (operatorId) {
+      byOperator[operatorId] = conn;
+    }
+  }
+
+  return {byDevice, byOperator, byUuid};
+}
+
+function modemConfigSantizeToNM(config) {
+  fields = {};
+  if (setup.has_gsm_autoconfig) {
+    fields['gsm.auto-config'] = (config.autoconfig ? 'yes' : 'no');
+    if (config.autoconfig) {
+      config.apn = '';
+      config.username = '';
+      config.password = '';
+    }
+  } else {
+    delete config.autoconfig;
+  }
+  fields['gsm.apn'] = config.apn;
+  fields['gsm.username'] = config.username;
+  fields['gsm.password'] = config.password;
+  fields['gsm.password-flags'] = (!config.password ? 4 : 0);
+  fields['gsm.home-only'] = (config.roaming ? 'no': 'yes');
+  fields['gsm.network-id'] = (config.roaming ? config.network : '');
+
+  return fields;
+}
+
+async function modemGetConfig(modemInfo, simInfo, gsmConns) {
+  if (!modemInfo || !simInfo || !gsmConns) return;
+
+  const modemId = modemInfo['modem.generic.device-identifier'];
+  const simId = simInfo['sim.properties.iccid'];
+  const operatorId = simInfo['sim.properties.operator-code'];
+  let config;
+
+  if (gsmConns.byDevice[modemId] && gsmConns.byDevice[modemId][simId]) {
+    const ci = gsmConns.byDevice[modemId][simId];
+    config = {conn: ci.uuid, autoconfig: ci.autoconfig, apn: ci.apn, username: ci.username,
+              password: ci.password, roaming: ci.roaming, network: ci.network};
+    console.log(`Found NM connection ${config.conn} for modem ${modemId}`);
+    return config;
+  }
+
+  if (gsmConns && gsmConns.byOperator[operatorId]) {
+    // Copy the settings from an existing config for the same operator
+    const ci = gsmConns.byOperator[operatorId];
+    config = {autoconfig: ci.autoconfig, apn: ci.apn, username: ci.username, password: ci.password,
+              roaming: ci.roaming, network: ci.network};
+  } else {
+    // New connection profile
+    config = {autoconfig: true, apn: 'internet', username: '', password: '', roaming: true, network: ''};
+  }
+
+  // The NM connection doesn't exist yet, create it
+  //const autoconnect = (modemInfo['modem.3gpp.registration-state'] != 'idle') ? 'yes' : 'no';
+  const nmConfig = {
+    'type': 'gsm',
+    'ifname': '', // can be empty for gsm connections, matching by device-id and sim-id
+    'autoconnect': 'yes',
+    'connection.autoconnect-retries': 10,
+    'ipv6.method': 'ignore',
+    'gsm.device-id': modemId,
+    'gsm.sim-operator-id': operatorId,
+    'gsm.sim-id': simId
+  };
+  Object.assign(nmConfig, modemConfigSantizeToNM(config))
+  const uuid = await nmConnAdd(nmConfig);
+  if (uuid) {
+    config.conn = uuid;
+    console.log(`Created NM connection ${uuid} for ${modemId}`);
+    console.log(config);
+  }
+
+  return config;
+}
+
+function modemUpdateStatus(modemInfo, modem) {
+  // Some modems don't seem to always report the operator's name
+  let network = modemInfo['modem.3gpp.operator-name'];
+  if (!network && modemInfo['modem.3gpp.registration-state'] == 'home') {
+    network = modem.sim_network;
+  }
+  const network_type = mmConvertAccessTech(modemInfo['modem.generic.access-technologies']);
+  const signal = modemInfo['modem.generic.signal-quality.value'];
+  const roaming = modemInfo['modem.3gpp.registration-state'] == 'roaming';
+  let connection = modem.is_scanning ? 'scanning' : modemInfo['modem.generic.state'];
+
+  modem.status = {connection, network, network_type, signal, roaming};
+}
+
+async function modemNetworkScan(id) {
+  const modem = modems[id];
+
+  if (!modem || !modem.config || !modem.status || modem.is_scanning) return;
+
+  modem.is_scanning = true;
+
+  if (modem.config && modem.config.conn) {
+    await nmDisconnect(modem.config.conn);
+  }
+  const results = await mmNetworkScan(id);
+
+  delete modem.is_scanning;
+
+  /* Even if no new results are returned, resend the old ones
+     to inform the clients that the scan was completed */
+  if (!results) {
+    broadcastModemAvailableNetworks(id);
+    return;
+  }
+
+  /* Some (but not all) modems return separate results for each network type (3G, 4G, etc),
+     but we merge them as we have a separate network type setting */
+  const availableNetworks = {};
+  for (const r of results) {
+    const code = r['operator-code'];
+    /* We rewrite 'current' to 'available' as these results are cached
+       and could be shown even after switching to a different network.
+       We remove the availability info if 'unknown' */
+    switch (r.availability) {
+      case 'current':
+        r.availability = 'available';
+        break;
+      case 'unknown':
+        delete r.availability;
+        break;
+    }
+    if (availableNetworks[code]) {
+      if (r.availability == 'available' && availableNetworks[code].availability != 'available') {
+        availableNetworks[code].availability = 'available';
+      }
+    } else {
+      availableNetworks[code] = {
+        name: r['operator-name'],
+        availability: r['availability']
+      };
+    }
+  }
+
+  modem.available_networks = availableNetworks;
+  broadcastModemAvailableNetworks(id);
+}
+
+async function registerModem(id) {
+  if (modems[id]) {
+    console.log(`Trying to register existing modem id ${id}`);
+    return;
+  }
+
+  // Get all the required info for the modem
+  const modemInfo = await mmGetModem(id);
+  if (!modemInfo) return false;
+
+  let simInfo, config;
+  if (modemInfo['modem.generic.sim']) {
+    const simId = modemInfo['modem.generic.sim'].match(/\/org\/freedesktop\/ModemManager1\/SIM\/(\d+)/);
+    if (simId) {
+      simInfo = await mmGetSim(simId[1]);
+      // If a SIM is present, try to find a matching NM connection or create one
+      if (simInfo) {
+        if (!gsmConns) {
+          gsmConns = await getGsmConns();
+        }
+        config = await modemGetConfig(modemInfo, simInfo, gsmConns);
+      }
+    }
+  }
+
+  // Find the network interface name
+  let ifname;
+  for (const port of modemInfo['modem.generic.ports']) {
+    const pattern = / \(net\)$/;
+    if (port.match(pattern)) {
+      ifname = port.replace(pattern, '');
+      break;
+    }
+  }
+
+  // Find the current network type
+  let networkType = mmConvertNetworkType(modemInfo['modem.generic.current-modes']);
+
+  // Find the supported network types
+  const networkTypes = mmConvertNetworkTypes(modemInfo['modem.generic.supported-modes']);
+
+  // Make sure the current mode is on the list
+  if (networkType && !networkTypes[networkType.label]) {
+    networkTypes[networkType.label] = {allowed: networkType.allowed, preferred: networkType.preferred};
+  }
+  networkType = networkType.label;
+
+  let partialImei = modemInfo['modem.generic.equipment-identifier'];
+  partialImei = partialImei.substr(partialImei.length - 5, 5);
+  const hwName = `${modemInfo['modem.generic.model']} - ${partialImei}`
+
+  let simNetwork = '<NO SIM>';
+  if (simInfo) {
+    simNetwork = simInfo['sim.properties.operator-name'] || 'Unknown';
+  }
+
+  const modem = {};
+  modem.ifname = ifname;
+  modem.imei = modemInfo['modem.generic.equipment-identifier'];
+  modem.name = `${hwName} | ${simNetwork}`;
+  modem.sim_network = simNetwork;
+  modem.network_type = {};
+  modem.network_type.supported = networkTypes;
+  modem.network_type.active = networkType;
+  modem.config = config;
+  modemUpdateStatus(modemInfo, modem);
+
+  modems[id] = modem;
+
+  return true;
+}
+
+function modemGetAvailableNetworks(modem) {
+  if (!modem.config || modem.config.network == '') return modem.available_networks || {};
+
+  let networks = Object.assign({}, modem.available_networks);
+  if (!modem.available_networks) {
+    const name = gsmOperatorsCache[modem.config.network] || `Operator ID ${modem.config.network}`;
+    networks[modem.config.network] = {name};
+  } else if (!modem.available_networks[modem.config.network]) {
+    networks[modem.config.network] = {name: 'Test', availability: 'unavailable'};
+  }
+
+  return networks;
+}
+
+function modemsBuildMsg(modemsFullState = undefined) {
+  let msg = {};
+  for (const i in modems) {
+    const full = (modemsFullState == undefined || modemsFullState[i]);
+
+    msg[i] = {};
+
+    if (full) {
+      msg[i].ifname = modems[i].ifname;
+      msg[i].name = modems[i].name;
+      msg[i].network_type = {};
+      msg[i].network_type.supported = Object.keys(modems[i].network_type.supported);
+      msg[i].network_type.active = modems[i].network_type.active;
+
+      if (modems[i].config) {
+        msg[i].config = {};
+        if (setup.has_gsm_autoconfig) {
+          msg[i].config.autoconfig = modems[i].config.autoconfig;
+        }
+        msg[i].config.apn = modems[i].config.apn;
+        msg[i].config.username = modems[i].config.username;
+        msg[i].config.password = modems[i].config.password;
+        msg[i].config.roaming = modems[i].config.roaming;
+        msg[i].config.network = modems[i].config.network;
+      } else {
+        msg[i].no_sim = true;
+      }
+
+      msg[i].available_networks = modemGetAvailableNetworks(modems[i]);
+    }
+
+    if (!modems[i].status) continue;
+
+    msg[i].status = {};
+    msg[i].status.connection = modems[i].status.connection;
+    msg[i].status.network = modems[i].status.network;
+    msg[i].status.network_type = modems[i].status.network_type;
+    msg[i].status.signal = modems[i].status.signal;
+    msg[i].status.roaming = modems[i].status.roaming;
+  }
+
+  return msg;
+}
+
+function broadcastModems(modemsFullState = undefined) {
+  broadcastMsg('status', {modems: modemsBuildMsg(modemsFullState)});
+}
+
+function modemBuildAvailableNetworksMessage(id) {
+  const msg = {};
+
+  for (const i in modems) {
+    msg[i] = {};
+    if (id == i) {
+      msg[i].available_networks = modemGetAvailableNetworks(modems[i]);
+    }
+  }
+
+  return msg;
+}
+
+function broadcastModemAvailableNetworks(id) {
+  broadcastMsg('status', {modems: modemBuildAvailableNetworksMessage(id)});
+}
+
+// Global variable, to allow fetching once in updateModems() and reuse in registerModem()
+let gsmConns;
+
+async function updateModems() {
+  for (const m in modems) {
+    modems[m].removed = true;
+  }
+  const modemList = await mmList() || {};
+
+  // NM gsm connections to match with new modems - filled on demand if any new modems have been found
+  gsmConns = undefined;
+  let newModems = {};
+
+  for (const m of modemList) {
+    if (modems[m]) {
+      // The modem is already registered, unmark it for deletion
+      delete modems[m].removed;
+
+      const modemInfo = await mmGetModem(m);
+      if (!modemInfo) continue;
+
+      const modem = modems[m];
+      modemUpdateStatus(modemInfo, modem);
+
+      // If the modem has an inactive NM connection and isn't otherwise busy, then try to bring it up
+      if (!modem.inhibit && !modem.is_scanning &&
+          modem.status && (modem.status.connection == 'registered' || modem.status.connection == 'enabled') &&
+          modem.config && modem.config.conn) {
+        // Don't try to activate NM connections that are already active
+        const nmConnection = (await nmConnGetFields(modem.config.conn, 'GENERAL.STATE'));
+        if (nmConnection.length == 1) {
+          console.log(`Trying to bring up connection ${modem.config.conn} for modem ${m}...`);
+          nmConnect(modem.config.conn);
+        }
+      }
+    } else {
+      if (await registerModem(m)) {
+        newModems[m] = true;
+        console.log(JSON.stringify(modems[m], undefined, 2));
+      }
+    }
+  } // for (const m of modemList)
+
+  // If any modems were removed, delete them
+  for (const m in modems) {
+    if (modems[m].removed) {
+      console.log(`Modem ${m} removed`);
+      delete modems[m];
+    }
+  }
+
+  broadcastModems(newModems);
+
+  setTimeout(updateModems, 1000);
+}
+updateModems();
+
+async function handleModemConfig(conn, msg) {
+  if (!msg.device || !modems[msg.device]) {
+    console.log(`Ignoring modem config for unknown modem ${msg.device}`);
+    return;
+  }
+
+  const modem = modems[msg.device];
+  if (!modem.config || !modem.config.conn) {
+    console.log(`Ignoring modem config for unconfigured modem ${msg.device}`);
+    console.log(modem.config);
+    return;
+  }
+  const connUuid = modem.config.conn;
+  if (!connUuid) {
+    console.log(`Ignoring modem config for modem ${msg.device} with no connection UUID`);
+    return;
+  }
+
+  // Ensure the configuration message has all the required fields
+  if ((msg.roaming !== true && msg.roaming !== false) ||
+      (msg.autoconfig !== true && msg.autoconfig !== false) ||
+      (typeof msg.apn != 'string') ||
+      (typeof msg.username != 'string') ||
+      (typeof msg.password != 'string') ||
+      (typeof msg.network != 'string') ||
+      (typeof msg.network_type != 'string')) {
+    console.log(`Received invalid configuration for modem ${msg.device}`);
+    console.log(msg);
+    return;
+  }
+
+  // Ensure the selected network type is supported
+  const networkType = modem.network_type.supported[msg.network_type];
+  if (!networkType) {
+    console.log(`Received invalid network type ${msg.network_type} for modem ${msg.device}`);
+    return;
+  }
+
+  // Only allow automatic network selection, the network previously saved, or a network included in the scan results
+  if (msg.network != '' && msg.network != modem.config.network &&
+      (!modem.available_networks || !modem.available_networks[msg.network])) {
+    console.log(`Received unavailable network ${msg.network} for modem ${msg.device}`);
+    return;
+  }
+
+  // If a new network is selected, write it to the GSM operators cache
+  if (msg.network != '' && modem.available_networks && modem.available_networks[msg.network]) {
+    gsmOperatorsAdd(msg.network, modem.available_networks[msg.network].name);
+  }
+
+  // Temporary config that we'll attempt to write
+  let updatedConfig = {
+    autoconfig: msg.autoconfig,
+    apn: msg.apn,
+    username: msg.username,
+    password: msg.password,
+    roaming: msg.roaming,
+    network: msg.network
+  }
+  // This also modifies config in place to clear apn/username/password if autoconfig is set
+  const result = await nmConnSetFields(connUuid, modemConfigSantizeToNM(updatedConfig));
+  if (result) {
+    // This preserves the 'conn' UUID value
+    Object.assign(modem.config, updatedConfig);
+  } else {
+    console.log(`Failed to update NM connection ${modem.config.conn} for modem ${msg.device} to:`);
+    console.log(updatedConfig);
+  }
+
+  // Bring the connection down to reload the settings, and set the network types, if needed
+  modem.inhibit = true;
+  await nmDisconnect(connUuid);
+  if (msg.network_type != modem.network_type.active) {
+    const result = await mmSetNetworkTypes(msg.device, networkType.allowed, networkType.preferred);
+    if (result) {
+      modem.network_type.active = msg.network_type;
+    }
+  }
+  delete modem.inhibit;
+
+  // Send the updated settings to the clients
+  const updatedModem = {};
+  updatedModem[msg.device] = true;
+  broadcastModems(updatedModem);
+}
+
+async function handleModemScan(conn, msg) {
+  if (!msg || !modems[msg.device]) return;
+
+  await modemNetworkScan(msg.device);
+}
+
+function handleModems(conn, msg) {
+  for (const type in msg) {
+    switch (type) {
+      case 'config':
+        handleModemConfig(conn, msg[type]);
+        break;
+      case 'scan':
+        handleModemScan(conn, msg[type]);
+        break;
+    }
+  }
+}
+
+
+/* Remote */
+/*
+  A brief remote protocol version history:
+  1 - initial remote release
+  2 - belaUI password setting feature
+  3 - apt update feature
+  4 - ssh manager
+  5 - wifi manager
+  6 - notification sytem
+  7 - support for config.bitrate_overlay
+  8 - support for netif error
+  9 - support for the get_log command
+  10 - support for the get_syslog command
+  11 - support for the asrc and acodec settings
+  12 - support for receiving relay accounts and relay servers
+  13 - wifi hotspot mode
+  14 - support for the modem manager
+
+  Not announced yet: the messages and settings added since 14 (profiles,
+  recordings, stats, stream_events, schedules, custom_pipelines, data_usage,
+  config.autostart, destinations, relay failover, preview, audio levels and
+  mixing, vsrc, netif priorities and probes). remote.belabox.net negotiates
+  the features with this version and isn't part of this repo, so the next
+  version must be agreed with the remote side before it's bumped. Until then
+  the remote keeps treating this as a version 14 device and doesn't use them.
+*/
+const remoteProtocolVersion = 14;
+const remoteEndpointHost = 'remote.belabox.net';
+const remoteEndpointPath = '/ws/remote';
+const remoteTimeout = 5000;
+const remoteConnectTimeout = 10000;
+
+let remoteWs = undefined;
+let remoteStatusHandled = false;
+function handleRemote(conn, msg) {
+  for (const type in msg) {
+    switch (type) {
+      case 'auth/encoder':
+        if (msg[type] === true) {
+          conn.isAuthed = true;
+          sendInitialStatus(conn)
+          broadcastMsgLocal('status', {remote: true}, getms() - ACTIVE_TO);
+          console.log('remote: authenticated');
+        } else {
+          broadcastMsgLocal('status', {remote: {error: 'key'}}, getms() - ACTIVE_TO);
+          remoteStatusHandled = true;
+          conn.terminate();
+          console.log('remote: invalid key');
+        }
+        break;
+      case 'relays':
+        handleRemoteRelays(msg[type]);
+        break;
+    }
+  }
+}
+
+let relaysCache;
+try {
+  relaysCache = JSON.parse(fs.readFileSync(RELAYS_CACHE_FILE, 'utf8'));
+} catch(err) {
+  console.log("Failed to load the relays cache, starting with an empty cache");
+}
+
+function buildRelaysMsg() {
+  const msg = {};
+  msg.servers = {};
+  msg.accounts = {};
+
+  if (relaysCache) {
+    for (const s in relaysCache.servers) {
+      msg.servers[s] = {name: relaysCache.servers[s].name};
+      if (relaysCache.servers[s].default) msg.servers[s].default = true;
+    }
+    for (const a in relaysCache.accounts) {
+      msg.accounts[a] = {name: relaysCache.accounts[a].name};
+      if (relaysCache.accounts[a].disabled) {
+        msg.accounts[a].name += ' [disabled]';
+        msg.accounts[a].disabled = true;
+      }
+    }
+  }
+
+  return msg;
+}
+
+async function updateCachedRelays(relays) {
+  try {
+    assert.deepStrictEqual(relays, relaysCache);
+  } catch (err) {
+    console.log('updated the relays cache:');
+    console.log(relays);
+    relaysCache = relays;
+    await writeTextFile(RELAYS_CACHE_FILE, JSON.stringify(relays));
+    return true;
+  }
+}
+
+function validateRemoteRelays(msg) {
+  try {
+    const out = {servers: {}, accounts: {}};
+    for (const r_id in msg.servers) {
+      const r = msg.servers[r_id];
+      if (r.type !== "srtla" || typeof r.name != 'string' || typeof r.addr != 'string') continue;
+      if (r.default && r.default !== true) continue;
+      if (!validatePortNo(r.port)) continue;
+
+      out.servers[r_id] = {type: r.type, name: r.name, addr: r.addr, port: r.port};
+      if (r.default) out.servers[r_id].default = true;
+    }
+
+    for (const a_id in msg.accounts) {
+      const a = msg.accounts[a_id];
+      if (typeof a.name != 'string' || typeof a.ingest_key != 'string') continue;
+
+      out.accounts[a_id] = {name: a.name, ingest_key: a.ingest_key};
+      if (a.disabled) out.accounts[a_id].disabled = true;
+    }
+
+    if (Object.keys(out.servers).length < 1) return;
+
+    return out;
+  } catch(err) {
+    return undefined;
+  }
+}
+
+function convertManualToRemoteRelay() {
+  if (!relaysCache) return false;
+
+  let modified = false;
+
+  if (!config.relay_server && config.srtla_addr && config.srtla_port) {
+    for (const s in relaysCache.servers) {
+      if (relaysCache.servers[s].addr.toLowerCase() === config.srtla_addr.toLowerCase()
+          && relaysCache.servers[s].port == config.srtla_port) {
+        config.relay_server = s;
+        modified = true;
+        break;
+      }
+    }
+  }
+
+  // If not using a relay server, don't try to convert the streamid to a relay account
+  if (!config.relay_server) {
+    return false;
+  }
+
+  if (config.srtla_addr || config.srtla_port) {
+    delete config.srtla_addr;
+    delete config.srtla_port;
+    modified = true;
+  }
+
+  if (!config.relay_account && config.srt_streamid) {
+    for (const a in relaysCache.accounts) {
+      if (relaysCache.accounts[a].ingest_key === config.srt_streamid) {
+        config.relay_account = a;
+        modified = true;
+        break;
+      }
+    }
+  }
+
+  if (config.relay_account && config.srt_streamid) {
+    delete config.srt_streamid;
+    modified = true;
+  }
+
+  return modified;
+}
+
+function handleRemoteRelays(msg) {
+  msg = validateRemoteRelays(msg);
+  if (!msg) return;
+
+  if (updateCachedRelays(msg)) {
+    broadcastMsg('relays', buildRelaysMsg());
+    if (convertManualToRemoteRelay()) {
+      saveConfig();
+      broadcastMsg('config', config);
+    }
+  }
+}
+
+function remoteHandleMsg(msg) {
+  try {
+    msg = JSON.parse(msg);
+    if (msg.remote) {
+      handleRemote(this, msg.remote);
+    }
+    delete msg.remote;
+
+    if (Object.keys(msg).length >= 1) {
+      this.senderId = msg.id;
+      handleMessage(this, msg, true);
+      delete this.senderId;
+    }
+
+    this.lastActive = getms();
+  } catch(err) {
+    console.log(`Error handling remote message: ${err.message}`);
+  }
+}
+
+let remoteConnectTimer;
+function remoteRetry() {
+  queueUpdateGw();
+  remoteConnectTimer = setTimeout(remoteConnect, 1000);
+}
+
+function remoteClose() {
+  remoteRetry();
+
+  this.removeListener('close', remoteClose);
+  this.removeListener('message', remoteHandleMsg);
+  remoteWs = undefined;
+
+  if (!remoteStatusHandled) {
+    broadcastMsgLocal('status', {remote: {error: 'network'}}, getms() - ACTIVE_TO);
+  }
+}
+
+async function remoteConnect() {
+  if (remoteConnectTimer !== undefined) {
+    clearTimeout(remoteConnectTimer);
+    remoteConnectTimer = undefined;
+  }
+
+  if (config.remote_key) {
+    let host = remoteEndpointHost;
+    try {
+      var {addrs, fromCache} = await dnsCacheResolve(remoteEndpointHost);
+
+      if (fromCache) {
+        host = addrs[Math.floor(Math.random()*addrs.length)];
+        queueUpdateGw();
+        console.log(`remote: DNS lookup failed, using cached address ${host}`);
+      }
+    } catch(err) {
+      return remoteRetry();
+    }
+    console.log(`remote: trying to connect`);
+
+    remoteStatusHandled = false;
+    remoteWs = new ws(`wss://${host}${remoteEndpointPath}`,
+                      {servername: remoteEndpointHost,
+                       headers: {Host: remoteEndpointHost}});
+    remoteWs.isAuthed = false;
+    // Set a longer initial connection timeout - mostly to deal with slow DNS
+    remoteWs.lastActive = getms() + remoteConnectTimeout - remoteTimeout;
+    remoteWs.on('error', function(err) {
+      console.log('remote error: ' + err.message);
+    });
+    remoteWs.on('open', function() {
+      if (!fromCache) {
+        dnsCacheValidate(remoteEndpointHost);
+      }
+
+      const auth_msg = {remote: {'auth/encoder':
+                        {key: config.remote_key, version: remoteProtocolVersion}
+                       }};
+      this.send(JSON.stringify(auth_msg));
+    });
+    remoteWs.on('close', remoteClose);
+    remoteWs.on('message', remoteHandleMsg);
+  }
+}
+
+function remoteKeepalive() {
+  if (remoteWs) {
+    if ((remoteWs.lastActive + remoteTimeout) < getms()) {
+      remoteWs.terminate();
+    }
+  }
+}
+remoteConnect();
+setInterval(remoteKeepalive, 1000);
+
+function setRemoteKey(key) {
+  config.remote_key = key;
+  delete config.relay_server;
+  delete config.relay_account;
+  saveConfig();
+
+  if (remoteWs) {
+    remoteStatusHandled = true;
+    remoteWs.terminate();
+  }
+  remoteConnect();
+
+  // Clear the remote relays when switching to a different remote key
+  if (updateCachedRelays(undefined)) {
+    broadcastMsg('relays', buildRelaysMsg());
+  }
+
+  broadcastMsg('config', config);
+}
+
+
+/* Notification system */
+/*
+  conn - send it to a specific client, or undefined to broadcast
+  name - identifier for the notification, e.g. 'belacoder'
+  type - 'success', 'warning', 'error'
+  msg - the human readable notification message
+  duration - 0-never expires
+             or number of seconds until the notification expires
+             * an expired notification is hidden by the UI and removed from persistent notifications
+  isPersistent - show it to every new client, conn must be undefined for broadcast
+  isDismissable - is the user allowed to hide it?
+*/
+let persistentNotifications = new Map();
+
+function buildNotificationMsg(n, duration) {
+  return {
+    name: n.name,
+    type: n.type,
+    msg: n.msg,
+    is_dismissable: n.isDismissable,
+    is_persistent: n.isPersistent,
+    duration
+  }
+}
+
+function notificationSend(conn, name, type, msg, duration = 0, isPersistent = false, isDismissable = true, authedOnly = true) {
+  if (isPersistent && conn != undefined) {
+    console.log("error: attempted to send persistent unicast notification");
+    return false;
+  }
+
+  const notification = {
+                         name,
+                         type,
+                         msg,
+                         isDismissable,
+                         isPersistent,
+                         duration,
+                         authedOnly
+                       };
+  let doSend = true;
+  if (isPersistent) {
+    let pn = persistentNotifications.get(name);
+    if (pn) {
+      // Rate limiting to once every second
+      if (pn.last_sent && ((pn.last_sent + 1000) > getms())) {
+        doSend = false;
       }
-      wifiIdToHwAddr[wifiIfs[hwAddr].id] = hwAddr;
-    } catch (err) {
-      console.log(`Error getting the nmcli WiFi device information: ${err.message}`);
+    } else {
+      pn = {};
+      persistentNotifications.set(name, pn)
+    }
+
+    Object.assign(pn, notification);
+    pn.updated = getms();
+
+    if (doSend) {
+      pn.last_sent = getms();
     }
   }
 
-  // delete removed adapters
-  for (const i in wifiIfs) {
-    if (wifiIfs[i].removed) {
-      delete wifiIfs[i];
-      statusChange = true;
+  if (!doSend) return;
+
+  const notificationMsg = {
+                            show: [buildNotificationMsg(notification, duration)]
+                          };
+  if (conn) {
+    conn.send(buildMsg('notification', notificationMsg, conn.senderId));
+  } else {
+    broadcastMsg('notification', notificationMsg, 0, authedOnly);
+  }
+
+  return true;
+}
+
+function notificationBroadcast(name, type, msg, duration = 0, isPersistent = false, isDismissable = true, authedOnly = true) {
+  sessionAddNotification(name, type, msg);
+  notificationSend(undefined, name, type, msg, duration, isPersistent, isDismissable, authedOnly);
+}
+
+function notificationRemove(name) {
+  const n = persistentNotifications.get(name);
+  persistentNotifications.delete(name);
+
+  const msg = { remove: [name] };
+  broadcastMsg('notification', msg, 0, (!n || n.authedOnly));
+}
+
+function _notificationIsLive(n) {
+  if (n.duration === 0) return 0;
+
+  const remainingDuration = Math.ceil(n.duration - (getms() - n.updated) / 1000);
+  if (remainingDuration <= 0) {
+    persistentNotifications.delete(n.name);
+    return false;
+  }
+  return remainingDuration;
+}
+
+function notificationExists(name) {
+  let pn = persistentNotifications.get(name);
+  if (!pn) return;
+
+  if (_notificationIsLive(pn) !== false) return pn;
+}
+
+function notificationSendPersistent(conn, isAuthed = false) {
+  const notifications = [];
+  for (const n of persistentNotifications) {
+    if (!isAuthed && n[1].authedOnly !== false) continue;
+
+    const remainingDuration = _notificationIsLive(n[1]);
+    if (remainingDuration !== false) {
+      notifications.push(buildNotificationMsg(n[1], remainingDuration));
+    }
+  }
+
+  const msg = { show: notifications };
+  conn.send(buildMsg('notification', msg));
+}
+
+
+/* Hardware monitoring */
+let sensors = {};
+
+function updateSensorThermal(id, name) {
+  try {
+    let socTemp = fs.readFileSync(`/sys/class/thermal/thermal_zone${id}/temp`, 'utf8');
+    socTemp = parseInt(socTemp) / 1000.0;
+    socTemp = `${socTemp.toFixed(1)} °C`;
+    sensors[name] = socTemp;
+  } catch (err) {};
+}
+
+function updateSensorsJetson() {
+  try {
+    let socVoltage = fs.readFileSync('/sys/bus/i2c/drivers/ina3221x/6-0040/iio:device0/in_voltage0_input', 'utf8');
+    socVoltage = parseInt(socVoltage) / 1000.0;
+    socVoltage = `${socVoltage.toFixed(3)} V`;
+    sensors['SoC voltage'] = socVoltage;
+  } catch(err) {};
+
+  try {
+    let socCurrent = fs.readFileSync('/sys/bus/i2c/drivers/ina3221x/6-0040/iio:device0/in_current0_input', 'utf8');
+    socCurrent = parseInt(socCurrent) / 1000.0;
+    socCurrent = `${socCurrent.toFixed(3)} A`;
+    sensors['SoC current'] = socCurrent;
+  } catch(err) {};
+
+  updateSensorThermal(0, 'SoC temperature');
+}
+
+function updateSensorsRk3588() {
+  updateSensorThermal(0, 'SoC temperature');
+}
+
+function updateSensors() {
+  sensorsFunc();
+  broadcastMsg('sensors', sensors, getms() - ACTIVE_TO);
+}
+
+let sensorsFunc;
+switch (setup.hw) {
+  case 'jetson':
+    sensorsFunc = updateSensorsJetson;
+    break;
+  case 'rk3588':
+    sensorsFunc = updateSensorsRk3588;
+    break;
+  default:
+    console.log(`Unknown sensors for ${setup.hw}`);
+}
+
+if (sensorsFunc) {
+  updateSensors();
+  setInterval(updateSensors, 1000);
+}
+
+async function isServiceEnabled(service) {
+  const isEnabled = await execPNR(`systemctl is-enabled ${service}`);
+  return (isEnabled.code === 0);
+}
+
+async function isServiceFailed(service) {
+  const isFailed = await execPNR(`systemctl is-failed ${service}`)
+  return (isFailed.code === 0);
+}
+
+const bootconfigService = 'belabox-firstboot-bootconfig';
+async function monitorBootconfig() {
+  if (await isServiceEnabled(bootconfigService)) {
+    if (await isServiceFailed(bootconfigService)) {
+      const msg = "Updating the bootloader failed. Please download the system log from the Advanced / developer menu";
+      notificationBroadcast('bootconfig', 'error', msg, 0, true, false);
+    } else {
+      if (!notificationExists('bootconfig')) {
+        const msg = "Don't reset or unplug the system. The bootloader is being updated in the background and doing so may brick your board..."
+        notificationBroadcast('bootconfig', 'warning', msg, 0, true, false, false);
+      }
+
+      setTimeout(monitorBootconfig, 2000);
     }
+  } else {
+    notificationRemove('bootconfig');
+  }
+}
+
+/* Hardware-specific monitoring */
+let hdmiLastInvalidTiming = 0;
+
+switch (setup.hw) {
+  case 'jetson': {
+    /* Monitor the kernel log for undervoltage events */
+    const dmesg = spawn("dmesg", ["-w"]);
+    dmesg.stdout.on('data', function(data) {
+      if (data.toString('utf8').match('soctherm: OC ALARM 0x00000001')) {
+        const msg = 'System undervoltage detected. ' +
+                    'You may experience system instability, ' +
+                    'including glitching, freezes and the modems disconnecting';
+        notificationBroadcast('jetson_undervoltage', 'error', msg, 10*60, true, false);
+      }
+    }); // dmesg
+
+    /* Show an alert while belabox-firstboot-bootconfig is active */
+    monitorBootconfig();
+    break;
+  }
+
+  case 'rk3588': {
+    const dmesg = spawn("dmesg", ["-w"]);
+    dmesg.stdout.on('data', function(data) {
+      data = data.toString('utf8');
+      if (data.match('hdmirx_wait_lock_and_get_timing signal not lock') ||
+          data.match('hdmirx_delayed_work_audio: audio underflow')) {
+        const msg = 'HDMI signal issues detected. This is usually caused either by EMI or a by a faulty cable. ' +
+                    'Try to move any modems away from the HDMI cable and the encoder. ' +
+                    'If that fails, try out a different HDMI cable or to manually set a lower HDMI resolution/framerate on your camera';
+        notificationBroadcast('hdmi_error', 'error', msg, 8, true, false);
+      }
+      if (data.match('hdmirx-controller: Err, timing is invalid')) {
+        hdmiLastInvalidTiming = getms();
+        const hdmiNotif = notificationExists('hdmi_error');
+        const msg = 'No HDMI signal detected';
+
+        if (!hdmiNotif || hdmiNotif.msg == msg) {
+          notificationBroadcast('hdmi_error', 'error', msg, 3, true, false);
+        }
+      }
+    });
+    break;
+  }
+}
+
+/* Check if there are any Cam Links plugged into a USB2 port */
+async function checkCamlinkUsb2() {
+  const deviceDir = '/sys/bus/usb/devices';
+  const devices = await readdirP(deviceDir);
+  let foundUsb2 = false;
+
+  for (const d of devices) {
+    try {
+      const vendor = await readTextFile(`${deviceDir}/${d}/idVendor`);
+      if (vendor != "0fd9\n") continue;
+
+      /*
+        With my 20GAM9901 unit it would appear that product ID 0x66 is used for
+        USB3.0 and 0x67 is used for USB2.0, but I'm not sure if this is consistent
+        between different revisions. So we'll check bcdUSB (aka version) for both
+
+        Additional product IDs for 20GAM9902 thanks to chubbybunny627: 0x7b for
+        USB 3.0 and 0x85 for USB 2.0
+      */
+      const product = (await readTextFile(`${deviceDir}/${d}/idProduct`)).trim();
+      const knownCamLinkPids = ['0066', '0067', '007b', '0085'];
+      if (!knownCamLinkPids.includes(product)) continue;
+
+      const version = await readTextFile(`${deviceDir}/${d}/version`);
+      if (!version.match('3.00')) {
+        foundUsb2 = true;
+      }
+    } catch(err) {}
+  }
+
+  if (foundUsb2) {
+    const msg = "Detected a Cam Link 4K connected via USB2. This will result in low framerate operation. Ensure that it's connected to a USB3.0 port and that you're using a USB3.0 extension cable.";
+    notificationBroadcast('camlink_usb2', 'error', msg, 0, true, false);
+    console.log('Detected a Cam Link 4K connected via USB2.0');
+  } else {
+    notificationRemove('camlink_usb2');
+    console.log('No Cam Link 4K connected via USB2.0');
+  }
+}
+// check for Cam Links on USB2 at startup
+checkCamlinkUsb2();
+
+
+/* Audio input selection and codec */
+const alsaSrcPattern = /alsasrc device=[A-Za-z0-9:=]+/;
+const alsaPipelinePattern = /alsasrc device=[A-Za-z0-9:]+(.|[\s])*?mux\. *\s?/;
+
+const audioCodecPattern = /voaacenc\s+bitrate=(\d+)\s+!\s+aacparse\s+!/;
+/*
+  The audio encoders replace the "voaacenc bitrate=... ! aacparse" elements of
+  the pipelines. The bitrates are in Kbps; if no bitrate is configured, the
+  one set in the pipeline is used when valid for the codec, or the default
+*/
+const audioCodecs = {
+  opus: {
+    name: 'Opus (better quality)',
+    bitrates: [32, 48, 64, 96, 128, 160, 192, 256],
+    rates: [48000],
+    default_bitrate: 128,
+    element: function(br) { return `opusenc bitrate=${br * 1000} ! opusparse !`; }
+  },
+  aac: {
+    name: 'AAC (backwards compatibility)',
+    bitrates: [64, 96, 128, 160, 192, 256, 320],
+    rates: [44100, 48000],
+    default_bitrate: 128,
+    element: function(br) { return `voaacenc bitrate=${br * 1000} ! aacparse !`; }
+  },
+  mp2: {
+    name: 'MPEG-1 Layer II (broadcast receivers)',
+    bitrates: [128, 192, 256, 320, 384],
+    rates: [44100, 48000],
+    default_bitrate: 256,
+    element: function(br) { return `avenc_mp2 bitrate=${br * 1000} ! mpegaudioparse !`; }
+  },
+  pcm: {
+    name: 'PCM / SMPTE 302M (uncompressed, for local recording)',
+    bitrates: [],
+    rates: [48000],
+    element: function() { return 'audioconvert ! audio/x-raw,format=S16LE ! avenc_s302m !'; }
   }
+};
+const audioRateDefault = 48000;
 
-  if (newDevices) {
-    await wifiUpdateSavedConns();
-    wifiScheduleScanUpdates();
+// audio codec list in the format needed by the frontend: {id: name}
+function audioCodecsBuildMsg() {
+  const list = {};
+  for (const id in audioCodecs) {
+    list[id] = audioCodecs[id].name;
   }
+  return list;
+}
 
-  if (statusChange) {
-    await wifiUpdateScanResult();
-    wifiScheduleScanUpdates();
+// the supported bitrates and sample rates of the audio codecs, sent separately to keep acodecs unchanged
+function audioCodecsBuildInfoMsg() {
+  const info = {};
+  for (const id in audioCodecs) {
+    const c = audioCodecs[id];
+    info[id] = {bitrates: c.bitrates, rates: c.rates, default_bitrate: c.default_bitrate};
   }
-  if (newDevices || statusChange) {
-    wifiBroadcastState();
+  return info;
+}
 
-    // Mark any WiFi hotspot interfaces as unavailable for bonding
-    let hotspotCount = 0;
-    for (const i in wifiIfs) {
-      if (wifiIfIsHotspot(wifiIfs[i])) {
-        const n = netif[wifiIfs[i].ifname];
-        if (!n) continue;
-        if (n.error & NETIF_ERR_HOTSPOT) continue;
+// Returns the validated {codec, bitrate, rate} settings or an error message
+function validateAudioCodec(params) {
+  if (typeof params.acodec != 'string' || !Object.prototype.hasOwnProperty.call(audioCodecs, params.acodec))
+    return "audio codec not found";
+  const codec = audioCodecs[params.acodec];
 
-        setNetifHotspot(n);
-        hotspotCount++;
-      }
-    }
-    if (hotspotCount && isStreaming) {
-      updateSrtlaIps();
-    }
+  let bitrate;
+  if (codec.bitrates.length && params.abitrate !== undefined) {
+    bitrate = parseInt(params.abitrate);
+    if (bitrate != params.abitrate || !codec.bitrates.includes(bitrate))
+      return `invalid audio bitrate '${params.abitrate}' for ${codec.name}`;
   }
-  console.log(wifiIfs);
 
-  /* If some wifi adapters were marked unavailable, recheck periodically
-     This might happen when the system has just booted up and the adapter
-     typically becomes available within 30 seconds.
-     Uses a 5 minute timeout to avoid polling nmcli forever */
-  if (unavailableDevices) {
-    if (unavailableDeviceRetryExpiry == 0) {
-      unavailableDeviceRetryExpiry = getms() + 5 * 60 * 1000; // 5 minute timeout
-      setTimeout(wifiUpdateDevices, 3000);
-      console.log("One or more Wifi interfaces are unavailable. Will retry periodically for the next 5 minutes");
-    } else if (getms() < unavailableDeviceRetryExpiry) {
-      setTimeout(wifiUpdateDevices, 3000);
-      console.log("One or more Wifi interfaces are still unavailable. Retrying in 3 seconds...");
-    }
-  } else {
-    unavailableDeviceRetryExpiry = 0;
+  let rate = codec.rates.includes(audioRateDefault) ? audioRateDefault : codec.rates[0];
+  if (params.arate !== undefined) {
+    rate = parseInt(params.arate);
+    if (rate != params.arate || !codec.rates.includes(rate))
+      return `invalid audio sample rate '${params.arate}' for ${codec.name}`;
   }
 
-  return statusChange;
+  return {codec: params.acodec, bitrate, rate};
 }
 
-async function wifiRescan() {
-  await nmRescan();
+const noAudioId = "No audio";
+const defaultAudioId = "Pipeline default";
+const audioSrcAliases = {"C4K": "Cam Link 4K", "usbaudio": "USB audio", "rockchiphdmiin": "HDMI", "rockchipes8388": "Analog in"};
 
-  /* A rescan request will fail if a previous one is in progress,
-     but we still attempt to update the results */
-  await wifiUpdateScanResult();
-  wifiScheduleScanUpdates();
+let audioDevices = {};
+addAudioCardById(audioDevices, noAudioId);
+addAudioCardById(audioDevices, defaultAudioId);
+
+
+function pipelineGetAudioProps(path) {
+  const contents = fs.readFileSync(path, 'utf8');
+  return pipelineContentsGetAudioProps(contents);
 }
 
-/* Searches saved connections in wifiIfs by UUID */
-function wifiSearchConnection(uuid) {
-  let connFound;
-  for (const i in wifiIdToHwAddr) {
-    const macAddr = wifiIdToHwAddr[i];
-    for (const s in wifiIfs[macAddr].saved) {
-      if (wifiIfs[macAddr].saved[s] == uuid) {
-        connFound = i;
-        break;
-      }
+function pipelineContentsGetAudioProps(contents) {
+  const props = {};
+  props.asrc = contents.match(alsaPipelinePattern) != null;
+  props.acodec = contents.match(audioCodecPattern) != null;
+  props.vsrc = contents.match(v4l2SrcPattern) != null;
+  return props;
+}
+
+async function replaceAudioSettings(pipelineFile, cardId, codec, audioMix) {
+  let pipeline = await readTextFile(pipelineFile);
+  if (pipeline === undefined) return;
+
+  if (cardId && cardId != defaultAudioId) {
+    if (cardId == noAudioId) {
+      pipeline = pipeline.replace(alsaPipelinePattern, '');
+    } else {
+      pipeline = pipeline.replace(alsaSrcPattern, `alsasrc device="hw:${cardId}"`);
     }
   }
 
-  return connFound;
+  if (cardId != noAudioId) {
+    pipeline = audioMixRender(pipeline, cardId, audioMix);
+  }
+
+  // The codec may come from a saved config or profile
+  const encoder = codec && Object.prototype.hasOwnProperty.call(audioCodecs, codec.codec) &&
+                  pipeline.match(audioCodecPattern);
+  if (encoder) {
+    const c = audioCodecs[codec.codec];
+    let bitrate = codec.bitrate;
+    if (bitrate === undefined && c.bitrates.length) {
+      const pipelineBitrate = Math.round(parseInt(encoder[1]) / 1000);
+      bitrate = c.bitrates.includes(pipelineBitrate) ? pipelineBitrate : c.default_bitrate;
+    }
+    const resample = (codec.codec == 'opus') ? 'audioresample quality=10 sinc-filter-mode=1' : 'audioresample';
+    pipeline = pipeline.replace(audioCodecPattern,
+                                `${resample} ! audio/x-raw,rate=${codec.rate} ! ${c.element(bitrate)}`);
+  }
+
+  const pipelineTmp = "/tmp/belacoder_pipeline";
+  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+
+  return pipelineTmp;
 }
 
-async function wifiDisconnect(uuid) {
-  if (wifiSearchConnection(uuid) === undefined) return;
 
-  if (await nmDisconnect(uuid)) {
-    await wifiUpdateScanResult();
-    wifiScheduleScanUpdates();
+/*
+  Audio mixing
+
+  config.audio_mix = {
+    main: {gain: 0, channels: 'stereo', mute: false},  // for the selected audio source
+    extra: [{asrc: 'USB audio', gain: 6, channels: 'left', mute: false}]
   }
-}
 
-async function wifiForget(uuid) {
-  if (wifiSearchConnection(uuid) === undefined) return;
+  gain is in dB. channels is one of 'stereo', 'mono' (downmix), 'left' or
+  'right' (use a single channel of a stereo input on both channels). The
+  additional sources are mixed with the main one using audiomixer. The
+  settings are rendered into the pipeline when the stream is started, as
+  belacoder can't update the element properties while running.
+*/
+const AUDIO_MIX_MAX_EXTRA = 3;
+const AUDIO_MIX_GAIN_MIN = -40;
+const AUDIO_MIX_GAIN_MAX = 20;
+const audioMixChannels = {
+  stereo: '',
+  mono: 'audio/x-raw,channels=1 ! audioconvert ! audio/x-raw,channels=2',
+  left: 'audio/x-raw,channels=2 ! audioconvert mix-matrix="<<(float)1.0, (float)0.0>, <(float)1.0, (float)0.0>>" ! audio/x-raw,channels=2',
+  right: 'audio/x-raw,channels=2 ! audioconvert mix-matrix="<<(float)0.0, (float)1.0>, <(float)0.0, (float)1.0>>" ! audio/x-raw,channels=2'
+};
+// The whole alsasrc element, including any other properties, up to the next link
+const alsaSrcElementPattern = /alsasrc\s[^!]*/;
 
-  if (await nmConnDelete(uuid)) {
-    await wifiUpdateSavedConns();
-    await wifiUpdateScanResult();
-    wifiScheduleScanUpdates();
+function validateAudioMixSource(s, isExtra) {
+  if (!s || typeof s != 'object') return;
+
+  const gain = Number((s.gain != undefined) ? s.gain : 0);
+  if (!isFinite(gain) || gain < AUDIO_MIX_GAIN_MIN || gain > AUDIO_MIX_GAIN_MAX) return;
+
+  const channels = (s.channels != undefined) ? s.channels : 'stereo';
+  if (audioMixChannels[channels] === undefined) return;
+
+  const source = {gain, channels, mute: !!s.mute};
+  if (isExtra) {
+    if (typeof s.asrc != 'string' || s.asrc == '') return;
+    source.asrc = s.asrc;
   }
+  return source;
 }
 
-async function wifiDeleteFailedConns() {
-  const connections = await nmConnsGet("uuid,type,timestamp");
-  for (const c in connections) {
-    const [uuid, type, ts] = nmcliParseSep(connections[c]);
-    if (type !== "802-11-wireless") continue;
-    if (ts == 0) {
-      await nmConnDelete(uuid);
+// Returns the normalized settings or an error message
+function validateAudioMix(mix) {
+  if (mix === undefined) return {main: validateAudioMixSource({}), extra: []};
+  if (!mix || typeof mix != 'object') return "invalid audio mix settings";
+
+  const main = validateAudioMixSource((mix.main != undefined) ? mix.main : {});
+  if (!main) return "invalid audio settings for the main audio source";
+
+  const extra = [];
+  if (mix.extra !== undefined) {
+    if (!Array.isArray(mix.extra) || mix.extra.length > AUDIO_MIX_MAX_EXTRA)
+      return `at most ${AUDIO_MIX_MAX_EXTRA} additional audio sources are supported`;
+    for (const s of mix.extra) {
+      const source = validateAudioMixSource(s, true);
+      if (!source) return "invalid audio settings for an additional audio source";
+      extra.push(source);
     }
   }
+
+  return {main, extra};
 }
 
-function wifiNew(conn, msg) {
-  if (!msg.device || !msg.ssid) return;
+function audioMixIsNeutral(s) {
+  return s.gain == 0 && s.channels == 'stereo' && !s.mute;
+}
 
-  const mac = wifiIdToHwAddr[msg.device];
-  if (!mac) return;
+// The main source's volume element is named, for the audio level meters to find it
+function audioMixRenderSource(s, name) {
+  const volume = Math.round(Math.pow(10, s.gain / 20) * 10000) / 10000;
+  const volumeName = name ? ` name=${name}` : '';
+  const elements = ['audioconvert', audioMixChannels[s.channels], `volume${volumeName} volume=${volume} mute=${s.mute}`];
+  return elements.filter(function(e) { return e != ''; }).join(' ! ');
+}
 
-  const device = wifiIfs[mac].ifname;
+function audioMixInsertAfterSrc(pipeline, elements) {
+  return pipeline.replace(alsaSrcElementPattern, function(src) {
+    return `${src.trimEnd()} ! ${elements} `;
+  });
+}
 
-  const args = [
-    "-w",
-    "15",
-    "device",
-    "wifi",
-    "connect",
-    msg.ssid,
-    "ifname",
-    device
-  ];
+function audioMixRender(pipeline, cardId, mix) {
+  const mainSrc = pipeline.match(alsaSrcElementPattern);
+  if (!mix || !mainSrc) return pipeline;
 
-  if (msg.password) {
-    args.push('password');
-    args.push(msg.password);
+  // Skip any additional sources that are unavailable or already used
+  const used = [cardId];
+  const extra = [];
+  for (const [i, s] of mix.extra.entries()) {
+    const id = Object.prototype.hasOwnProperty.call(audioDevices, s.asrc) ? audioDevices[s.asrc] : undefined;
+    if (!id || id == noAudioId || id == defaultAudioId || used.includes(id)) {
+      notificationBroadcast(`audio_mix_${i}`, 'warning',
+                            `The audio input '${s.asrc}' is unavailable and won't be mixed in`, 10, false, true);
+      continue;
+    }
+    used.push(id);
+    extra.push(Object.assign({id}, s));
   }
 
-  const senderId = conn.senderId;
-  execFile("nmcli", args, async function(error, stdout, stderr) {
-    if (error || stdout.match('^Error:')) {
-      await wifiDeleteFailedConns();
+  if (extra.length == 0) {
+    if (audioMixIsNeutral(mix.main)) return pipeline;
+    return audioMixInsertAfterSrc(pipeline, audioMixRenderSource(mix.main, 'amain'));
+  }
 
-      if (stdout.match('Secrets were required, but not provided')) {
-        conn.send(buildMsg('wifi', {new: {error: "auth", device: msg.device}}, senderId));
-      } else {
-        conn.send(buildMsg('wifi', {new: {error: "generic", device: msg.device}}, senderId));
-      }
-    } else {
-      const success = stdout.match(/successfully activated with '(.+)'/);
-      if (success) {
-        const uuid = success[1];
-        if (!(await nmConnSetWifiMac(uuid, mac))) {
-          console.log("Failed to set the MAC address for the newly created connection");
-        }
+  const normalize = 'audioconvert ! audioresample ! audio/x-raw,rate=48000,channels=2 ! queue';
+  pipeline = audioMixInsertAfterSrc(pipeline,
+                                    `${audioMixRenderSource(mix.main, 'amain')} ! ${normalize} ! amix. audiomixer name=amix`);
+  for (const s of extra) {
+    pipeline = pipeline.trimEnd() + ` alsasrc device="hw:${s.id}" ! ${audioMixRenderSource(s)} ! ${normalize} ! amix.`;
+  }
 
-        await wifiUpdateSavedConns();
-        await wifiUpdateScanResult();
+  return pipeline;
+}
 
-        conn.send(buildMsg('wifi', {new: {success: true, device: msg.device}}, senderId));
-      } else {
-        console.log(`wifiNew: no error but not matching a successful connection msg in:\n${stdout}\n${stderr}`);
+function getAudioSrcName(id, alias) {
+  if (alias) return alias;
+  const name = audioSrcAliases[id];
+  if (name) return name;
+  return id;
+}
+
+function addAudioCardById(list, id, alias) {
+  const baseName = getAudioSrcName(id, alias);
+  // Several cards can share an alias or the name of a model
+  let name = baseName;
+  for (let i = 2; Object.prototype.hasOwnProperty.call(list, name); i++) {
+    name = `${baseName} #${i}`;
+  }
+  list[name] = id;
+}
+
+/*
+  The user settings for the audio cards are stored in config.audio_sources:
+  {<card key>: {alias: 'Sennheiser receiver', hidden: false, priority: 1}}
+
+  The cards are identified by a key that doesn't depend on the ALSA card id
+  or index: the USB vendor, product and serial number, or the USB port if the
+  device has no serial number. Other cards use their ALSA id.
+*/
+async function getAudioCardKey(cardDir, id) {
+  try {
+    // For USB audio cards, the card's device is a USB interface
+    const usbDev = path.dirname(fs.realpathSync(`${cardDir}/device`));
+    const vendor = await readTextFile(`${usbDev}/idVendor`);
+    const product = await readTextFile(`${usbDev}/idProduct`);
+    if (vendor && product) {
+      const serial = await readTextFile(`${usbDev}/serial`);
+      if (serial && serial.trim() != '') {
+        return `usb:${vendor.trim()}:${product.trim()}:${serial.trim()}`;
       }
+      return `usb:${vendor.trim()}:${product.trim()}@${path.basename(usbDev)}`;
     }
-  });
+  } catch (err) {}
+
+  return `alsa:${id}`;
 }
 
-async function wifiConnect(conn, uuid) {
-  const deviceId = wifiSearchConnection(uuid);
-  if (deviceId === undefined) return;
+let audioCards = [];
+async function updateAudioDevices() {
+  // Ignore the onboard audio cards, unless unhidden by the user
+  const exclude = ['tegrahda', 'tegrasndt210ref', 'rockchipdp0', 'rockchiphdmi0', 'rockchiphdmi1', 'rockchiphdmiind', 'rockchipes8316'];
+  // Devices to show at the top of the list, after the ones pinned by the user
+  const priority = ['HDMI', 'rockchiphdmiin', 'rockchipes8388', 'C4K', 'usbaudio'];
 
-  const senderId = conn.senderId;
-  const success = await nmConnect(uuid);
-  await wifiUpdateScanResult();
-  conn.send(buildMsg('wifi', {connect: success, device: deviceId}, senderId));
-}
+  const deviceDir = '/sys/class/sound';
+  const devices = await readdirP(deviceDir);
+  const userSettings = config.audio_sources || {};
+  const list = {};
+  const cards = [];
+  let hasCamlink = false;
+  let hasUsbAudio = false;
 
-function wifiForceHotspot(wifi, ms) {
-  if (!wifi.hotspot) return;
+  for (const d of devices) {
+    // Only inspect cards
+    if (!d.match(/^card/)) continue;
 
-  if (ms <= 0) {
-    wifi.hotspot.forceHotspotStatus = 0;
-    return;
-  }
+    // Get the card's ID
+    const id = (await readTextFile(`${deviceDir}/${d}/id`)).trim();
 
-  const until = getms() + ms;
-  if (until > wifi.hotspot.forceHotspotStatus) {
-    wifi.hotspot.forceHotspotStatus = until;
+    const key = await getAudioCardKey(`${deviceDir}/${d}`, id);
+    const settings = userSettings[key] || {};
+    const hidden = (settings.hidden != undefined) ? settings.hidden : exclude.includes(id);
+    cards.push({key, id, name: getAudioSrcName(id), alias: settings.alias, hidden, priority: settings.priority});
+
+    // Skip over the hidden cards and the IDs known not to be valid audio inputs
+    if (hidden) continue;
+
+    list[id] = settings;
   }
-}
 
-const HOTSPOT_UP_TO = 10;
-const HOTSPOT_UP_FORCE_TO = (HOTSPOT_UP_TO + 2) * 1000;
+  const sortedList = {};
 
-async function wifiHotspotStart(msg) {
-  if (!msg.device) return;
+  // First add the cards pinned by the user
+  const pinned = Object.keys(list).filter(function(id) {
+    return list[id].priority !== undefined;
+  }).sort(function(a, b) {
+    return list[a].priority - list[b].priority;
+  });
+  for (const id of pinned) {
+    addAudioCardById(sortedList, id, list[id].alias);
+    delete list[id];
+  }
 
-  const mac = wifiIdToHwAddr[msg.device];
-  if (!mac) return;
+  // Then add any priority cards found
+  for (const id of priority) {
+    if (list[id]) addAudioCardById(sortedList, id, list[id].alias);
+    delete list[id];
+  }
 
-  const i = wifiIfs[mac];
-  if (!i) return;
-  if (!i.hotspot) return; // hotspot not supported, nothing to do
+  // Then add the remaining cards in alphabetical order
+  for (const id of Object.keys(list).sort()) {
+    addAudioCardById(sortedList, id, list[id].alias);
+  }
 
-  if (i.hotspot.conn) {
-    if (i.hotspot.conn != i.conn) {
-      /* We assume that the operation will succeed, to be able to show an immediate response in the UI
-         But especially if we're already connected to a network in client mode, it can take a few
-         seconds before NM will show us as 'connected' to our hotspot connection.
-         We use wifiForceHotspot() to ensure the device is reported in hotspot mode for this duration
-      */
-      wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
-      wifiBroadcastState();
+  // Always add 'no audio' and default audio options
+  addAudioCardById(sortedList, noAudioId);
+  addAudioCardById(sortedList, defaultAudioId);
+
+  audioDevices = sortedList;
+  audioCards = cards;
+  console.log("audio devices:");
+  console.log(audioDevices);
 
-      if (await nmConnect(i.hotspot.conn, HOTSPOT_UP_TO)) {
-        await nmConnSetFields(i.hotspot.conn, {'connection.autoconnect': 'yes',
-                                               'connection.autoconnect-priority': 999});
-      } else {
-        // Remove the wifiForceHotspot() timer to immediately show the failure by resetting the UI to client mode
-        wifiForceHotspot(i, -1);
-        wifiUpdateDevices();
-      }
-    }
-  } else {
-    const ms = mac.split(':');
-    const name = 'BELABOX_' + ms[4] + ms[5];
-    const password = crypto.randomBytes(9).toString('base64');
+  broadcastMsg('status', {asrcs: Object.keys(audioDevices), audio_cards: audioCards});
+}
+updateAudioDevices();
 
-    // Temporary hotspot config to send to the client
-    i.hotspot.name = name;
-    i.hotspot.password = password;
-    i.hotspot.channel = 'auto';
-    wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
-    wifiBroadcastState();
+/*
+  Video input selection
 
-    // Create the NM connection for the hotspot
-    const uuid = await nmHotspot(i.ifname, name, password, HOTSPOT_UP_TO);
-    if (uuid) {
-      // Update any settings that we need different from the default
-      await nmConnSetFields(uuid, {'connection.interface-name': '',
-                                   'connection.autoconnect': 'yes',
-                                   'connection.autoconnect-priority': 999,
-                                   '802-11-wireless.mac-address': mac,
-                                   '802-11-wireless-security.pmf': 'disable'});
-      // The updated settings will allow the connection to be recognised as our Hotspot connection
-      await wifiUpdateSavedConns();
-      // Restart the connection with the updated settings (needed to disable pmf)
-      wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
-      await nmConnect(uuid, HOTSPOT_UP_TO);
-    } else {
-      // Remove the wifiForceHotspot() timer to immediately show the failure by resetting the UI to client mode
-      wifiForceHotspot(i, -1);
-      wifiUpdateDevices();
+  The V4L2 capture devices are listed in the 'vsrcs' status field as
+  {<name>: {device: '/dev/video0', formats: [{format: 'MJPG', sizes: ['1920x1080', ...]}]}}
+  The device of the first v4l2src element of the pipeline is replaced with
+  the one selected in config.vsrc, unless it's set to defaultVideoId.
+*/
+const v4l2SrcPattern = /v4l2src\s+device=("[^"]*"|\S+)/;
+const defaultVideoId = "Pipeline default";
+
+let videoDevices = {};
+
+function parseV4l2Formats(output) {
+  const formats = [];
+  let format;
+  for (const line of output.split('\n')) {
+    const f = line.match(/^\s*\[\d+\]: '(\S+)'/);
+    if (f) {
+      format = {format: f[1], sizes: []};
+      formats.push(format);
+      continue;
+    }
+
+    const size = line.match(/^\s*Size: \w+ (\d+x\d+)/);
+    if (size && format && !format.sizes.includes(size[1])) {
+      format.sizes.push(size[1]);
     }
   }
+  return formats;
 }
 
-async function wifiHotspotStop(msg) {
-  if (!msg.device) return;
+async function getVideoDeviceInfo(dev) {
+  const device = `/dev/${dev}`;
+  try {
+    const {stdout} = await execFileP('v4l2-ctl', ['-d', device, '--info', '--list-formats-ext']);
+    // Skip the metadata and output devices
+    if (!stdout.match(/Device Caps[^\n]*\n(\s+[^\n]+\n)*?\s+Video Capture/)) return;
 
-  const mac = wifiIdToHwAddr[msg.device];
-  if (!mac) return;
+    return {device, formats: parseV4l2Formats(stdout)};
+  } catch (err) {
+    // Without v4l2-ctl, only list the first node of each device
+    const index = await readTextFile(`/sys/class/video4linux/${dev}/index`);
+    if (index === undefined || index.trim() != '0') return;
 
-  const i = wifiIfs[mac];
-  if (!i) return;
-  if (!wifiIfIsHotspot(i)) return; // not in hotspot mode, nothing to do
+    return {device, formats: []};
+  }
+}
 
-  await nmConnSetFields(i.hotspot.conn, {'connection.autoconnect': 'no'});
+async function updateVideoDevices() {
+  const deviceDir = '/sys/class/video4linux';
+  let devices = [];
+  try {
+    devices = await readdirP(deviceDir);
+  } catch (err) {}
 
-  wifiForceHotspot(i, -1);
-  if (await nmDisconnect(i.hotspot.conn)) {
-    i.conn = null;
-    i.available.clear();
-    wifiBroadcastState();
-    wifiRescan();
+  const list = {};
+  devices = devices.filter(function(d) { return d.match(/^video\d+$/); });
+  devices.sort(function(a, b) { return parseInt(a.substr(5)) - parseInt(b.substr(5)); });
+  for (const d of devices) {
+    const info = await getVideoDeviceInfo(d);
+    if (!info) continue;
+
+    let name = ((await readTextFile(`${deviceDir}/${d}/name`)) || d).trim();
+    for (let i = 2; list[name]; i++) {
+      name = name.replace(/ #\d+$/, '') + ` #${i}`;
+    }
+    list[name] = info;
   }
-}
+  list[defaultVideoId] = {};
 
-function wifiIfIsHotspot(wifi) {
-  if (!wifi || !wifi.hotspot) return false;
-  return ((wifi.hotspot.conn && wifi.conn == wifi.hotspot.conn) ||
-          (wifi.hotspot.forceHotspotStatus > getms()));
+  videoDevices = list;
+  console.log("video devices:");
+  console.log(Object.keys(videoDevices));
+
+  broadcastMsg('status', {vsrcs: videoDevices});
 }
+updateVideoDevices();
 
-function nmConnSetHotspotFields(uuid, name, password, channel) {
-  // Validate the requested channel
-  const newChannel = wifiChannels[channel];
-  if (!newChannel) return;
+async function replaceVideoSettings(pipelineFile, device) {
+  let pipeline = await readTextFile(pipelineFile);
+  if (pipeline === undefined) return;
 
-  const settingsToChange = {
-    '802-11-wireless.ssid': name,
-    '802-11-wireless-security.psk': password,
-    '802-11-wireless.band': newChannel.nmBand,
-    '802-11-wireless.channel': newChannel.nmChannel
-  };
+  pipeline = pipeline.replace(v4l2SrcPattern, `v4l2src device=${device}`);
 
-  return nmConnSetFields(uuid, settingsToChange);
+  const pipelineTmp = "/tmp/belacoder_pipeline";
+  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+
+  return pipelineTmp;
 }
 
+
 /*
-  Expects:
-  {
-    device: device id,
-    name,
-    password,
-    channel  // from wifiChannels
-  }
+  Pipeline templates
+
+  A pipeline file can declare parameters in header lines, one per line (see
+  the templates in PIPELINE_TEMPLATES_DIR):
+  #param {"name": "res", "label": "Resolution", "type": "choice", "default": "1080p",
+          "options": {"720p": "width=1280,height=720", "1080p": "width=1920,height=1080"}}
+  #param {"name": "keyint", "label": "Keyframe interval", "type": "int", "default": 60, "min": 1, "max": 600}
+
+  The ${name} placeholders in the pipeline are replaced with the selected
+  option's value for choice parameters, or with the number for int
+  parameters. The options can also be given as an array if the labels are the
+  same as the values. All lines starting with # are removed from the
+  generated pipeline. The selected values are saved per pipeline, in
+  config.pipeline_params[<pipeline id>].
 */
-async function wifiHotspotConfig(conn, msg) {
-  // Find the Wifi interface
-  if (!msg.device) return;
+const pipelineCommentPattern = /^\s*#.*$/mg;
+const pipelinePlaceholderPattern = /\$\{(\w+)\}/g;
 
-  const mac = wifiIdToHwAddr[msg.device];
-  if (!mac) return;
+function pipelineParseParams(contents) {
+  const params = [];
+  const names = {};
 
-  const i = wifiIfs[mac];
-  if (!i) return;
-  if (!wifiIfIsHotspot(i)) return; // Make sure the interface is already in hotspot mode
+  const lines = contents.match(/^\s*#param\s.*$/mg) || [];
+  for (const line of lines) {
+    let p;
+    try {
+      p = JSON.parse(line.replace(/^\s*#param\s/, ''));
+    } catch (err) {
+      return {error: `invalid parameter declaration: ${line.trim()}`};
+    }
+    if (!p || typeof p.name != 'string' || !p.name.match(/^\w+$/) || names[p.name]) {
+      return {error: `invalid or duplicate parameter name: ${line.trim()}`};
+    }
 
-  const senderId = conn.senderId;
+    const param = {name: p.name, label: (typeof p.label == 'string') ? p.label : p.name, type: p.type};
+    switch (p.type) {
+      case 'choice': {
+        let options = p.options;
+        if (Array.isArray(options)) {
+          options = Object.fromEntries(options.map(function(o) { return [o, o]; }));
+        }
+        if (!options || typeof options != 'object' || Object.keys(options).length == 0 ||
+            !Object.values(options).every(function(o) { return typeof o == 'string' || typeof o == 'number'; })) {
+          return {error: `invalid options for the parameter ${p.name}`};
+        }
+        if ((typeof p.default != 'string' && typeof p.default != 'number') || !Object.prototype.hasOwnProperty.call(options, p.default)) {
+          return {error: `invalid default value for the parameter ${p.name}`};
+        }
+        param.options = options;
+        break;
+      }
+      case 'int':
+        if (!Number.isInteger(p.min) || !Number.isInteger(p.max) || !Number.isInteger(p.default) ||
+            p.default < p.min || p.default > p.max) {
+          return {error: `invalid range for the parameter ${p.name}`};
+        }
+        param.min = p.min;
+        param.max = p.max;
+        break;
+      default:
+        return {error: `invalid type for the parameter ${p.name}`};
+    }
+    param.default = p.default;
 
-  // Make sure all required fields are present and valid
-  if (msg.name === undefined || typeof msg.name != 'string' ||
-      msg.name.length < 1 || msg.name.length > 32) {
-    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'name'}}}, senderId));
-    return;
+    names[p.name] = true;
+    params.push(param);
   }
 
-  if (msg.password === undefined || typeof msg.password != 'string' ||
-      msg.password.length < 8 || msg.password.length > 64) {
-    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'password'}}}, senderId));
-    return;
+  // All placeholders must be declared
+  const body = contents.replace(pipelineCommentPattern, '');
+  for (const m of body.matchAll(pipelinePlaceholderPattern)) {
+    if (!names[m[1]]) {
+      return {error: `undeclared parameter \${${m[1]}}`};
+    }
   }
 
-  if (msg.channel === undefined || typeof msg.channel != 'string' || !wifiChannels[msg.channel]) {
-    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'channel'}}}, senderId));
-    return;
-  }
+  return {params};
+}
 
-  // Update the NM connection
-  if (!(await nmConnSetHotspotFields(i.hotspot.conn, msg.name, msg.password, msg.channel))) {
-    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'saving'}}}, senderId));
-    return;
-  }
+function pipelineGetParams(path) {
+  const contents = fs.readFileSync(path, 'utf8');
+  return pipelineParseParams(contents);
+}
 
-  // Restart the connection with the updated config
-  wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
-  if (!(await nmConnect(i.hotspot.conn, HOTSPOT_UP_TO))) {
-    conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, error: 'activating'}}}, senderId));
-    // Failed to bring up the hotspot with the new settings; restore it
-    wifiForceHotspot(i, HOTSPOT_UP_FORCE_TO);
-    await nmConnSetHotspotFields(i.hotspot.conn, i.hotspot.name, i.hotspot.password, i.hotspot.channel);
-    await nmConnect(i.hotspot.conn, HOTSPOT_UP_TO);
-    return;
-  }
+// Validates the selected values, using the defaults for any missing ones
+function pipelineResolveParams(params, values) {
+  if (!values || typeof values != 'object') values = {};
 
-  // Succesfully brought up the hotspot with the new settings, reload the NM connection
-  await wifiUpdateSavedConns();
+  const resolved = {};
+  for (const p of params) {
+    let value = (values[p.name] != undefined) ? values[p.name] : p.default;
+    if (p.type == 'choice') {
+      if (typeof value != 'string' && typeof value != 'number' || !Object.prototype.hasOwnProperty.call(p.options, value))
+        return {error: `invalid value for the pipeline parameter ${p.label}`};
+    } else {
+      const n = parseInt(value);
+      if (n != value || n < p.min || n > p.max)
+        return {error: `invalid value for the pipeline parameter ${p.label}`};
+      value = n;
+    }
+    resolved[p.name] = value;
+  }
 
-  conn.send(buildMsg('wifi', {hotspot: {config: {device: msg.device, success: true}}}, senderId));
+  return {values: resolved};
 }
 
-function handleWifi(conn, msg) {
-  for (const type in msg) {
-    switch(type) {
-      case 'connect':
-        wifiConnect(conn, msg[type]);
-        break;
-      case 'disconnect':
-        wifiDisconnect(msg[type]);
-        break;
-      case 'scan':
-        wifiRescan();
-        break;
-      case 'new':
-        wifiNew(conn, msg[type]);
-        break;
-      case 'forget':
-        wifiForget(msg[type]);
-        break;
-      case 'hotspot':
-        if (msg[type].start) {
-          wifiHotspotStart(msg[type].start);
-        } else if (msg[type].stop) {
-          wifiHotspotStop(msg[type].stop);
-        } else if (msg[type].config) {
-          wifiHotspotConfig(conn, msg[type].config);
-        }
-        break;
-    }
+function pipelineSubstituteParams(contents, params, values) {
+  const subst = {};
+  for (const p of params) {
+    subst[p.name] = (p.type == 'choice') ? p.options[values[p.name]] : values[p.name];
   }
+
+  contents = contents.replace(pipelineCommentPattern, '');
+  return contents.replace(pipelinePlaceholderPattern, function(match, name) {
+    return String(subst[name]);
+  }).trim();
+}
+
+async function pipelineApplyParams(pipelineFile, params, values) {
+  let pipeline = await readTextFile(pipelineFile);
+  if (!pipeline) return;
+
+  pipeline = pipelineSubstituteParams(pipeline, params, values);
+
+  const pipelineTmp = "/tmp/belacoder_pipeline";
+  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+
+  return pipelineTmp;
 }
 
 
 /*
-  mmcli helpers
+  Read the list of pipeline files
+
+  Besides the pipelines bundled with belacoder, belaUI ships templates with
+  the common parameters in PIPELINE_TEMPLATES_DIR, in the same <hw> / generic
+  subdirectories.
 */
-function mmcliParseSep(input) {
-  let output = {};
-  for (let line of input.split('\n')) {
-    line = line.replace(/\\\d+/g, ''); // strips special escaped characters
-    if (!line) continue;
+const PIPELINE_TEMPLATES_DIR = path.join(__dirname, 'pipelines');
 
-    const kv = line.split(/:(.*)/); // splits on the first ':' only
-    if (kv.length != 3) {
-      console.log(`mmcliParseSep: error parsing line ${line}`);
-      continue;
-    }
-    let key = kv[0].trim();
-    let value = kv[1].trim();
+function pipelineGenId(name) {
+  return crypto.createHash('sha1').update(name).digest('hex');
+}
 
-    // Parse mmcli arrays
-    let pattern = /\.length$/;
-    if (key.match(pattern)) {
-      key = key.replace(pattern, '');
-      value = [];
+function readDirAbsPath(dir, excludePattern) {
+  const pipelines = {};
+
+  try {
+    const files = fs.readdirSync(dir);
+    const basename = path.basename(dir);
+
+    for (const f in files) {
+      const name = basename + '/' + files[f];
+      if (excludePattern && name.match(excludePattern)) continue;
+
+      const id = pipelineGenId(name);
+      const path = dir + files[f];
+      pipelines[id] = {name: name, path: path};
     }
-    pattern = /\.value\[\d+\]$/;
-    if (key.match(pattern)) {
-      key = key.replace(pattern, '');
-      output[key].push(value);
-      continue;
+  } catch (err) {
+    console.log(`Failed to read the pipeline files in ${dir}:`);
+    console.log(err);
+  };
+
+  return pipelines;
+}
+
+function getPipelines() {
+  const ps = {};
+  Object.assign(ps, readDirAbsPath(belacoderPipelinesDir + '/custom/'));
+
+  // Get the hardware-specific pipelines
+  let excludePipelines;
+  if (setup.hw == 'rk3588' && !fs.existsSync('/dev/hdmirx')) {
+    excludePipelines = 'h265_hdmi';
+  }
+  Object.assign(ps, readDirAbsPath(belacoderPipelinesDir + `/${setup.hw}/`, excludePipelines));
+
+  Object.assign(ps, readDirAbsPath(belacoderPipelinesDir + '/generic/'));
+
+  for (const dir of [setup.hw, 'generic']) {
+    const templatesDir = `${PIPELINE_TEMPLATES_DIR}/${dir}/`;
+    if (fs.existsSync(templatesDir)) {
+      Object.assign(ps, readDirAbsPath(templatesDir));
     }
+  }
 
-    // skip empty values
-    if (value == '--') continue;
+  for (const p in ps) {
+    // The files may be removed while reading them, e.g. during package updates
+    let props, template;
+    try {
+      props = pipelineGetAudioProps(ps[p].path);
+      template = pipelineGetParams(ps[p].path);
+    } catch (err) {
+      console.log(`Failed to read the pipeline ${ps[p].name}: ${err.message}`);
+      delete ps[p];
+      continue;
+    }
+    Object.assign(ps[p], props);
 
-    output[key] = value;
+    if (template.error) {
+      console.log(`Ignoring the pipeline ${ps[p].name}: ${template.error}`);
+      delete ps[p];
+    } else if (template.params.length) {
+      ps[p].params = template.params;
+    }
   }
 
-  return output;
+  return ps;
 }
+let pipelines = getPipelines();
 
-function mmConvertNetworkType(mmType) {
-  const typeMatch = mmType.match(/^allowed: (.+); preferred: (.+)$/);
-  const label = typeMatch[1].split(/,? /).sort().reverse().join('');
-  const allowed = typeMatch[1].replace(/,? /g, '|');
-  const preferred = typeMatch[2];
-  return {label, allowed, preferred};
+function refreshPipelines() {
+  const prevList = JSON.stringify(getPipelineList());
+  pipelines = getPipelines();
+  pipelinesCheckConfigured();
+
+  if (JSON.stringify(getPipelineList()) == prevList) return;
+  console.log('pipelines updated');
+  broadcastMsg('pipelines', getPipelineList());
 }
 
-function mmConvertNetworkTypes(mmTypes) {
-  const types = {};
-  for (const mmType of mmTypes) {
-    const type = mmConvertNetworkType(mmType);
-    if (!types[type.label] || types[type.label].preferred == 'none' || types[type.label].preferred < type.preferred) {
-      types[type.label] = {allowed: type.allowed, preferred: type.preferred};
+function pipelinesCheckConfigured() {
+  if (!config.pipeline || pipelines[config.pipeline]) {
+    if (notificationExists('pipeline_missing')) {
+      notificationRemove('pipeline_missing');
     }
+    return;
   }
-  return types;
+
+  const msg = 'The selected pipeline is no longer available. Please select another one';
+  notificationBroadcast('pipeline_missing', 'warning', msg, 0, true, true);
 }
 
-function mmConvertAccessTech(accessTechs) {
-  if (!accessTechs || accessTechs.length == 0) {
-    return;
-  }
+/*
+  Reload the pipelines when the files change, e.g. after a belacoder update
+  or when adding custom pipelines, and the belaUI templates. The directories
+  are watched again after each reload, as package updates can replace them.
+  On rk3588 we also watch for /dev/hdmirx, which decides if the HDMI input
+  pipelines are listed.
+*/
+const PIPELINES_RELOAD_DELAY = 1000;
+const pipelinesWatchers = {};
+let pipelinesReloadTimer;
 
-  const accessTechToGen = {
-    'gsm': '2G',
-    'umts': '3G',
-    'hsdpa': '3G+',
-    'hsupa': '3G+',
-    'lte': '4G',
-    '5gnr': '5G'
-  };
-  // Return the highest gen for situations such as 5G NSA, which will report "lte, 5gnr"
-  let gen = '';
-  for (const t of accessTechs) {
-    if (accessTechToGen[t] > gen) {
-      gen = accessTechToGen[t];
-    }
-  }
+function pipelinesScheduleReload() {
+  if (pipelinesReloadTimer) clearTimeout(pipelinesReloadTimer);
 
-  // If we only encountered unknown access techs, simply return the first one
-  if (!gen) return accessTechs[0];
-  return gen;
+  pipelinesReloadTimer = setTimeout(function() {
+    pipelinesReloadTimer = undefined;
+    pipelinesWatch();
+    refreshPipelines();
+  }, PIPELINES_RELOAD_DELAY);
 }
 
-async function mmList() {
+function pipelinesWatchDir(dir, filter) {
+  let ino;
   try {
-    const result = await execFileP("mmcli", ["-K", "-L"]);
-    const modems = mmcliParseSep(result.stdout.toString("utf-8"))['modem-list'];
-    let list = [];
-    for (const m of modems) {
-      const id = m.match(/\/org\/freedesktop\/ModemManager1\/Modem\/(\d+)/);
-      if (id) {
-        list.push(parseInt(id[1]));
-      }
-    }
-    return list;
-  } catch ({message}) {
-    console.log(`mmList err: ${message}`);
+    ino = fs.statSync(dir).ino;
+  } catch (err) {}
+
+  const prev = pipelinesWatchers[dir];
+  if (prev) {
+    if (prev.ino === ino) return;
+    prev.watcher.close();
+    delete pipelinesWatchers[dir];
   }
-}
+  if (ino === undefined) return;
 
-async function mmGetModem(id) {
   try {
-    const result = await execFileP("mmcli", ["-K", "-m", id]);
-    return mmcliParseSep(result.stdout.toString("utf-8"));
-  } catch ({message}) {
-    console.log(`mmGetModem err: ${message}`);
+    const watcher = fs.watch(dir, function(event, filename) {
+      if (filter && filename != filter) return;
+      pipelinesScheduleReload();
+    });
+    watcher.on('error', function() {
+      watcher.close();
+      delete pipelinesWatchers[dir];
+      pipelinesScheduleReload();
+    });
+    pipelinesWatchers[dir] = {watcher, ino};
+  } catch (err) {
+    console.log(`Failed to watch ${dir} for changes: ${err.message}`);
   }
 }
 
-async function mmGetSim(id) {
-  try {
-    const result = await execFileP("mmcli", ["-K", "-i", id]);
-    return mmcliParseSep(result.stdout.toString("utf-8"));
-  } catch ({message}) {
-    console.log(`mmGetSim err: ${message}`);
+function pipelinesWatch() {
+  pipelinesWatchDir(belacoderPipelinesDir);
+  for (const dir of ['custom', setup.hw, 'generic']) {
+    pipelinesWatchDir(`${belacoderPipelinesDir}/${dir}`);
+  }
+  pipelinesWatchDir(PIPELINE_TEMPLATES_DIR);
+  for (const dir of [setup.hw, 'generic']) {
+    pipelinesWatchDir(`${PIPELINE_TEMPLATES_DIR}/${dir}`);
+  }
+  if (setup.hw == 'rk3588') {
+    pipelinesWatchDir('/dev', 'hdmirx');
   }
 }
+pipelinesWatch();
 
-async function mmSetNetworkTypes(id, allowed, preferred) {
-  try {
-    let args = [
-      "-m", id,
-      `--set-allowed-modes=${allowed}`
-    ];
-    if (preferred != 'none') {
-      args.push(`--set-preferred-mode=${preferred}`);
-    }
-    const result = await execFileP("mmcli", args);
-    return result.stdout.match(/successfully set current modes in the modem/);
-  } catch ({message}) {
-    console.log(`mmSetNetworkTypes err: ${message}`);
-  }
+function searchPipelines(id) {
+  if (pipelines[id]) return pipelines[id];
+  return null;
 }
 
-async function mmNetworkScan(id, timeout=240) {
-  try {
-    const result = await execFileP("mmcli", [`--timeout=${timeout}`, "-K", "-m", id, "--3gpp-scan"]);
-    const networks = mmcliParseSep(result.stdout.toString("utf-8"))['modem.3gpp.scan-networks'];
-    const parsed = networks.map(function(n) {
-      const info = n.split(/, */);
-      const output = {};
-      for (const entry of info) {
-        const kv = entry.split(/: */);
-        output[kv[0]] = kv[1];
-      }
-      return output;
-    });
-    return parsed;
-  } catch ({message}) {
-    console.log(`mmNetworkScan err: ${message}`);
+// pipeline list in the format needed by the frontend
+function getPipelineList() {
+  const list = {};
+  for (const id in pipelines) {
+    list[id] = {name: pipelines[id].name, asrc: pipelines[id].asrc, acodec: pipelines[id].acodec,
+                vsrc: pipelines[id].vsrc, params: pipelines[id].params};
   }
+  return list;
 }
 
 
 /*
-  ModemManager / NetworkManager based modem management
-
-  Structs:
-
-  Modem list <modems>:
-  {
-    MMid: <modem>
-  }
-
-  Individual modem struct <modem>:
-  {
-    ifname: wwan0,
-    name: "QUECTEL Broadband Module - 00000 | VINAPHONE", <Model - partial IMEI | SIM provider>
-    network_type: {
-      supported: ['2g', 3g', '3g4g', '4g'],
-      config: '3g4g',
-    },
-    is_scanning: true/undefined,
-    inhibit: true/undefined, // don't bring up automatically
-    config: {
-      conn: 'nmUuid',
-      autoconfig: true/false, // only if(setup.has_gsm_autoconfig)
-      apn: '',
-      username: '',
-      password: '',
-      roaming: true/false,
-      network: ''
-    },
-    status: {
-      state: 'connecting', 'connected', 'disconnected', etc
-      network: '<GSM NETWORK NAME>',
-      network_type: 3g/4g,
-      signal: 0-100,
-      roaming: true/false,
-    }
-    available_networks: undefined or {
-      'id': {
-        name: '',
-        availability: 'available', 'forbidden', etc
-      }
-    }
-  }
+  Custom pipeline editor
+
+  Expects one of:
+  {list: true}
+  {get: {name}}
+  {validate: {contents}}
+  {create: {name, contents}}
+  {update: {name, contents}}
+  {delete: {name}}
+
+  The custom pipelines are stored in <belacoderPipelinesDir>/custom. Before
+  saving, a pipeline is parsed with gst-launch, with an unknown element
+  appended to it. gst-launch exits without changing the state of the pipeline
+  if any elements are missing, so no devices or files are opened, and the
+  pipeline is valid if the appended element is the only error reported.
+  Only the syntax, elements and properties are checked this way, not the links.
 */
-let modems = {};
+const CUSTOM_PIPELINE_MAX_SIZE = 16 * 1024;
+const CUSTOM_PIPELINE_CHECK_TIMEOUT = 5000;
+const CUSTOM_PIPELINE_CHECK_SENTINEL = 'belaui_parse_check';
 
-let gsmOperatorsCache = {};
-try {
-  gsmOperatorsCache = JSON.parse(fs.readFileSync(GSM_OPERATORS_CACHE_FILE, 'utf8'));
-} catch(err) {
-  console.log("Failed to load the persistent GSM operators cache, starting with an empty cache");
-}
-async function gsmOperatorsAdd(id, name) {
-  if (!gsmOperatorsCache[id] || gsmOperatorsCache[id] != name) {
-    gsmOperatorsCache[id] = name;
-    await writeTextFile(GSM_OPERATORS_CACHE_FILE, JSON.stringify(gsmOperatorsCache));
-  }
+function customPipelinesDir() {
+  return belacoderPipelinesDir + '/custom/';
 }
 
-async function getGsmConns() {
-  let byDevice = {};
-  let byOperator = {};
-  let byUuid = {};
-
-  const conns = await nmConnsGet("uuid,type,state");
-  for (const c of conns) {
-    const [uuid, type, state] = nmcliParseSep(c);
-
-    if (type != 'gsm') continue;
-
-    let fields = "gsm.device-id,gsm.sim-id,gsm.sim-operator-id,gsm.apn,gsm.username,gsm.password,gsm.home-only,gsm.network-id"
-    if (setup.has_gsm_autoconfig) {
-      fields += ",gsm.auto-config";
-    }
-    const connInfo = await nmConnGetFields(uuid, fields);
-
-    const deviceId = connInfo[0];
-    const simId = connInfo[1];
-    const operatorId = connInfo[2];
-    const apn = connInfo[3];
-    const username = connInfo[4];
-    const password = connInfo[5];
-    const roaming = (connInfo[6] == 'no');
-    const network = connInfo[7];
-
-    const conn = {state, uuid, deviceId, simId, operatorId, apn, username, password, roaming, network};
-    if (setup.has_gsm_autoconfig) {
-      conn.autoconfig = (connInfo[8] == 'yes');
-    }
-
-    byUuid[uuid] = conn;
-
-    if (deviceId && simId) {
-      if (!byDevice[deviceId]) {
-        byDevice[deviceId] = {};
-      }
-      byDevice[deviceId][simId] = conn;
-    }
-
-    if (operatorId) {
-      byOperator[operatorId] = conn;
-    }
-  }
-
-  return {byDevice, byOperator, byUuid};
+function customPipelineValidateName(name) {
+  return typeof name == 'string' && name.match(/^[A-Za-z0-9_\-][A-Za-z0-9_\-.]{0,63}$/);
 }
 
-function modemConfigSantizeToNM(config) {
-  fields = {};
-  if (setup.has_gsm_autoconfig) {
-    fields['gsm.auto-config'] = (config.autoconfig ? 'yes' : 'no');
-    if (config.autoconfig) {
-      config.apn = '';
-      config.username = '';
-      config.password = '';
+function customPipelineCheckSyntax(contents) {
+  return new Promise(function(resolve) {
+    if (!fs.existsSync(gstLaunchExec)) {
+      resolve({skipped: true});
+      return;
     }
-  } else {
-    delete config.autoconfig;
-  }
-  fields['gsm.apn'] = config.apn;
-  fields['gsm.username'] = config.username;
-  fields['gsm.password'] = config.password;
-  fields['gsm.password-flags'] = (!config.password ? 4 : 0);
-  fields['gsm.home-only'] = (config.roaming ? 'no': 'yes');
-  fields['gsm.network-id'] = (config.roaming ? config.network : '');
 
-  return fields;
-}
+    let stderr = '';
+    let done = false;
+    const finish = function(result) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      gstLaunch.kill('SIGKILL');
+      resolve(result);
+    };
 
-async function modemGetConfig(modemInfo, simInfo, gsmConns) {
-  if (!modemInfo || !simInfo || !gsmConns) return;
+    const gstLaunch = spawn(gstLaunchExec, [`${contents} ${CUSTOM_PIPELINE_CHECK_SENTINEL}`]);
+    const timer = setTimeout(function() {
+      finish({error: 'Timed out while checking the pipeline'});
+    }, CUSTOM_PIPELINE_CHECK_TIMEOUT);
 
-  const modemId = modemInfo['modem.generic.device-identifier'];
-  const simId = simInfo['sim.properties.iccid'];
-  const operatorId = simInfo['sim.properties.operator-code'];
-  let config;
+    gstLaunch.stdout.on('data', function(data) {
+      // Shouldn't happen, but never let the pipeline start
+      if (data.toString('utf8').match(/Setting pipeline to/)) {
+        finish({error: 'Failed to check the pipeline'});
+      }
+    });
+    gstLaunch.stderr.on('data', function(data) {
+      stderr += data.toString('utf8');
+    });
+    gstLaunch.on('error', function(err) {
+      finish({skipped: true});
+    });
+    gstLaunch.on('close', function() {
+      const err = stderr.match(/(?:erroneous pipeline|could not be constructed): (.+)/);
+      if (err && err[1].includes(`no element "${CUSTOM_PIPELINE_CHECK_SENTINEL}"`)) {
+        finish({});
+        return;
+      }
+      finish({error: err ? err[1] : 'Failed to parse the pipeline'});
+    });
+  });
+}
 
-  if (gsmConns.byDevice[modemId] && gsmConns.byDevice[modemId][simId]) {
-    const ci = gsmConns.byDevice[modemId][simId];
-    config = {conn: ci.uuid, autoconfig: ci.autoconfig, apn: ci.apn, username: ci.username,
-              password: ci.password, roaming: ci.roaming, network: ci.network};
-    console.log(`Found NM connection ${config.conn} for modem ${modemId}`);
-    return config;
+async function customPipelineValidate(contents) {
+  if (typeof contents != 'string' || contents.trim() == '') {
+    return {valid: false, error: 'The pipeline is empty'};
+  }
+  if (contents.length > CUSTOM_PIPELINE_MAX_SIZE) {
+    return {valid: false, error: 'The pipeline is too long'};
+  }
+  if (!contents.match(/appsink\s+name=appsink/)) {
+    return {valid: false, error: 'The pipeline must end with "appsink name=appsink"'};
   }
 
-  if (gsmConns && gsmConns.byOperator[operatorId]) {
-    // Copy the settings from an existing config for the same operator
-    const ci = gsmConns.byOperator[operatorId];
-    config = {autoconfig: ci.autoconfig, apn: ci.apn, username: ci.username, password: ci.password,
-              roaming: ci.roaming, network: ci.network};
-  } else {
-    // New connection profile
-    config = {autoconfig: true, apn: 'internet', username: '', password: '', roaming: true, network: ''};
+  const template = pipelineParseParams(contents);
+  if (template.error) {
+    return {valid: false, error: `Template error: ${template.error}`};
   }
 
-  // The NM connection doesn't exist yet, create it
-  //const autoconnect = (modemInfo['modem.3gpp.registration-state'] != 'idle') ? 'yes' : 'no';
-  const nmConfig = {
-    'type': 'gsm',
-    'ifname': '', // can be empty for gsm connections, matching by device-id and sim-id
-    'autoconnect': 'yes',
-    'connection.autoconnect-retries': 10,
-    'ipv6.method': 'ignore',
-    'gsm.device-id': modemId,
-    'gsm.sim-operator-id': operatorId,
-    'gsm.sim-id': simId
-  };
-  Object.assign(nmConfig, modemConfigSantizeToNM(config))
-  const uuid = await nmConnAdd(nmConfig);
-  if (uuid) {
-    config.conn = uuid;
-    console.log(`Created NM connection ${uuid} for ${modemId}`);
-    console.log(config);
+  const result = {valid: true, warnings: [], params: template.params};
+  Object.assign(result, pipelineContentsGetAudioProps(contents));
+  if (!result.asrc) {
+    result.warnings.push('No "alsasrc device=..." element found, the audio source can\'t be selected');
+  }
+  if (!result.acodec) {
+    result.warnings.push('No "voaacenc bitrate=... ! aacparse" elements found, the audio codec can\'t be selected');
   }
 
-  return config;
+  // The syntax is checked with the default values of the parameters
+  const defaults = pipelineResolveParams(template.params, {}).values;
+  const check = await customPipelineCheckSyntax(pipelineSubstituteParams(contents, template.params, defaults));
+  if (check.error) {
+    result.valid = false;
+    result.error = check.error;
+  } else if (check.skipped) {
+    result.warnings.push(`${gstLaunchExec} not found, the pipeline syntax wasn't checked`);
+  }
+
+  return result;
 }
 
-function modemUpdateStatus(modemInfo, modem) {
-  // Some modems don't seem to always report the operator's name
-  let network = modemInfo['modem.3gpp.operator-name'];
-  if (!network && modemInfo['modem.3gpp.registration-state'] == 'home') {
-    network = modem.sim_network;
+function customPipelinesList() {
+  try {
+    return fs.readdirSync(customPipelinesDir()).sort();
+  } catch (err) {
+    return [];
   }
-  const network_type = mmConvertAccessTech(modemInfo['modem.generic.access-technologies']);
-  const signal = modemInfo['modem.generic.signal-quality.value'];
-  const roaming = modemInfo['modem.3gpp.registration-state'] == 'roaming';
-  let connection = modem.is_scanning ? 'scanning' : modemInfo['modem.generic.state'];
-
-  modem.status = {connection, network, network_type, signal, roaming};
 }
 
-async function modemNetworkScan(id) {
-  const modem = modems[id];
+function customPipelineError(conn, msg) {
+  notificationSend(conn, "custom_pipeline_error", "error", msg, 10);
+}
 
-  if (!modem || !modem.config || !modem.status || modem.is_scanning) return;
+async function handleCustomPipelines(conn, msg) {
+  const senderId = conn.senderId;
+  const reply = function(data) {
+    conn.send(buildMsg('custom_pipelines', data, senderId));
+  };
 
-  modem.is_scanning = true;
+  for (const type in msg) {
+    const m = msg[type];
 
-  if (modem.config && modem.config.conn) {
-    await nmDisconnect(modem.config.conn);
-  }
-  const results = await mmNetworkScan(id);
+    if (type == 'list') {
+      reply({list: customPipelinesList()});
+      continue;
+    }
 
-  delete modem.is_scanning;
+    if (type == 'validate') {
+      if (!m || typeof m != 'object') continue;
+      reply({validation: await customPipelineValidate(m.contents)});
+      continue;
+    }
 
-  /* Even if no new results are returned, resend the old ones
-     to inform the clients that the scan was completed */
-  if (!results) {
-    broadcastModemAvailableNetworks(id);
-    return;
-  }
+    if (!m || typeof m != 'object') continue;
+    if (!customPipelineValidateName(m.name)) {
+      customPipelineError(conn, "Invalid pipeline name");
+      continue;
+    }
 
-  /* Some (but not all) modems return separate results for each network type (3G, 4G, etc),
-     but we merge them as we have a separate network type setting */
-  const availableNetworks = {};
-  for (const r of results) {
-    const code = r['operator-code'];
-    /* We rewrite 'current' to 'available' as these results are cached
-       and could be shown even after switching to a different network.
-       We remove the availability info if 'unknown' */
-    switch (r.availability) {
-      case 'current':
-        r.availability = 'available';
-        break;
-      case 'unknown':
-        delete r.availability;
+    const file = customPipelinesDir() + m.name;
+    const exists = fs.existsSync(file);
+    switch (type) {
+      case 'get': {
+        const contents = exists ? await readTextFile(file) : undefined;
+        if (contents === undefined) {
+          customPipelineError(conn, "Pipeline not found");
+          break;
+        }
+        reply({pipeline: {name: m.name, contents}});
         break;
-    }
-    if (availableNetworks[code]) {
-      if (r.availability == 'available' && availableNetworks[code].availability != 'available') {
-        availableNetworks[code].availability = 'available';
       }
-    } else {
-      availableNetworks[code] = {
-        name: r['operator-name'],
-        availability: r['availability']
-      };
-    }
-  }
 
-  modem.available_networks = availableNetworks;
-  broadcastModemAvailableNetworks(id);
-}
+      case 'create':
+      case 'update': {
+        if (type == 'create' && exists) {
+          customPipelineError(conn, `A pipeline named ${m.name} already exists`);
+          break;
+        }
+        if (type == 'update' && !exists) {
+          customPipelineError(conn, "Pipeline not found");
+          break;
+        }
 
-async function registerModem(id) {
-  if (modems[id]) {
-    console.log(`Trying to register existing modem id ${id}`);
-    return;
-  }
+        const validation = await customPipelineValidate(m.contents);
+        reply({validation});
+        if (!validation.valid) break;
 
-  // Get all the required info for the modem
-  const modemInfo = await mmGetModem(id);
-  if (!modemInfo) return false;
+        try {
+          fs.mkdirSync(customPipelinesDir(), {recursive: true});
+        } catch (err) {}
+        if (!(await writeTextFile(file, m.contents))) {
+          customPipelineError(conn, "Failed to save the pipeline");
+          break;
+        }
 
-  let simInfo, config;
-  if (modemInfo['modem.generic.sim']) {
-    const simId = modemInfo['modem.generic.sim'].match(/\/org\/freedesktop\/ModemManager1\/SIM\/(\d+)/);
-    if (simId) {
-      simInfo = await mmGetSim(simId[1]);
-      // If a SIM is present, try to find a matching NM connection or create one
-      if (simInfo) {
-        if (!gsmConns) {
-          gsmConns = await getGsmConns();
+        refreshPipelines();
+        reply({list: customPipelinesList()});
+        break;
+      }
+
+      case 'delete': {
+        if (!exists) {
+          customPipelineError(conn, "Pipeline not found");
+          break;
         }
-        config = await modemGetConfig(modemInfo, simInfo, gsmConns);
+        const id = pipelineGenId('custom/' + m.name);
+        if (isStreaming && config.pipeline == id) {
+          customPipelineError(conn, "Can't delete the pipeline used by the current stream");
+          break;
+        }
+
+        try {
+          fs.unlinkSync(file);
+        } catch (err) {
+          customPipelineError(conn, `Failed to delete the pipeline: ${err.message}`);
+          break;
+        }
+
+        refreshPipelines();
+        reply({list: customPipelinesList()});
+        break;
       }
     }
   }
+}
 
-  // Find the network interface name
-  let ifname;
-  for (const port of modemInfo['modem.generic.ports']) {
-    const pattern = / \(net\)$/;
-    if (port.match(pattern)) {
-      ifname = port.replace(pattern, '');
-      break;
-    }
-  }
 
-  // Find the current network type
-  let networkType = mmConvertNetworkType(modemInfo['modem.generic.current-modes']);
+/*
+  Device hot-plug
 
-  // Find the supported network types
-  const networkTypes = mmConvertNetworkTypes(modemInfo['modem.generic.supported-modes']);
+  The sound, USB and video4linux devices are monitored with udevadm, which
+  also reports the kernel uevents when the udev rules aren't installed. If
+  udevadm can't be used, the device directories in /sys are polled instead.
 
-  // Make sure the current mode is on the list
-  if (networkType && !networkTypes[networkType.label]) {
-    networkTypes[networkType.label] = {allowed: networkType.allowed, preferred: networkType.preferred};
-  }
-  networkType = networkType.label;
+  On BELABOX, the udev rules also send a SIGUSR2 when:
+   * an Elgato USB device is plugged in or out
+   * a USB audio card is plugged in or out
 
-  let partialImei = modemInfo['modem.generic.equipment-identifier'];
-  partialImei = partialImei.substr(partialImei.length - 5, 5);
-  const hwName = `${modemInfo['modem.generic.model']} - ${partialImei}`
+  Plugging in a single device generates many events, so they are debounced.
+*/
+const DEVICE_UPDATE_DELAY = 1000;
+const DEVICE_POLL_INTERVAL = 2000;
+const devicePollDirs = ['/sys/class/sound', '/sys/bus/usb/devices', '/sys/class/video4linux'];
 
-  let simNetwork = '<NO SIM>';
-  if (simInfo) {
-    simNetwork = simInfo['sim.properties.operator-name'] || 'Unknown';
-  }
+let deviceUpdateTimer;
+function udevDeviceUpdate() {
+  deviceUpdateTimer = undefined;
+  checkCamlinkUsb2();
+  updateAudioDevices();
+  updateVideoDevices();
+}
 
-  const modem = {};
-  modem.ifname = ifname;
-  modem.name = `${hwName} | ${simNetwork}`;
-  modem.sim_network = simNetwork;
-  modem.network_type = {};
-  modem.network_type.supported = networkTypes;
-  modem.network_type.active = networkType;
-  modem.config = config;
-  modemUpdateStatus(modemInfo, modem);
+function deviceUpdateSchedule() {
+  if (deviceUpdateTimer) clearTimeout(deviceUpdateTimer);
+  deviceUpdateTimer = setTimeout(udevDeviceUpdate, DEVICE_UPDATE_DELAY);
+}
 
-  modems[id] = modem;
+process.on('SIGUSR2', function() {
+  console.log("SIGUSR2");
+  deviceUpdateSchedule();
+});
 
-  return true;
+let devicePollState;
+async function devicePoll() {
+  const state = [];
+  for (const dir of devicePollDirs) {
+    try {
+      state.push((await readdirP(dir)).sort().join(','));
+    } catch (err) {
+      state.push('');
+    }
+  }
+
+  const stateStr = state.join('|');
+  if (devicePollState !== undefined && stateStr != devicePollState) {
+    deviceUpdateSchedule();
+  }
+  devicePollState = stateStr;
 }
 
-function modemGetAvailableNetworks(modem) {
-  if (!modem.config || modem.config.network == '') return modem.available_networks || {};
+let devicePollTimer;
+function devicePollStart() {
+  if (devicePollTimer) return;
+  console.log('device monitor: polling for device changes');
+  devicePoll();
+  devicePollTimer = setInterval(devicePoll, DEVICE_POLL_INTERVAL);
+}
 
-  let networks = Object.assign({}, modem.available_networks);
-  if (!modem.available_networks) {
-    const name = gsmOperatorsCache[modem.config.network] || `Operator ID ${modem.config.network}`;
-    networks[modem.config.network] = {name};
-  } else if (!modem.available_networks[modem.config.network]) {
-    networks[modem.config.network] = {name: 'Test', availability: 'unavailable'};
+function deviceMonitorStart() {
+  const args = ['monitor', '--kernel', '--udev'];
+  for (const subsystem of ['sound', 'usb', 'video4linux']) {
+    args.push(`--subsystem-match=${subsystem}`);
   }
+  const monitor = spawn('udevadm', args);
 
-  return networks;
+  monitor.stdout.on('data', function(data) {
+    if (data.toString('utf8').match(/^(KERNEL|UDEV)\s*\[/m)) {
+      deviceUpdateSchedule();
+    }
+  });
+  monitor.on('error', function(err) {
+    console.log(`device monitor: failed to run udevadm: ${err.message}`);
+  });
+  monitor.on('close', function() {
+    devicePollStart();
+  });
 }
+deviceMonitorStart();
 
-function modemsBuildMsg(modemsFullState = undefined) {
-  let msg = {};
-  for (const i in modems) {
-    const full = (modemsFullState == undefined || modemsFullState[i]);
-
-    msg[i] = {};
 
-    if (full) {
-      msg[i].ifname = modems[i].ifname;
-      msg[i].name = modems[i].name;
-      msg[i].network_type = {};
-      msg[i].network_type.supported = Object.keys(modems[i].network_type.supported);
-      msg[i].network_type.active = modems[i].network_type.active;
+/*
+  Streaming profiles
 
-      if (modems[i].config) {
-        msg[i].config = {};
-        if (setup.has_gsm_autoconfig) {
-          msg[i].config.autoconfig = modems[i].config.autoconfig;
-        }
-        msg[i].config.apn = modems[i].config.apn;
-        msg[i].config.username = modems[i].config.username;
-        msg[i].config.password = modems[i].config.password;
-        msg[i].config.roaming = modems[i].config.roaming;
-        msg[i].config.network = modems[i].config.network;
-      } else {
-        msg[i].no_sim = true;
-      }
+  Named sets of stream settings persisted to PROFILES_FILE. The settings of the
+  active profile (config.profile) are mirrored in the flat config fields, which
+  are what the rest of belaUI uses. updateConfig() writes any changes back to
+  the active profile
 
-      msg[i].available_networks = modemGetAvailableNetworks(modems[i]);
+  Profile list <profiles>:
+  {
+    id: {
+      name: 'IRL walk',
+      config: {pipeline, asrc, acodec, ...} // see profileConfigFields
     }
+  }
+*/
+const profileConfigFields = ['pipeline', 'vsrc', 'asrc', 'acodec', 'abitrate', 'arate', 'delay', 'max_br', 'srt_latency', 'bitrate_overlay',
+                             'relay_server', 'relay_account', 'srtla_addr', 'srtla_port', 'srt_streamid',
+                             'record', 'record_storage', 'record_split', 'destinations', 'relay_failover', 'relay_failover_attempts', 'pipeline_params', 'audio_mix'];
 
-    if (!modems[i].status) continue;
+let profiles = {};
+try {
+  profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+} catch(err) {
+  console.log("Failed to load the streaming profiles, starting with an empty list");
+}
 
-    msg[i].status = {};
-    msg[i].status.connection = modems[i].status.connection;
-    msg[i].status.network = modems[i].status.network;
-    msg[i].status.network_type = modems[i].status.network_type;
-    msg[i].status.signal = modems[i].status.signal;
-    msg[i].status.roaming = modems[i].status.roaming;
+function saveProfiles() {
+  fs.writeFileSync(PROFILES_FILE, JSON.stringify(profiles));
+}
+
+function genProfileId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function profileGetConfig(c) {
+  const pc = {};
+  for (const f of profileConfigFields) {
+    if (c[f] !== undefined) {
+      pc[f] = c[f];
+    }
   }
+  return pc;
+}
 
-  return msg;
+function profileValidateName(name) {
+  if (typeof name != 'string') return;
+  name = name.trim();
+  if (name.length < 1 || name.length > 64) return;
+  return name;
 }
 
-function broadcastModems(modemsFullState = undefined) {
-  broadcastMsg('status', {modems: modemsBuildMsg(modemsFullState)});
+// Migrate the settings of existing installations to a default profile
+if (Object.keys(profiles).length == 0) {
+  const id = genProfileId();
+  profiles[id] = {name: 'Default', config: profileGetConfig(config)};
+  config.profile = id;
+  saveProfiles();
+  saveConfig();
+} else if (!Object.prototype.hasOwnProperty.call(profiles, config.profile)) {
+  config.profile = Object.keys(profiles)[0];
+  saveConfig();
 }
 
-function modemBuildAvailableNetworksMessage(id) {
-  const msg = {};
+// Profile ids come from the clients, so only accept the profiles' own keys
+function profileGet(id) {
+  if (typeof id == 'string' && Object.prototype.hasOwnProperty.call(profiles, id)) return profiles[id];
+}
 
-  for (const i in modems) {
-    msg[i] = {};
-    if (id == i) {
-      msg[i].available_networks = modemGetAvailableNetworks(modems[i]);
-    }
+function buildProfilesMsg() {
+  const msg = {};
+  for (const id in profiles) {
+    msg[id] = {name: profiles[id].name};
   }
-
   return msg;
 }
 
-function broadcastModemAvailableNetworks(id) {
-  broadcastMsg('status', {modems: modemBuildAvailableNetworksMessage(id)});
+function broadcastProfiles() {
+  broadcastMsg('profiles', buildProfilesMsg());
 }
 
-// Global variable, to allow fetching once in updateModems() and reuse in registerModem()
-let gsmConns;
+// Called after the stream settings in config have been updated
+function profileSaveActive() {
+  const profile = profileGet(config.profile);
+  if (!profile) return;
 
-async function updateModems() {
-  for (const m in modems) {
-    modems[m].removed = true;
+  profile.config = profileGetConfig(config);
+  saveProfiles();
+}
+
+function profileActivate(id) {
+  for (const f of profileConfigFields) {
+    delete config[f];
   }
-  const modemList = await mmList() || {};
+  Object.assign(config, profiles[id].config);
+  config.profile = id;
+  saveConfig();
 
-  // NM gsm connections to match with new modems - filled on demand if any new modems have been found
-  gsmConns = undefined;
-  let newModems = {};
+  broadcastMsg('config', config);
+}
 
-  for (const m of modemList) {
-    if (modems[m]) {
-      // The modem is already registered, unmark it for deletion
-      delete modems[m].removed;
+function profileError(conn, msg) {
+  notificationSend(conn, "profile_error", "error", msg, 10);
+}
 
-      const modemInfo = await mmGetModem(m);
-      if (!modemInfo) continue;
+/*
+  Expects one of:
+  {create: {name}}
+  {rename: {id, name}}
+  {duplicate: {id, name}}
+  {delete: {id}}
+  {activate: {id}}
+*/
+function handleProfiles(conn, msg) {
+  for (const type in msg) {
+    const m = msg[type];
+    if (!m || typeof m != 'object') continue;
 
-      const modem = modems[m];
-      modemUpdateStatus(modemInfo, modem);
+    if (type != 'create' && !profileGet(m.id)) {
+      profileError(conn, "Profile not found");
+      continue;
+    }
 
-      // If the modem has an inactive NM connection and isn't otherwise busy, then try to bring it up
-      if (!modem.inhibit && !modem.is_scanning &&
-          modem.status && (modem.status.connection == 'registered' || modem.status.connection == 'enabled') &&
-          modem.config && modem.config.conn) {
-        // Don't try to activate NM connections that are already active
-        const nmConnection = (await nmConnGetFields(modem.config.conn, 'GENERAL.STATE'));
-        if (nmConnection.length == 1) {
-          console.log(`Trying to bring up connection ${modem.config.conn} for modem ${m}...`);
-          nmConnect(modem.config.conn);
-        }
-      }
-    } else {
-      if (await registerModem(m)) {
-        newModems[m] = true;
-        console.log(JSON.stringify(modems[m], undefined, 2));
+    let name;
+    if (type == 'create' || type == 'rename' || type == 'duplicate') {
+      name = profileValidateName(m.name);
+      if (!name) {
+        profileError(conn, "The profile name must be between 1 and 64 characters long");
+        continue;
       }
     }
-  } // for (const m of modemList)
 
-  // If any modems were removed, delete them
-  for (const m in modems) {
-    if (modems[m].removed) {
-      console.log(`Modem ${m} removed`);
-      delete modems[m];
+    switch (type) {
+      case 'create': {
+        // The new profile is created from the current settings and becomes the active one
+        const id = genProfileId();
+        profiles[id] = {name, config: profileGetConfig(config)};
+        saveProfiles();
+
+        config.profile = id;
+        saveConfig();
+
+        broadcastProfiles();
+        broadcastMsg('config', config);
+        break;
+      }
+      case 'rename':
+        profiles[m.id].name = name;
+        saveProfiles();
+        broadcastProfiles();
+        break;
+      case 'duplicate': {
+        const id = genProfileId();
+        profiles[id] = {name, config: Object.assign({}, profiles[m.id].config)};
+        saveProfiles();
+        broadcastProfiles();
+        break;
+      }
+      case 'delete':
+        if (Object.keys(profiles).length == 1) {
+          profileError(conn, "Can't delete the last profile");
+          break;
+        }
+        if (m.id == config.profile && (isStreaming || isUpdating())) {
+          profileError(conn, "Can't delete the active profile while streaming");
+          break;
+        }
+
+        delete profiles[m.id];
+        saveProfiles();
+        // Switch to another profile if deleting the active one
+        if (m.id == config.profile) {
+          profileActivate(Object.keys(profiles)[0]);
+        }
+        broadcastProfiles();
+        break;
+      case 'activate':
+        if (isStreaming || isUpdating()) {
+          profileError(conn, "Can't switch profiles while streaming");
+          break;
+        }
+        profileActivate(m.id);
+        break;
     }
   }
+}
 
-  broadcastModems(newModems);
 
-  setTimeout(updateModems, 1000);
-}
-updateModems();
+/*
+  Local stream recording
+
+  When enabled, the pipeline tees the muxed MPEG-TS stream to a local
+  tcpserversink. We connect to it and write the stream to files on removable
+  storage, splitting them by size or duration. The recording is best-effort:
+  any storage errors stop the recording, but never interrupt the SRT stream.
+  If the storage can't keep up, the data is dropped rather than buffered in
+  memory, and the recording resumes in a new file once the backlog is written.
+*/
+const RECORDING_DIR = 'belabox_recordings';
+const RECORDING_LOW_SPACE = 500 * 1024 * 1024;
+const RECORDING_MIN_SPACE = 50 * 1024 * 1024;
+const TS_PACKET_SIZE = 188;
+// Stop buffering writes above this and resume below half of it
+const RECORDING_MAX_BUFFERED = 32 * 1024 * 1024;
+
+const recordingSplitOptions = {
+  size_1g: {name: 'Every 1 GB', size: 1024 * 1024 * 1024},
+  size_2g: {name: 'Every 2 GB', size: 2 * 1024 * 1024 * 1024},
+  // Just under the 4 GB max file size of FAT32
+  size_4g: {name: 'Every 4 GB', size: 4 * 1024 * 1024 * 1024 - 1024 * 1024},
+  time_10m: {name: 'Every 10 minutes', duration: 10 * oneMinute},
+  time_30m: {name: 'Every 30 minutes', duration: 30 * oneMinute},
+  time_60m: {name: 'Every hour', duration: oneHour},
+};
+const recordingSplitDefault = 'size_2g';
 
-async function handleModemConfig(conn, msg) {
-  if (!msg.device || !modems[msg.device]) {
-    console.log(`Ignoring modem config for unknown modem ${msg.device}`);
-    return;
+function recordingSplitOptionsMsg() {
+  const map = {};
+  for (const s in recordingSplitOptions) {
+    map[s] = {name: recordingSplitOptions[s].name};
   }
+  return map;
+}
 
-  const modem = modems[msg.device];
-  if (!modem.config || !modem.config.conn) {
-    console.log(`Ignoring modem config for unconfigured modem ${msg.device}`);
-    console.log(modem.config);
-    return;
-  }
-  const connUuid = modem.config.conn;
-  if (!connUuid) {
-    console.log(`Ignoring modem config for modem ${msg.device} with no connection UUID`);
-    return;
-  }
+/* Recording state */
+const recording = {
+  active: false,
+  storage: undefined,
+  split: undefined,
+  socket: undefined,
+  retryTimer: undefined,
+  file: undefined,
+  stream: undefined,
+  written: 0,
+  startedAt: 0,
+  // bytes received from the current connection, to find the TS packet boundaries
+  received: 0,
+  // bytes dropped since the storage fell behind
+  dropped: 0,
+};
 
-  // Ensure the configuration message has all the required fields
-  if ((msg.roaming !== true && msg.roaming !== false) ||
-      (msg.autoconfig !== true && msg.autoconfig !== false) ||
-      (typeof msg.apn != 'string') ||
-      (typeof msg.username != 'string') ||
-      (typeof msg.password != 'string') ||
-      (typeof msg.network != 'string') ||
-      (typeof msg.network_type != 'string')) {
-    console.log(`Received invalid configuration for modem ${msg.device}`);
-    console.log(msg);
-    return;
-  }
+/* Removable storage detection */
+let recordingStorage = {};
 
-  // Ensure the selected network type is supported
-  const networkType = modem.network_type.supported[msg.network_type];
-  if (!networkType) {
-    console.log(`Received invalid network type ${msg.network_type} for modem ${msg.device}`);
-    return;
-  }
+function unescapeMountPath(p) {
+  return p.replace(/\\([0-7]{3})/g, function(m, oct) {
+    return String.fromCharCode(parseInt(oct, 8));
+  });
+}
 
-  // Only allow automatic network selection, the network previously saved, or a network included in the scan results
-  if (msg.network != '' && msg.network != modem.config.network &&
-      (!modem.available_networks || !modem.available_networks[msg.network])) {
-    console.log(`Received unavailable network ${msg.network} for modem ${msg.device}`);
-    return;
+async function getFreeSpace(dir) {
+  try {
+    const {stdout} = await execFileP('df', ['-P', '-B1', '--', dir]);
+    const fields = stdout.trim().split('\n')[1].split(/\s+/);
+    return {size: parseInt(fields[1]), free: parseInt(fields[3])};
+  } catch (err) {
+    return undefined;
   }
+}
 
-  // If a new network is selected, write it to the GSM operators cache
-  if (msg.network != '' && modem.available_networks && modem.available_networks[msg.network]) {
-    gsmOperatorsAdd(msg.network, modem.available_networks[msg.network].name);
+async function recordingUpdateStorage() {
+  const mountPrefixes = ['/media/', '/mnt/', '/run/media/'];
+  const dirs = [];
+
+  const mounts = await readTextFile('/proc/mounts');
+  if (mounts) {
+    for (const line of mounts.split('\n')) {
+      const fields = line.split(' ');
+      if (fields.length < 2) continue;
+      const mountPoint = unescapeMountPath(fields[1]);
+      if (mountPrefixes.some(function(p) { return mountPoint.startsWith(p); })) {
+        dirs.push(mountPoint);
+      }
+    }
   }
 
-  // Temporary config that we'll attempt to write
-  let updatedConfig = {
-    autoconfig: msg.autoconfig,
-    apn: msg.apn,
-    username: msg.username,
-    password: msg.password,
-    roaming: msg.roaming,
-    network: msg.network
+  // Extra locations, e.g. a directory on a large internal disk
+  if (Array.isArray(setup.recording_dirs)) {
+    for (const d of setup.recording_dirs) {
+      if (!dirs.includes(d)) dirs.push(d);
+    }
   }
-  // This also modifies config in place to clear apn/username/password if autoconfig is set
-  const result = await nmConnSetFields(connUuid, modemConfigSantizeToNM(updatedConfig));
-  if (result) {
-    // This preserves the 'conn' UUID value
-    Object.assign(modem.config, updatedConfig);
-  } else {
-    console.log(`Failed to update NM connection ${modem.config.conn} for modem ${msg.device} to:`);
-    console.log(updatedConfig);
+
+  const storage = {};
+  for (const dir of dirs) {
+    const space = await getFreeSpace(dir);
+    if (!space) continue;
+    storage[dir] = {name: path.basename(dir) || dir, size: space.size, free: space.free};
   }
 
-  // Bring the connection down to reload the settings, and set the network types, if needed
-  modem.inhibit = true;
-  await nmDisconnect(connUuid);
-  if (msg.network_type != modem.network_type.active) {
-    const result = await mmSetNetworkTypes(msg.device, networkType.allowed, networkType.preferred);
-    if (result) {
-      modem.network_type.active = msg.network_type;
-    }
+  const prevList = Object.keys(recordingStorage).join('\n');
+  recordingStorage = storage;
+
+  recordingCheckSpace();
+
+  // Free space changes constantly while recording, so only send it periodically
+  if (recording.file || Object.keys(storage).join('\n') != prevList) {
+    broadcastMsg('status', {recording: recordingBuildMsg()});
   }
-  delete modem.inhibit;
+}
+recordingUpdateStorage();
+setInterval(recordingUpdateStorage, 10000);
 
-  // Send the updated settings to the clients
-  const updatedModem = {};
-  updatedModem[msg.device] = true;
-  broadcastModems(updatedModem);
+function recordingBuildMsg() {
+  return {
+    active: recording.active,
+    file: recording.file,
+    storage_dir: recording.storage,
+    storage: recordingStorage,
+    split_options: recordingSplitOptionsMsg()
+  };
 }
 
-async function handleModemScan(conn, msg) {
-  if (!msg || !modems[msg.device]) return;
+function recordingGetDir(storage) {
+  return path.join(storage, RECORDING_DIR);
+}
 
-  await modemNetworkScan(msg.device);
+function recordingGenFilename() {
+  const d = new Date();
+  const pad = function(n) { return String(n).padStart(2, '0'); };
+  const date = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+  const time = `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+  return `belabox_${date}_${time}.ts`;
 }
 
-function handleModems(conn, msg) {
-  for (const type in msg) {
-    switch (type) {
-      case 'config':
-        handleModemConfig(conn, msg[type]);
-        break;
-      case 'scan':
-        handleModemScan(conn, msg[type]);
-        break;
-    }
-  }
+function recordingError(msg) {
+  console.log(`recording: ${msg}`);
+  notificationBroadcast('recording', 'error', msg, 10, true, true);
 }
 
+function recordingCloseFile() {
+  if (recording.stream) {
+    recording.stream.end();
+    recording.stream = undefined;
+  }
+  if (recording.file) {
+    recording.file = undefined;
+    broadcastMsg('status', {recording: recordingBuildMsg()});
+  }
+}
 
-/* Remote */
-/*
-  A brief remote protocol version history:
-  1 - initial remote release
-  2 - belaUI password setting feature
-  3 - apt update feature
-  4 - ssh manager
-  5 - wifi manager
-  6 - notification sytem
-  7 - support for config.bitrate_overlay
-  8 - support for netif error
-  9 - support for the get_log command
-  10 - support for the get_syslog command
-  11 - support for the asrc and acodec settings
-  12 - support for receiving relay accounts and relay servers
-  13 - wifi hotspot mode
-  14 - support for the modem manager
-*/
-const remoteProtocolVersion = 14;
-const remoteEndpointHost = 'remote.belabox.net';
-const remoteEndpointPath = '/ws/remote';
-const remoteTimeout = 5000;
-const remoteConnectTimeout = 10000;
+function recordingOpenFile() {
+  const dir = recordingGetDir(recording.storage);
+  try {
+    fs.mkdirSync(dir, {recursive: true});
+  } catch (err) {
+    recordingError(`Failed to create the recording directory: ${err.message}. Recording stopped`);
+    recordingStop();
+    return false;
+  }
 
-let remoteWs = undefined;
-let remoteStatusHandled = false;
-function handleRemote(conn, msg) {
-  for (const type in msg) {
-    switch (type) {
-      case 'auth/encoder':
-        if (msg[type] === true) {
-          conn.isAuthed = true;
-          sendInitialStatus(conn)
-          broadcastMsgLocal('status', {remote: true}, getms() - ACTIVE_TO);
-          console.log('remote: authenticated');
-        } else {
-          broadcastMsgLocal('status', {remote: {error: 'key'}}, getms() - ACTIVE_TO);
-          remoteStatusHandled = true;
-          conn.terminate();
-          console.log('remote: invalid key');
-        }
-        break;
-      case 'relays':
-        handleRemoteRelays(msg[type]);
-        break;
-    }
+  let name = recordingGenFilename();
+  // Avoid overwriting a file if we rotate / restart within the same second
+  for (let i = 1; fs.existsSync(path.join(dir, name)); i++) {
+    name = recordingGenFilename().replace(/\.ts$/, `_${i}.ts`);
   }
+
+  recording.stream = fs.createWriteStream(path.join(dir, name));
+  recording.stream.on('error', function(err) {
+    recordingError(`Failed to write the recording: ${err.message}. Recording stopped`);
+    recordingStop();
+  });
+  recording.file = name;
+  recording.written = 0;
+  recording.startedAt = getms();
+
+  broadcastMsg('status', {recording: recordingBuildMsg()});
+
+  return true;
 }
 
-let relaysCache;
-try {
-  relaysCache = JSON.parse(fs.readFileSync(RELAYS_CACHE_FILE, 'utf8'));
-} catch(err) {
-  console.log("Failed to load the relays cache, starting with an empty cache");
+function recordingShouldSplit(len) {
+  const split = recordingSplitOptions[recording.split];
+  if (split.size && recording.written + len > split.size) return true;
+  if (split.duration && getms() - recording.startedAt > split.duration) return true;
+  return false;
 }
 
-function buildRelaysMsg() {
-  const msg = {};
-  msg.servers = {};
-  msg.accounts = {};
+// Returns the data to write, or undefined while dropping it
+function recordingCheckBacklog(data, offset) {
+  const buffered = recording.stream.writableLength;
+  if (!recording.dropped) {
+    if (buffered <= RECORDING_MAX_BUFFERED) return data;
+    const msg = 'The recording storage device is too slow, some of the recording will be missing';
+    console.log(`recording: ${msg}`);
+    notificationBroadcast('recording_overflow', 'warning', msg, 10, false, true);
+  }
 
-  if (relaysCache) {
-    for (const s in relaysCache.servers) {
-      msg.servers[s] = {name: relaysCache.servers[s].name};
-      if (relaysCache.servers[s].default) msg.servers[s].default = true;
-    }
-    for (const a in relaysCache.accounts) {
-      msg.accounts[a] = {name: relaysCache.accounts[a].name};
-      if (relaysCache.accounts[a].disabled) {
-        msg.accounts[a].name += ' [disabled]';
-        msg.accounts[a].disabled = true;
-      }
-    }
+  // Resume at a TS packet boundary, in a new file
+  const toPacketStart = (TS_PACKET_SIZE - offset % TS_PACKET_SIZE) % TS_PACKET_SIZE;
+  if (buffered > RECORDING_MAX_BUFFERED / 2 || data.length <= toPacketStart) {
+    recording.dropped += data.length;
+    return;
   }
 
-  return msg;
+  recording.dropped += toPacketStart;
+  console.log(`recording: dropped ${Math.round(recording.dropped / 1024)} KB`);
+  recording.dropped = 0;
+  recordingCloseFile();
+
+  return data.subarray(toPacketStart);
 }
 
-async function updateCachedRelays(relays) {
-  try {
-    assert.deepStrictEqual(relays, relaysCache);
-  } catch (err) {
-    console.log('updated the relays cache:');
-    console.log(relays);
-    relaysCache = relays;
-    await writeTextFile(RELAYS_CACHE_FILE, JSON.stringify(relays));
-    return true;
+function recordingWrite(data) {
+  if (!recording.active) return;
+
+  const offset = recording.received;
+  recording.received += data.length;
+
+  if (recording.stream) {
+    data = recordingCheckBacklog(data, offset);
+    if (!data) return;
   }
-}
 
-function validateRemoteRelays(msg) {
-  try {
-    const out = {servers: {}, accounts: {}};
-    for (const r_id in msg.servers) {
-      const r = msg.servers[r_id];
-      if (r.type !== "srtla" || typeof r.name != 'string' || typeof r.addr != 'string') continue;
-      if (r.default && r.default !== true) continue;
-      if (!validatePortNo(r.port)) continue;
+  if (!recording.stream && !recordingOpenFile()) return;
 
-      out.servers[r_id] = {type: r.type, name: r.name, addr: r.addr, port: r.port};
-      if (r.default) out.servers[r_id].default = true;
+  if (recordingShouldSplit(data.length)) {
+    // Only split at TS packet boundaries; the first file is always aligned
+    const toPacketEnd = (TS_PACKET_SIZE - recording.written % TS_PACKET_SIZE) % TS_PACKET_SIZE;
+    if (toPacketEnd > 0) {
+      recording.stream.write(data.subarray(0, toPacketEnd));
+      data = data.subarray(toPacketEnd);
     }
+    recordingCloseFile();
+    if (!recordingOpenFile()) return;
+  }
 
-    for (const a_id in msg.accounts) {
-      const a = msg.accounts[a_id];
-      if (typeof a.name != 'string' || typeof a.ingest_key != 'string') continue;
+  recording.stream.write(data);
+  recording.written += data.length;
+}
 
-      out.accounts[a_id] = {name: a.name, ingest_key: a.ingest_key};
-      if (a.disabled) out.accounts[a_id].disabled = true;
-    }
+function recordingConnect() {
+  recording.retryTimer = undefined;
+  if (!recording.active) return;
 
-    if (Object.keys(out.servers).length < 1) return;
+  const socket = net.connect(TS_OUTPUT_PORT, '127.0.0.1');
+  recording.socket = socket;
+  recording.received = 0;
+  recording.dropped = 0;
 
-    return out;
-  } catch(err) {
-    return undefined;
-  }
+  socket.on('data', recordingWrite);
+  socket.on('error', function() {});
+  socket.on('close', function() {
+    if (recording.socket !== socket) return;
+    recording.socket = undefined;
+
+    /* Start a new file whenever belacoder restarts, as the stream
+       might not continue at a TS packet boundary */
+    recordingCloseFile();
+
+    if (recording.active) {
+      recording.retryTimer = setTimeout(recordingConnect, 1000);
+    }
+  });
 }
 
-function convertManualToRemoteRelay() {
-  if (!relaysCache) return false;
+function recordingStart() {
+  if (recording.active) return;
 
-  let modified = false;
+  recording.active = true;
+  recording.storage = config.record_storage;
+  recording.split = config.record_split;
+  recordingConnect();
 
-  if (!config.relay_server && config.srtla_addr && config.srtla_port) {
-    for (const s in relaysCache.servers) {
-      if (relaysCache.servers[s].addr.toLowerCase() === config.srtla_addr.toLowerCase()
-          && relaysCache.servers[s].port == config.srtla_port) {
-        config.relay_server = s;
-        modified = true;
-        break;
-      }
-    }
+  broadcastMsg('status', {recording: recordingBuildMsg()});
+}
+
+function recordingStop() {
+  if (!recording.active) return;
+
+  recording.active = false;
+  if (recording.retryTimer) {
+    clearTimeout(recording.retryTimer);
+    recording.retryTimer = undefined;
+  }
+  if (recording.socket) {
+    const socket = recording.socket;
+    recording.socket = undefined;
+    socket.destroy();
   }
+  recordingCloseFile();
 
-  // If not using a relay server, don't try to convert the streamid to a relay account
-  if (!config.relay_server) {
-    return false;
+  broadcastMsg('status', {recording: recordingBuildMsg()});
+}
+
+function recordingCheckSpace() {
+  if (!recording.active) return;
+
+  const storage = recordingStorage[recording.storage];
+  if (!storage) {
+    recordingError('The recording storage device was removed. Recording stopped');
+    recordingStop();
+    return;
   }
 
-  if (config.srtla_addr || config.srtla_port) {
-    delete config.srtla_addr;
-    delete config.srtla_port;
-    modified = true;
+  if (storage.free < RECORDING_MIN_SPACE) {
+    recordingError('The recording storage device is full. Recording stopped');
+    recordingStop();
+  } else if (storage.free < RECORDING_LOW_SPACE) {
+    const msg = `Low free space on the recording storage device (${Math.round(storage.free / 1024 / 1024)} MB)`;
+    notificationBroadcast('recording_space', 'warning', msg, 10, false, true);
   }
+}
 
-  if (!config.relay_account && config.srt_streamid) {
-    for (const a in relaysCache.accounts) {
-      if (relaysCache.accounts[a].ingest_key === config.srt_streamid) {
-        config.relay_account = a;
-        modified = true;
-        break;
-      }
+function recordingValidateName(name) {
+  return (typeof name == 'string' && name.match(/^[\w\-.]+\.ts$/) && !name.startsWith('.'));
+}
+
+async function recordingList() {
+  const files = [];
+  for (const storage in recordingStorage) {
+    const dir = recordingGetDir(storage);
+    let entries;
+    try {
+      entries = await readdirP(dir);
+    } catch (err) {
+      continue;
     }
-  }
 
-  if (config.relay_account && config.srt_streamid) {
-    delete config.srt_streamid;
-    modified = true;
+    for (const name of entries) {
+      if (!recordingValidateName(name)) continue;
+      try {
+        const stat = fs.statSync(path.join(dir, name));
+        if (!stat.isFile()) continue;
+        files.push({storage, name, size: stat.size, mtime: stat.mtimeMs});
+      } catch (err) {}
+    }
   }
+  files.sort(function(a, b) { return b.mtime - a.mtime; });
 
-  return modified;
+  return files;
 }
 
-function handleRemoteRelays(msg) {
-  msg = validateRemoteRelays(msg);
-  if (!msg) return;
+async function recordingSendList(conn) {
+  const senderId = conn.senderId;
+  const files = await recordingList();
+  conn.send(buildMsg('recordings', {files}, senderId));
+}
 
-  if (updateCachedRelays(msg)) {
-    broadcastMsg('relays', buildRelaysMsg());
-    if (convertManualToRemoteRelay()) {
-      saveConfig();
-      broadcastMsg('config', config);
+function recordingGetPath(storage, name) {
+  if (typeof storage != 'string' || !Object.prototype.hasOwnProperty.call(recordingStorage, storage) ||
+      !recordingValidateName(name)) return;
+  return path.join(recordingGetDir(storage), name);
+}
+
+/*
+  Expects one of:
+  {list: true}
+  {delete: {storage, name}}
+  {download: {storage, name}} -> {download: {storage, name, url}}, the URL is valid for URL_TOKEN_TTL
+*/
+async function handleRecordings(conn, msg) {
+  if (msg.delete) {
+    const m = msg.delete;
+    const file = recordingGetPath(m.storage, m.name);
+    if (!file) {
+      notificationSend(conn, "recording_error", "error", "Recording not found", 10);
+    } else if (recording.file == m.name && recording.storage == m.storage) {
+      notificationSend(conn, "recording_error", "error", "Can't delete the file being recorded", 10);
+    } else {
+      try {
+        fs.unlinkSync(file);
+      } catch (err) {
+        notificationSend(conn, "recording_error", "error", `Failed to delete the recording: ${err.message}`, 10);
+      }
+    }
+    recordingSendList(conn);
+    recordingUpdateStorage();
+  } else if (msg.list) {
+    recordingSendList(conn);
+  } else if (msg.download) {
+    const m = msg.download;
+    const file = recordingGetPath(m.storage, m.name);
+    if (!file || !fs.existsSync(file)) {
+      notificationSend(conn, "recording_error", "error", "Recording not found", 10);
+      return;
     }
+    const token = urlTokenGen(`recording:${m.storage}/${m.name}`);
+    const url = `/recording?storage=${encodeURIComponent(m.storage)}&name=${encodeURIComponent(m.name)}&token=${token}`;
+    conn.send(buildMsg('recordings', {download: {storage: m.storage, name: m.name, url}}, conn.senderId));
   }
 }
 
-function remoteHandleMsg(msg) {
+/* HTTP download of recordings, authenticated with a URL token for the file, see urlTokenGen() */
+function recordingHttpDownload(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const storage = url.searchParams.get('storage');
+  const name = url.searchParams.get('name');
+  if (!urlTokenCheck(url.searchParams.get('token'), `recording:${storage}/${name}`)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  const file = recordingGetPath(storage, name);
+  let stat;
   try {
-    msg = JSON.parse(msg);
-    if (msg.remote) {
-      handleRemote(this, msg.remote);
-    }
-    delete msg.remote;
+    stat = file && fs.statSync(file);
+  } catch (err) {}
+  if (!stat || !stat.isFile()) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
 
-    if (Object.keys(msg).length >= 1) {
-      this.senderId = msg.id;
-      handleMessage(this, msg, true);
-      delete this.senderId;
+  res.writeHead(200, {
+    'Content-Type': 'video/mp2t',
+    'Content-Length': stat.size,
+    'Content-Disposition': `attachment; filename="${name}"`
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+
+/*
+  Stream statistics history
+
+  Every second we sample the per-interface throughput, the encoder state
+  reported by belacoder and the sensor values into an in-memory ring buffer.
+  If setup.stats_file is set, the samples are also appended to it in batches
+  so that the history survives restarts; it's rotated to <stats_file>.1 when
+  it grows larger than setup.stats_file_max bytes.
+
+  Sample format: {t: <unix time in ms>, v: {<series name>: <number>}}
+  Series names: 'tp:<interface>' (bytes/s), 'bitrate' (Kbps), 'rtt' (ms),
+                'latency' (ms), 'sensor:<sensor name>'
+*/
+const STATS_HISTORY = 4 * 60 * 60; // in samples / seconds
+const STATS_SPILL_INTERVAL = 60; // in samples
+const STATS_FILE_MAX_DEFAULT = 10 * 1024 * 1024;
+const STATS_MAX_POINTS = 2000;
+
+const statsSamples = new Array(STATS_HISTORY);
+let statsNext = 0;
+let statsCount = 0;
+let statsSpill = [];
+
+const encoderStats = {};
+
+function statsSample() {
+  const v = {};
+
+  for (const i in netif) {
+    v[`tp:${i}`] = netif[i].tp;
+  }
+
+  if (isStreaming) {
+    v.latency = config.srt_latency;
+    // Ignore stale encoder stats, e.g. while belacoder is restarting
+    if (encoderStats.updated && getms() - encoderStats.updated < 3000) {
+      if (encoderStats.bitrate !== undefined) v.bitrate = encoderStats.bitrate;
+      if (encoderStats.rtt !== undefined) v.rtt = encoderStats.rtt;
     }
+  }
 
-    this.lastActive = getms();
-  } catch(err) {
-    console.log(`Error handling remote message: ${err.message}`);
+  for (const s in sensors) {
+    const value = parseFloat(sensors[s]);
+    if (!isNaN(value)) v[`sensor:${s}`] = value;
   }
-}
 
-let remoteConnectTimer;
-function remoteRetry() {
-  queueUpdateGw();
-  remoteConnectTimer = setTimeout(remoteConnect, 1000);
+  const sample = {t: Date.now(), v};
+  statsSamples[statsNext] = sample;
+  statsNext = (statsNext + 1) % STATS_HISTORY;
+  if (statsCount < STATS_HISTORY) statsCount++;
+
+  if (setup.stats_file) {
+    statsSpill.push(sample);
+    if (statsSpill.length >= STATS_SPILL_INTERVAL) {
+      statsWriteSpill();
+    }
+  }
 }
+setInterval(statsSample, 1000);
 
-function remoteClose() {
-  remoteRetry();
+function statsWriteSpill() {
+  const lines = statsSpill.map(function(s) { return JSON.stringify(s); }).join('\n') + '\n';
+  statsSpill = [];
 
-  this.removeListener('close', remoteClose);
-  this.removeListener('message', remoteHandleMsg);
-  remoteWs = undefined;
+  const maxSize = setup.stats_file_max || STATS_FILE_MAX_DEFAULT;
+  fs.stat(setup.stats_file, function(err, stat) {
+    if (!err && stat.size > maxSize) {
+      try {
+        fs.renameSync(setup.stats_file, setup.stats_file + '.1');
+      } catch (err) {
+        console.log(`stats: failed to rotate ${setup.stats_file}: ${err.message}`);
+      }
+    }
+    fs.appendFile(setup.stats_file, lines, function(err) {
+      if (err) console.log(`stats: failed to write ${setup.stats_file}: ${err.message}`);
+    });
+  });
+}
 
-  if (!remoteStatusHandled) {
-    broadcastMsgLocal('status', {remote: {error: 'network'}}, getms() - ACTIVE_TO);
+function statsGetMemorySamples(from, to) {
+  const samples = [];
+  const start = (statsNext - statsCount + STATS_HISTORY) % STATS_HISTORY;
+  for (let i = 0; i < statsCount; i++) {
+    const s = statsSamples[(start + i) % STATS_HISTORY];
+    if (s.t >= from && s.t <= to) samples.push(s);
   }
+  return samples;
 }
 
-async function remoteConnect() {
-  if (remoteConnectTimer !== undefined) {
-    clearTimeout(remoteConnectTimer);
-    remoteConnectTimer = undefined;
+/* The spill files are read line by line, as they can be several MB large,
+   and only the samples within the time window are parsed */
+async function statsReadFileSamples(file, from, to, samples) {
+  const input = fs.createReadStream(file, {encoding: 'utf8'});
+  const lines = readline.createInterface({input, crlfDelay: Infinity});
+  try {
+    for await (const line of lines) {
+      const t = line.match(/^\{"t":(\d+)/);
+      if (!t || parseInt(t[1]) < from || parseInt(t[1]) > to) continue;
+      try {
+        samples.push(JSON.parse(line));
+      } catch (err) {};
+    }
+  } catch (err) {
+    // e.g. the file hasn't been rotated yet
+  } finally {
+    lines.close();
+    input.destroy();
   }
+}
 
-  if (config.remote_key) {
-    let host = remoteEndpointHost;
-    try {
-      var {addrs, fromCache} = await dnsCacheResolve(remoteEndpointHost);
+async function statsGetFileSamples(from, to) {
+  const samples = [];
+  if (!setup.stats_file) return samples;
 
-      if (fromCache) {
-        host = addrs[Math.floor(Math.random()*addrs.length)];
-        queueUpdateGw();
-        console.log(`remote: DNS lookup failed, using cached address ${host}`);
-      }
-    } catch(err) {
-      return remoteRetry();
-    }
-    console.log(`remote: trying to connect`);
+  for (const file of [setup.stats_file + '.1', setup.stats_file]) {
+    await statsReadFileSamples(file, from, to, samples);
+  }
+  return samples;
+}
 
-    remoteStatusHandled = false;
-    remoteWs = new ws(`wss://${host}${remoteEndpointPath}`,
-                      {servername: remoteEndpointHost,
-                       headers: {Host: remoteEndpointHost}});
-    remoteWs.isAuthed = false;
-    // Set a longer initial connection timeout - mostly to deal with slow DNS
-    remoteWs.lastActive = getms() + remoteConnectTimeout - remoteTimeout;
-    remoteWs.on('error', function(err) {
-      console.log('remote error: ' + err.message);
-    });
-    remoteWs.on('open', function() {
-      if (!fromCache) {
-        dnsCacheValidate(remoteEndpointHost);
-      }
+// Averages the samples in buckets of <step> ms and returns them in columnar form
+function statsDownsample(samples, from, step) {
+  const buckets = [];
+  for (const s of samples) {
+    const b = Math.floor((s.t - from) / step);
+    if (!buckets[b]) buckets[b] = {sum: {}, count: {}};
+    for (const name in s.v) {
+      buckets[b].sum[name] = (buckets[b].sum[name] || 0) + s.v[name];
+      buckets[b].count[name] = (buckets[b].count[name] || 0) + 1;
+    }
+  }
 
-      const auth_msg = {remote: {'auth/encoder':
-                        {key: config.remote_key, version: remoteProtocolVersion}
-                       }};
-      this.send(JSON.stringify(auth_msg));
-    });
-    remoteWs.on('close', remoteClose);
-    remoteWs.on('message', remoteHandleMsg);
+  const t = [];
+  const series = {};
+  let n = 0;
+  for (const b in buckets) {
+    const bucket = buckets[b];
+    t.push(from + b * step);
+    for (const name in bucket.sum) {
+      if (!series[name]) series[name] = [];
+      series[name][n] = Math.round(bucket.sum[name] / bucket.count[name] * 100) / 100;
+    }
+    n++;
   }
-}
 
-function remoteKeepalive() {
-  if (remoteWs) {
-    if ((remoteWs.lastActive + remoteTimeout) < getms()) {
-      remoteWs.terminate();
+  // Fill in the gaps with null, so all the series have the same length as t
+  for (const name in series) {
+    for (let i = 0; i < n; i++) {
+      if (series[name][i] === undefined) series[name][i] = null;
     }
   }
+
+  return {t, series};
 }
-remoteConnect();
-setInterval(remoteKeepalive, 1000);
 
-function setRemoteKey(key) {
-  config.remote_key = key;
-  delete config.relay_server;
-  delete config.relay_account;
-  saveConfig();
+/*
+  Expects {get: {from, to, step}}
+  from and to are unix times in ms, step is the resolution in seconds
+*/
+async function handleStats(conn, msg) {
+  if (!msg.get) return;
 
-  if (remoteWs) {
-    remoteStatusHandled = true;
-    remoteWs.terminate();
+  const senderId = conn.senderId;
+  const now = Date.now();
+  const to = Number.isFinite(msg.get.to) ? Math.min(msg.get.to, now) : now;
+  const from = Number.isFinite(msg.get.from) ? msg.get.from : to - oneHour;
+  if (from >= to) {
+    notificationSend(conn, "stats_error", "error", "Invalid statistics time window", 10);
+    return;
   }
-  remoteConnect();
 
-  // Clear the remote relays when switching to a different remote key
-  if (updateCachedRelays(undefined)) {
-    broadcastMsg('relays', buildRelaysMsg());
+  let step = Number.isFinite(msg.get.step) ? Math.max(1, Math.floor(msg.get.step)) * 1000 : 1000;
+  step = Math.max(step, Math.ceil((to - from) / STATS_MAX_POINTS / 1000) * 1000);
+
+  // Only read the spill file if the requested window isn't fully in memory
+  let samples = statsGetMemorySamples(from, to);
+  const firstInMemory = samples.length > 0 ? samples[0].t : Infinity;
+  if (firstInMemory - from > 2000) {
+    const fileSamples = await statsGetFileSamples(from, to);
+    samples = fileSamples.filter(function(s) { return s.t < firstInMemory; }).concat(samples);
   }
 
-  broadcastMsg('config', config);
+  const result = statsDownsample(samples, from, step);
+  conn.send(buildMsg('stats', {from, to, step: step / 1000, ...result}, senderId));
 }
 
 
-/* Notification system */
 /*
-  conn - send it to a specific client, or undefined to broadcast
-  name - identifier for the notification, e.g. 'belacoder'
-  type - 'success', 'warning', 'error'
-  msg - the human readable notification message
-  duration - 0-never expires
-             or number of seconds until the notification expires
-             * an expired notification is hidden by the UI and removed from persistent notifications
-  isPersistent - show it to every new client, conn must be undefined for broadcast
-  isDismissable - is the user allowed to hide it?
-*/
-let persistentNotifications = new Map();
-
-function buildNotificationMsg(n, duration) {
-  return {
-    name: n.name,
-    type: n.type,
-    msg: n.msg,
-    is_dismissable: n.isDismissable,
-    is_persistent: n.isPersistent,
-    duration
-  }
-}
+  Stream health events
 
-function notificationSend(conn, name, type, msg, duration = 0, isPersistent = false, isDismissable = true, authedOnly = true) {
-  if (isPersistent && conn != undefined) {
-    console.log("error: attempted to send persistent unicast notification");
-    return false;
-  }
+  The stderr output of belacoder and srtla_send is parsed into typed events,
+  which are kept in a short history and broadcast as stream_events messages.
+  The error notifications for the stream are also raised from these events.
 
-  const notification = {
-                         name,
-                         type,
-                         msg,
-                         isDismissable,
-                         isPersistent,
-                         duration,
-                         authedOnly
-                       };
-  let doSend = true;
-  if (isPersistent) {
-    let pn = persistentNotifications.get(name);
-    if (pn) {
-      // Rate limiting to once every second
-      if (pn.last_sent && ((pn.last_sent + 1000) > getms())) {
-        doSend = false;
-      }
+  Event format:
+  {
+    time: <unix time in ms>,
+    source: 'belacoder' | 'srtla' | 'belaUI',
+    type: <see below>,
+    level: 'info' | 'warning' | 'error',
+    msg: <human readable description>,
+    ...type-specific fields
+  }
+
+  Types:
+  stream_started, stream_stopped, process_restart {process},
+  degraded {process}, recovered {process}                     - from belaUI
+  capture_error {device: 'audio' | 'video'}, stall, srt_error {reason},
+  srt_disconnected, bitrate {bitrate, rtt}                    - from belacoder
+  connected, connect_failed, all_links_failed,
+  link_added {ip}, link_removed {ip}                          - from srtla_send
+  relay_error                                                 - from gst-launch
+  relay_failover {relay}                                      - from belaUI
+  audio_silent, audio_restored                                - from belaUI
+  netif_backup_on, netif_backup_off, netif_data_cap {netif}   - from belaUI
+
+  The events of the additional destinations also have a destination field
+  with the index of the destination, see destinationsStatus
+*/
+const STREAM_EVENTS_MAX = 200;
+// Only report bitrate changes larger than this fraction of the previous value
+const STREAM_EVENTS_BR_CHANGE = 0.2;
+
+let streamEvents = [];
+let lastReportedBitrate;
+
+function streamEvent(source, type, level, msg, fields = {}) {
+  return Object.assign({time: Date.now(), source, type, level, msg}, fields);
+}
+
+function parseBelacoderOutput(output) {
+  const events = [];
+
+  for (const line of output.split('\n')) {
+    if (line.match('gstreamer error from alsasrc0')) {
+      events.push(streamEvent('belacoder', 'capture_error', 'error', 'Capture card error (audio)', {device: 'audio'}));
+    } else if (line.match('gstreamer error from v4l2src0')) {
+      events.push(streamEvent('belacoder', 'capture_error', 'error', 'Capture card error (video)', {device: 'video'}));
+    } else if (line.match('Pipeline stall detected')) {
+      events.push(streamEvent('belacoder', 'stall', 'error', 'The input source has stalled'));
+    } else if (line.match('Failed to establish an SRT connection')) {
+      const reason = line.match(/Failed to establish an SRT connection: ([\w ]+)\./);
+      events.push(streamEvent('belacoder', 'srt_error', 'error', 'Failed to connect to the SRT server',
+                              {reason: (reason && reason[1]) ? reason[1] : undefined}));
+    } else if (line.match(/The SRT connection.+, exiting/)) {
+      events.push(streamEvent('belacoder', 'srt_disconnected', 'error', 'The SRT connection failed'));
     } else {
-      pn = {};
-      persistentNotifications.set(name, pn)
+      /* The current bitrate and RTT of belacoder's bitrate controller, if it
+         reports them. This pattern wasn't checked against belacoder's actual
+         output, unlike the error messages above, so it's kept loose and
+         nothing relies on it: without it there are no bitrate events and the
+         backup networks use the throughput, see netIfGetStreamCapacity() */
+      const br = line.match(/\bb(?:itrate)?:\s*(\d+)/);
+      const rtt = line.match(/\brtt:\s*(\d+)/);
+      if (br || rtt) {
+        events.push(streamEvent('belacoder', 'bitrate', 'info', 'Bitrate update', {
+          bitrate: br ? parseInt(br[1]) : undefined,
+          rtt: rtt ? parseInt(rtt[1]) : undefined
+        }));
+      }
     }
+  }
 
-    Object.assign(pn, notification);
-    pn.updated = getms();
+  return events;
+}
 
-    if (doSend) {
-      pn.last_sent = getms();
+/*
+  The failure messages are the ones srtla_send is known to print. The
+  connected, link_added and link_removed patterns weren't checked against its
+  actual output, so they're only used for the status display and the stream
+  events, and the relay failover also works without them
+*/
+function parseSrtlaOutput(output) {
+  const events = [];
+
+  for (const line of output.split('\n')) {
+    let ip;
+    if (line.match('Failed to establish any initial connections')) {
+      events.push(streamEvent('srtla', 'connect_failed', 'error', 'Failed to connect to the SRTLA server'));
+    } else if (line.match('no available connections')) {
+      events.push(streamEvent('srtla', 'all_links_failed', 'error', 'All SRTLA connections failed'));
+    } else if (line.match(/connection group registered/i)) {
+      events.push(streamEvent('srtla', 'connected', 'info', 'Connected to the SRTLA server'));
+    } else if (ip = line.match(/(\d+\.\d+\.\d+\.\d+).*connection established/i)) {
+      events.push(streamEvent('srtla', 'link_added', 'info', `Link ${ip[1]} connected`, {ip: ip[1]}));
+    } else if (ip = line.match(/(\d+\.\d+\.\d+\.\d+).*(connection failed|timed out|removed)/i)) {
+      events.push(streamEvent('srtla', 'link_removed', 'warning', `Link ${ip[1]} disconnected`, {ip: ip[1]}));
     }
   }
 
-  if (!doSend) return;
+  return events;
+}
 
-  const notificationMsg = {
-                            show: [buildNotificationMsg(notification, duration)]
-                          };
-  if (conn) {
-    conn.send(buildMsg('notification', notificationMsg, conn.senderId));
-  } else {
-    broadcastMsg('notification', notificationMsg, 0, authedOnly);
+function streamEventNotification(ev) {
+  let msg;
+  let name = ev.source;
+  if (ev.destination) {
+    name += `_${ev.destination}`;
   }
 
-  return true;
-}
+  switch (ev.type) {
+    case 'capture_error':
+      msg = `Capture card error (${ev.device}). Trying to restart...`;
+      break;
+    case 'stall':
+      msg = 'The input source has stalled. Trying to restart...';
+      break;
+    case 'srt_error':
+      if (!notificationExists('srtla')) {
+        const reason = ev.reason ? ` (${ev.reason})` : '';
+        msg = `Failed to connect to the SRT server${reason}. Retrying...`;
+      }
+      break;
+    case 'srt_disconnected':
+      if (!notificationExists('srtla')) {
+        msg = 'The SRT connection failed. Trying to reconnect...';
+      }
+      break;
+    case 'connect_failed':
+      msg = 'Failed to connect to the SRTLA server. Retrying...';
+      break;
+    case 'all_links_failed':
+      msg = 'All SRTLA connections failed. Trying to reconnect...';
+      break;
+  }
 
-function notificationBroadcast(name, type, msg, duration = 0, isPersistent = false, isDismissable = true, authedOnly = true) {
-  notificationSend(undefined, name, type, msg, duration, isPersistent, isDismissable, authedOnly);
+  if (msg && ev.destination) {
+    msg = `${destinationsStatus[ev.destination].name}: ${msg}`;
+  }
+
+  if (msg) {
+    notificationBroadcast(name, 'error', msg, 5, true, false);
+  }
 }
 
-function notificationRemove(name) {
-  const n = persistentNotifications.get(name);
-  persistentNotifications.delete(name);
+function streamEventsPublish(events) {
+  const published = [];
 
-  const msg = { remove: [name] };
-  broadcastMsg('notification', msg, 0, (!n || n.authedOnly));
-}
+  for (const ev of events) {
+    if (ev.type == 'bitrate') {
+      // Keep the latest encoder state for the statistics
+      if (ev.bitrate !== undefined) encoderStats.bitrate = ev.bitrate;
+      if (ev.rtt !== undefined) encoderStats.rtt = ev.rtt;
+      encoderStats.updated = getms();
 
-function _notificationIsLive(n) {
-  if (n.duration === 0) return 0;
+      // Only publish significant bitrate changes
+      if (ev.bitrate === undefined) continue;
+      if (lastReportedBitrate !== undefined &&
+          Math.abs(ev.bitrate - lastReportedBitrate) <= lastReportedBitrate * STREAM_EVENTS_BR_CHANGE) continue;
+      lastReportedBitrate = ev.bitrate;
+      ev.msg = `Bitrate changed to ${ev.bitrate} Kbps`;
+    }
 
-  const remainingDuration = Math.ceil(n.duration - (getms() - n.updated) / 1000);
-  if (remainingDuration <= 0) {
-    persistentNotifications.delete(n.name);
-    return false;
+    streamEventNotification(ev);
+    published.push(ev);
   }
-  return remainingDuration;
-}
 
-function notificationExists(name) {
-  let pn = persistentNotifications.get(name);
-  if (!pn) return;
+  if (published.length == 0) return;
 
-  if (_notificationIsLive(pn) !== false) return pn;
+  streamEvents = streamEvents.concat(published).slice(-STREAM_EVENTS_MAX);
+  broadcastMsg('stream_events', {events: published});
 }
 
-function notificationSendPersistent(conn, isAuthed = false) {
-  const notifications = [];
-  for (const n of persistentNotifications) {
-    if (!isAuthed && n[1].authedOnly !== false) continue;
-
-    const remainingDuration = _notificationIsLive(n[1]);
-    if (remainingDuration !== false) {
-      notifications.push(buildNotificationMsg(n[1], remainingDuration));
-    }
+function streamEventsAdd(type, level, msg, fields) {
+  if (type == 'stream_started') {
+    lastReportedBitrate = undefined;
   }
+  streamEventsPublish([streamEvent('belaUI', type, level, msg, fields)]);
+}
 
-  const msg = { show: notifications };
-  conn.send(buildMsg('notification', msg));
+function streamEventsBuildHistoryMsg() {
+  return {events: streamEvents, history: true};
 }
 
 
-/* Hardware monitoring */
-let sensors = {};
+/*
+  Stream session reports
 
-function updateSensorThermal(id, name) {
-  try {
-    let socTemp = fs.readFileSync(`/sys/class/thermal/thermal_zone${id}/temp`, 'utf8');
-    socTemp = parseInt(socTemp) / 1000.0;
-    socTemp = `${socTemp.toFixed(1)} °C`;
-    sensors[name] = socTemp;
-  } catch (err) {};
-}
+  A session is recorded from start() until all the streaming processes have
+  terminated and the last SESSIONS_MAX sessions are persisted to SESSIONS_FILE.
+  They can be downloaded as JSON or CSV with the get_sessions_json and
+  get_sessions_csv commands.
+*/
+const SESSIONS_MAX = 20;
+const SESSION_MAX_NOTIFICATIONS = 100;
 
-function updateSensorsJetson() {
-  try {
-    let socVoltage = fs.readFileSync('/sys/bus/i2c/drivers/ina3221x/6-0040/iio:device0/in_voltage0_input', 'utf8');
-    socVoltage = parseInt(socVoltage) / 1000.0;
-    socVoltage = `${socVoltage.toFixed(3)} V`;
-    sensors['SoC voltage'] = socVoltage;
-  } catch(err) {};
+let sessions = [];
+try {
+  sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+} catch(err) {}
 
-  try {
-    let socCurrent = fs.readFileSync('/sys/bus/i2c/drivers/ina3221x/6-0040/iio:device0/in_current0_input', 'utf8');
-    socCurrent = parseInt(socCurrent) / 1000.0;
-    socCurrent = `${socCurrent.toFixed(3)} A`;
-    sensors['SoC current'] = socCurrent;
-  } catch(err) {};
+let currentSession;
 
-  updateSensorThermal(0, 'SoC temperature');
+function saveSessions() {
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions));
 }
 
-function updateSensorsRk3588() {
-  updateSensorThermal(0, 'SoC temperature');
+function sessionStart(srtlaAddr, srtlaPort) {
+  let relay;
+  if (config.relay_server && relaysCache && relaysCache.servers[config.relay_server]) {
+    relay = relaysCache.servers[config.relay_server].name;
+  } else {
+    relay = `${config.srtla_addr}:${config.srtla_port}`;
+  }
+
+  const pipeline = pipelines[config.pipeline];
+  const profile = profileGet(config.profile);
+
+  currentSession = {
+    start: Date.now(),
+    profile: profile ? profile.name : undefined,
+    pipeline: pipeline ? pipeline.name : config.pipeline,
+    relay,
+    relay_addr: `${srtlaAddr}:${srtlaPort}`,
+    bytes_sent: {},
+    bitrate: {min: null, avg: null, max: null},
+    restarts: {belacoder: 0, srtla_send: 0},
+    notifications: [],
+    // running totals for the bitrate average, not persisted
+    brSum: 0,
+    brCount: 0
+  };
 }
 
-function updateSensors() {
-  sensorsFunc();
-  broadcastMsg('sensors', sensors, getms() - ACTIVE_TO);
-}
+function sessionSample() {
+  if (!currentSession) return;
 
-let sensorsFunc;
-switch (setup.hw) {
-  case 'jetson':
-    sensorsFunc = updateSensorsJetson;
-    break;
-  case 'rk3588':
-    sensorsFunc = updateSensorsRk3588;
-    break;
-  default:
-    console.log(`Unknown sensors for ${setup.hw}`);
-}
+  for (const i in netif) {
+    currentSession.bytes_sent[i] = (currentSession.bytes_sent[i] || 0) + netif[i].tp;
+  }
 
-if (sensorsFunc) {
-  updateSensors();
-  setInterval(updateSensors, 1000);
+  // Only use fresh bitrate reports, see streamEventsPublish()
+  if (encoderStats.bitrate !== undefined && getms() - encoderStats.updated < 3000) {
+    const br = currentSession.bitrate;
+    const value = encoderStats.bitrate;
+    if (br.min === null || value < br.min) br.min = value;
+    if (br.max === null || value > br.max) br.max = value;
+    currentSession.brSum += value;
+    currentSession.brCount++;
+  }
 }
+setInterval(sessionSample, 1000);
 
-async function isServiceEnabled(service) {
-  const isEnabled = await execPNR(`systemctl is-enabled ${service}`);
-  return (isEnabled.code === 0);
-}
+function sessionCountRestart(name) {
+  if (!currentSession) return;
 
-async function isServiceFailed(service) {
-  const isFailed = await execPNR(`systemctl is-failed ${service}`)
-  return (isFailed.code === 0);
+  currentSession.restarts[name] = (currentSession.restarts[name] || 0) + 1;
 }
 
-const bootconfigService = 'belabox-firstboot-bootconfig';
-async function monitorBootconfig() {
-  if (await isServiceEnabled(bootconfigService)) {
-    if (await isServiceFailed(bootconfigService)) {
-      const msg = "Updating the bootloader failed. Please download the system log from the Advanced / developer menu";
-      notificationBroadcast('bootconfig', 'error', msg, 0, true, false);
-    } else {
-      if (!notificationExists('bootconfig')) {
-        const msg = "Don't reset or unplug the system. The bootloader is being updated in the background and doing so may brick your board..."
-        notificationBroadcast('bootconfig', 'warning', msg, 0, true, false, false);
-      }
+function sessionAddNotification(name, type, msg) {
+  if (!currentSession || (type != 'error' && type != 'warning')) return;
 
-      setTimeout(monitorBootconfig, 2000);
-    }
-  } else {
-    notificationRemove('bootconfig');
+  // Repeated notifications are only counted
+  const prev = currentSession.notifications.find(function(n) {
+    return n.name == name && n.msg == msg;
+  });
+  if (prev) {
+    prev.count++;
+    prev.last = Date.now();
+    return;
   }
+
+  if (currentSession.notifications.length >= SESSION_MAX_NOTIFICATIONS) return;
+  currentSession.notifications.push({name, type, msg, first: Date.now(), last: Date.now(), count: 1});
 }
 
-/* Hardware-specific monitoring */
-switch (setup.hw) {
-  case 'jetson': {
-    /* Monitor the kernel log for undervoltage events */
-    const dmesg = spawn("dmesg", ["-w"]);
-    dmesg.stdout.on('data', function(data) {
-      if (data.toString('utf8').match('soctherm: OC ALARM 0x00000001')) {
-        const msg = 'System undervoltage detected. ' +
-                    'You may experience system instability, ' +
-                    'including glitching, freezes and the modems disconnecting';
-        notificationBroadcast('jetson_undervoltage', 'error', msg, 10*60, true, false);
-      }
-    }); // dmesg
+function sessionEnd() {
+  if (!currentSession) return;
 
-    /* Show an alert while belabox-firstboot-bootconfig is active */
-    monitorBootconfig();
-    break;
+  const s = currentSession;
+  currentSession = undefined;
+
+  s.end = Date.now();
+  s.duration = Math.round((s.end - s.start) / 1000);
+  if (s.brCount > 0) {
+    s.bitrate.avg = Math.round(s.brSum / s.brCount);
   }
+  delete s.brSum;
+  delete s.brCount;
 
-  case 'rk3588': {
-    const dmesg = spawn("dmesg", ["-w"]);
-    dmesg.stdout.on('data', function(data) {
-      data = data.toString('utf8');
-      if (data.match('hdmirx_wait_lock_and_get_timing signal not lock') ||
-          data.match('hdmirx_delayed_work_audio: audio underflow')) {
-        const msg = 'HDMI signal issues detected. This is usually caused either by EMI or a by a faulty cable. ' +
-                    'Try to move any modems away from the HDMI cable and the encoder. ' +
-                    'If that fails, try out a different HDMI cable or to manually set a lower HDMI resolution/framerate on your camera';
-        notificationBroadcast('hdmi_error', 'error', msg, 8, true, false);
-      }
-      if (data.match('hdmirx-controller: Err, timing is invalid')) {
-        const hdmiNotif = notificationExists('hdmi_error');
-        const msg = 'No HDMI signal detected';
+  sessions.push(s);
+  if (sessions.length > SESSIONS_MAX) {
+    sessions = sessions.slice(-SESSIONS_MAX);
+  }
+  saveSessions();
+}
 
-        if (!hdmiNotif || hdmiNotif.msg == msg) {
-          notificationBroadcast('hdmi_error', 'error', msg, 3, true, false);
-        }
-      }
-    });
-    break;
+function csvEscape(value) {
+  if (value === undefined || value === null) return '';
+  value = String(value);
+  if (value.match(/[",\n]/)) {
+    return '"' + value.replace(/"/g, '""') + '"';
   }
+  return value;
 }
 
-/* Check if there are any Cam Links plugged into a USB2 port */
-async function checkCamlinkUsb2() {
-  const deviceDir = '/sys/bus/usb/devices';
-  const devices = await readdirP(deviceDir);
-  let foundUsb2 = false;
+function sessionsBuildCsv() {
+  const header = ['start', 'end', 'duration_s', 'profile', 'pipeline', 'relay', 'relay_addr', 'bytes_sent',
+                  'bitrate_min_kbps', 'bitrate_avg_kbps', 'bitrate_max_kbps', 'belacoder_restarts',
+                  'srtla_restarts', 'notifications'];
+  const lines = [header.join(',')];
+
+  for (const s of sessions) {
+    const bytesSent = Object.keys(s.bytes_sent).map(function(i) {
+      return `${i}=${s.bytes_sent[i]}`;
+    }).join(' ');
+    const notifications = s.notifications.map(function(n) {
+      return `${n.type}: ${n.msg} (x${n.count})`;
+    }).join('\n');
+
+    const row = [new Date(s.start).toISOString(), new Date(s.end).toISOString(), s.duration, s.profile,
+                 s.pipeline, s.relay, s.relay_addr, bytesSent, s.bitrate.min, s.bitrate.avg, s.bitrate.max,
+                 s.restarts.belacoder, s.restarts.srtla_send, notifications];
+    lines.push(row.map(csvEscape).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function sendSessions(conn, format) {
+  const senderId = conn.senderId;
+  let contents;
+  if (format == 'csv') {
+    contents = sessionsBuildCsv();
+  } else {
+    contents = JSON.stringify(sessions, null, 2);
+  }
+  conn.send(buildMsg('log', {name: `belabox_sessions.${format}`, contents}, senderId));
+}
 
-  for (const d of devices) {
-    try {
-      const vendor = await readTextFile(`${deviceDir}/${d}/idVendor`);
-      if (vendor != "0fd9\n") continue;
 
-      /*
-        With my 20GAM9901 unit it would appear that product ID 0x66 is used for
-        USB3.0 and 0x67 is used for USB2.0, but I'm not sure if this is consistent
-        between different revisions. So we'll check bcdUSB (aka version) for both
+/* Stream starting, stopping, management and monitoring */
+function startError(conn, msg, id = undefined) {
+  const originalId = conn.senderId;
+  if (id !== undefined) {
+    conn.senderId = id;
+  }
 
-        Additional product IDs for 20GAM9902 thanks to chubbybunny627: 0x7b for
-        USB 3.0 and 0x85 for USB 2.0
-      */
-      const product = (await readTextFile(`${deviceDir}/${d}/idProduct`)).trim();
-      const knownCamLinkPids = ['0066', '0067', '007b', '0085'];
-      if (!knownCamLinkPids.includes(product)) continue;
+  notificationSend(conn, "start_error", "error", msg, 10);
 
-      const version = await readTextFile(`${deviceDir}/${d}/version`);
-      if (!version.match('3.00')) {
-        foundUsb2 = true;
-      }
-    } catch(err) {}
+  if (id !== undefined) {
+    conn.senderId = originalId;
   }
 
-  if (foundUsb2) {
-    const msg = "Detected a Cam Link 4K connected via USB2. This will result in low framerate operation. Ensure that it's connected to a USB3.0 port and that you're using a USB3.0 extension cable.";
-    notificationBroadcast('camlink_usb2', 'error', msg, 0, true, false);
-    console.log('Detected a Cam Link 4K connected via USB2.0');
-  } else {
-    notificationRemove('camlink_usb2');
-    console.log('No Cam Link 4K connected via USB2.0');
+  if (!updateStatus(false)) {
+    conn.send(buildMsg('status', {is_streaming: false}));
   }
+
+  return false;
 }
-// check for Cam Links on USB2 at startup
-checkCamlinkUsb2();
 
+function setBitrate(params) {
+  const minBr = 300; // Kbps
 
-/* Audio input selection and codec */
-const alsaSrcPattern = /alsasrc device=[A-Za-z0-9:=]+/;
-const alsaPipelinePattern = /alsasrc device=[A-Za-z0-9:]+(.|[\s])*?mux\. *\s?/;
+  if (params.max_br == undefined) return null;
+  if (params.max_br < minBr || params.max_br > 12000) return null;
 
-const audioCodecPattern = /voaacenc\s+bitrate=(\d+)\s+!\s+aacparse\s+!/;
-const audioCodecs = {'opus': 'Opus (better quality)', 'aac': 'AAC (backwards compatibility)'};
+  config.max_br = params.max_br;
+  saveConfig();
 
-const noAudioId = "No audio";
-const defaultAudioId = "Pipeline default";
-const audioSrcAliases = {"C4K": "Cam Link 4K", "usbaudio": "USB audio", "rockchiphdmiin": "HDMI", "rockchipes8388": "Analog in"};
+  fs.writeFileSync(setup.bitrate_file, minBr*1000 + "\n"
+                   + config.max_br*1000 + "\n");
 
-let audioDevices = {};
-addAudioCardById(audioDevices, noAudioId);
-addAudioCardById(audioDevices, defaultAudioId);
+  spawnSync("killall", ['-HUP', "belacoder"], { detached: true});
 
+  return config.max_br;
+}
 
-function pipelineGetAudioProps(path) {
-  const props = {};
-  const contents = fs.readFileSync(path, 'utf8');
-  props.asrc = contents.match(alsaPipelinePattern) != null;
-  props.acodec = contents.match(audioCodecPattern) != null;
-  return props;
+async function removeBitrateOverlay(pipelineFile) {
+  let pipeline = await readTextFile(pipelineFile);
+  if (!pipeline) return;
+
+  pipeline = pipeline.replace(/textoverlay[^!]*name=overlay[^!]*!/g, '');
+  const pipelineTmp = "/tmp/belacoder_pipeline";
+  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+
+  return pipelineTmp;
 }
 
-async function replaceAudioSettings(pipelineFile, cardId, codec) {
+/*
+  Serve the muxed MPEG-TS stream locally over TCP, for the local recording and
+  the additional destinations. The leaky queue ensures that a stalled consumer
+  never blocks the main stream; tcpserversink simply drops the data if no
+  clients are connected
+*/
+const TS_OUTPUT_PORT = 9100;
+
+async function pipelineAddTsOutput(pipelineFile) {
   let pipeline = await readTextFile(pipelineFile);
-  if (pipeline === undefined) return;
+  if (!pipeline) return;
 
-  if (cardId && cardId != defaultAudioId) {
-    if (cardId == noAudioId) {
-      pipeline = pipeline.replace(alsaPipelinePattern, '');
-    } else {
-      pipeline = pipeline.replace(alsaSrcPattern, `alsasrc device="hw:${cardId}"`);
-    }
-  }
+  const appsinkPattern = /appsink\s+name=appsink/;
+  if (!pipeline.match(appsinkPattern)) return;
 
-  if (codec == "opus") {
-    const br = pipeline.match(audioCodecPattern);
-    if (br) {
-      pipeline = pipeline.replace(audioCodecPattern, `audioresample quality=10 sinc-filter-mode=1 ! opusenc bitrate=${br[1]} ! opusparse !`);
-    }
-  }
+  const tsBranch = 'tee name=ts_tee ! queue ! appsink name=appsink ' +
+                   'ts_tee. ! queue leaky=downstream max-size-buffers=0 max-size-time=0 max-size-bytes=20971520 ! ' +
+                   `tcpserversink host=127.0.0.1 port=${TS_OUTPUT_PORT} sync=false`;
+  pipeline = pipeline.replace(appsinkPattern, tsBranch);
 
   const pipelineTmp = "/tmp/belacoder_pipeline";
   if (!(await writeTextFile(pipelineTmp, pipeline))) return;
@@ -3207,188 +6351,482 @@ async function replaceAudioSettings(pipelineFile, cardId, codec) {
   return pipelineTmp;
 }
 
+/*
+  Video preview
+
+  config.preview = {
+    enabled: false, // opt-in, as it adds some load to the encoding path
+    interval: 2     // minimum number of seconds between preview updates
+  }
+
+  When enabled, a branch is added to the pipeline right before the video
+  encoder, which scales down the raw video and encodes at most one JPEG frame
+  per second. The video is converted to system memory with nvvidconv if it's
+  in NVMM memory (Jetson); if it's in any other special memory we don't know
+  how to convert, the pipeline is left unchanged and there's no preview.
+  Each frame is sent to belaUI as a single UDP datagram, so we never see
+  partial images. The latest frame is pushed to the local clients at most
+  once every config.preview.interval seconds and is also available at
+  /preview.jpg with an Authorization: Bearer <auth token> header. The preview
+  isn't forwarded to the remote clients, as that would share the bonded
+  uplinks with the stream.
+*/
+const PREVIEW_PORT = 9101;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_INTERVAL_DEFAULT = 2;
+const PREVIEW_MAX_AGE = 10000;
+
+const preview = {
+  image: undefined,
+  updated: 0,
+  lastSent: 0
+};
 
-function getAudioSrcName(id) {
-  const name = audioSrcAliases[id];
-  if (name) return name;
-  return id;
+function previewGetConfig() {
+  const p = config.preview || {};
+  return {
+    enabled: p.enabled === true,
+    interval: p.interval || PREVIEW_INTERVAL_DEFAULT
+  };
 }
 
-function addAudioCardById(list, id) {
-  const name = getAudioSrcName(id);
-  list[name] = id;
+/*
+  Returns the elements converting the video fed to the encoder into a scaled
+  down JPEG, depending on the memory type of the video: the one in the last
+  raw video caps before the encoder, or NVMM for the Jetson hardware encoders
+*/
+function previewGetConverter(upstream, encoder) {
+  let memory;
+  const caps = upstream.match(/video\/x-raw(\(memory:\w+\))?/g);
+  if (caps) {
+    const m = caps[caps.length - 1].match(/memory:(\w+)/);
+    if (m) memory = m[1];
+  }
+  if (encoder.match(/^\s*nvv4l2/)) memory = 'NVMM';
+
+  const jpeg = `width=${PREVIEW_WIDTH},pixel-aspect-ratio=1/1 ! jpegenc quality=50`;
+  if (!memory || memory == 'SystemMemory') {
+    return `videoconvert ! videoscale ! video/x-raw,${jpeg}`;
+  }
+  if (memory == 'NVMM') {
+    return `nvvidconv ! video/x-raw,format=I420,${jpeg}`;
+  }
 }
 
-async function updateAudioDevices() {
-  // Ignore the onboard audio cards
-  const exclude = ['tegrahda', 'tegrasndt210ref', 'rockchipdp0', 'rockchiphdmi0', 'rockchiphdmi1', 'rockchiphdmiind', 'rockchipes8316'];
-  // Devices to show at the top of the list
-  const priority = ['HDMI', 'rockchiphdmiin', 'rockchipes8388', 'C4K', 'usbaudio'];
+async function pipelineAddPreview(pipelineFile) {
+  let pipeline = await readTextFile(pipelineFile);
+  if (!pipeline) return;
 
-  const deviceDir = '/sys/class/sound';
-  const devices = await readdirP(deviceDir);
-  const list = {};
-  let hasCamlink = false;
-  let hasUsbAudio = false;
+  // Pipelines without a video encoder (e.g. passthrough) can't have a preview
+  const encoderPattern = /!([^!]*name=venc_k?bps)/;
+  const encoder = pipeline.match(encoderPattern);
+  if (!encoder) return pipelineFile;
 
-  for (const d of devices) {
-    // Only inspect cards
-    if (!d.match(/^card/)) continue;
+  const converter = previewGetConverter(pipeline.substring(0, encoder.index), encoder[1]);
+  if (!converter) {
+    console.log('video preview: unsupported video memory type before the encoder, not adding the preview');
+    return pipelineFile;
+  }
 
-    // Get the card's ID
-    const id = (await readTextFile(`${deviceDir}/${d}/id`)).trim();
+  pipeline = pipeline.replace(encoderPattern, '! tee name=preview_tee ! queue !$1');
+  pipeline = pipeline.trimEnd() + ' preview_tee. ! queue leaky=downstream max-size-buffers=1 ! ' +
+              `videorate drop-only=true max-rate=1 ! ${converter} ! ` +
+              `udpsink host=127.0.0.1 port=${PREVIEW_PORT} sync=false async=false`;
+
+  const pipelineTmp = "/tmp/belacoder_pipeline";
+  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+
+  return pipelineTmp;
+}
+
+function previewBuildMsg() {
+  if (!preview.image || getms() - preview.updated > PREVIEW_MAX_AGE) return {};
+  return {image: preview.image.toString('base64')};
+}
+
+function previewClear() {
+  if (!preview.image) return;
+  preview.image = undefined;
+  broadcastMsgLocal('preview', {}, getms() - ACTIVE_TO);
+}
 
-    // Skip over the IDs known not to be valid audio inputs
-    if (exclude.includes(id)) continue;
+const previewSocket = dgram.createSocket('udp4');
+previewSocket.on('message', function(msg) {
+  // JPEG SOI marker
+  if (msg.length < 2 || msg[0] != 0xff || msg[1] != 0xd8) return;
 
-    list[id] = true;
+  preview.image = msg;
+  preview.updated = getms();
+
+  const {enabled, interval} = previewGetConfig();
+  if (!enabled || preview.updated - preview.lastSent < interval * 1000) return;
+  preview.lastSent = preview.updated;
+  broadcastMsgLocal('preview', previewBuildMsg(), getms() - ACTIVE_TO);
+});
+previewSocket.on('error', function(err) {
+  console.log(`Failed to receive the video preview: ${err.message}`);
+});
+previewSocket.bind(PREVIEW_PORT, '127.0.0.1');
+
+function previewHttpGet(req, res) {
+  if (!httpIsAuthed(req)) {
+    res.writeHead(403);
+    res.end();
+    return;
   }
-  // First add any priority cards found
-  const sortedList = {};
-  for (const id of priority) {
-    if (list[id]) addAudioCardById(sortedList, id);
-    delete list[id];
+
+  if (!preview.image || getms() - preview.updated > PREVIEW_MAX_AGE) {
+    res.writeHead(404);
+    res.end();
+    return;
   }
 
-  // Then add the remaining cards in alphabetical order
-  for (const id of Object.keys(list).sort()) {
-    addAudioCardById(sortedList, id);
+  res.writeHead(200, {
+    'Content-Type': 'image/jpeg',
+    'Content-Length': preview.image.length,
+    'Cache-Control': 'no-store'
+  });
+  res.end(preview.image);
+}
+
+function setPreview(conn, msg) {
+  if (!msg || typeof msg != 'object') return;
+
+  const interval = parseInt(msg.interval || PREVIEW_INTERVAL_DEFAULT);
+  if (interval != (msg.interval || PREVIEW_INTERVAL_DEFAULT) || interval < 1 || interval > 60) {
+    notificationSend(conn, "preview_error", "error", "Invalid preview interval", 10);
+    return;
   }
 
-  // Always add 'no audio' and default audio options
-  addAudioCardById(sortedList, noAudioId);
-  addAudioCardById(sortedList, defaultAudioId);
+  config.preview = {
+    enabled: !!msg.enabled,
+    interval
+  };
+  saveConfig();
 
-  audioDevices = sortedList;
-  console.log("audio devices:");
-  console.log(audioDevices);
+  if (!config.preview.enabled) previewClear();
 
-  broadcastMsg('status', {asrcs: Object.keys(audioDevices)});
+  broadcastMsg('config', config);
 }
-updateAudioDevices();
 
+/*
+  Audio level meters
+
+  config.audio_silence_timeout: warn when the audio input is silent for this
+                                many seconds while streaming, 0 to disable
+
+  While streaming, a branch is added to the pipeline after the audio mix (see
+  audioMixRender()), or right after alsasrc without one, which sends the
+  downsampled audio to belaUI over UDP. When idle, the selected card is read
+  directly with arecord instead, as it can't be opened by both at the same
+  time, and the main source's gain, channel and mute settings are applied to
+  the samples. As that holds the card, it's only done while a client is
+  showing the meters, which it requests with {audio_levels: {enabled}}. The
+  peak and RMS levels of each channel are sent to those clients as dBFS values
+  a few times per second.
+*/
+const AUDIO_LEVELS_PORT = 9102;
+const AUDIO_LEVELS_RATE = 8000;
+const AUDIO_LEVELS_CHANNELS = 2;
+const AUDIO_LEVELS_INTERVAL = 250;
+const AUDIO_LEVELS_STOP_TIMEOUT = 2000;
+const AUDIO_LEVELS_MIN_DB = -90;
+const AUDIO_SILENCE_DB = -60;
+const AUDIO_SILENCE_TIMEOUT_DEFAULT = 10;
+
+const audioLevels = {
+  peak: new Array(AUDIO_LEVELS_CHANNELS).fill(0),
+  sumSquares: new Array(AUDIO_LEVELS_CHANNELS).fill(0),
+  samples: 0,
+  updated: 0,
+  silentSince: undefined,
+  sentEmpty: false,
+  idleProcess: undefined,
+  idleCard: undefined
+};
 
-/* Read the list of pipeline files */
-function readDirAbsPath(dir, excludePattern) {
-  const pipelines = {};
+// The meters tap the mixer, or else the main source's volume element or alsasrc
+const audioLevelsTapPatterns = [/(audiomixer name=amix[^!]*)!/, /(volume name=amain[^!]*)!/, /(alsasrc\s[^!]*)!/];
 
-  try {
-    const files = fs.readdirSync(dir);
-    const basename = path.basename(dir);
+async function pipelineAddAudioLevels(pipelineFile) {
+  let pipeline = await readTextFile(pipelineFile);
+  if (!pipeline) return;
 
-    for (const f in files) {
-      const name = basename + '/' + files[f];
-      if (excludePattern && name.match(excludePattern)) continue;
+  // Pipelines without an ALSA audio input can't be metered
+  const tapPattern = audioLevelsTapPatterns.find(function(p) { return pipeline.match(p); });
+  if (!tapPattern) return pipelineFile;
 
-      const id = crypto.createHash('sha1').update(name).digest('hex');
-      const path = dir + files[f];
-      pipelines[id] = {name: name, path: path};
-    }
-  } catch (err) {
-    console.log(`Failed to read the pipeline files in ${dir}:`);
-    console.log(err);
-  };
+  pipeline = pipeline.replace(tapPattern, '$1! tee name=levels_tee ! queue !');
+  pipeline = pipeline.trimEnd() + ' levels_tee. ! queue leaky=downstream max-size-buffers=20 ! ' +
+             'audioconvert ! audioresample ! ' +
+             `audio/x-raw,format=S16LE,rate=${AUDIO_LEVELS_RATE},channels=${AUDIO_LEVELS_CHANNELS} ! ` +
+             `udpsink host=127.0.0.1 port=${AUDIO_LEVELS_PORT} sync=false async=false`;
 
-  return pipelines;
+  const pipelineTmp = "/tmp/belacoder_pipeline";
+  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+
+  return pipelineTmp;
 }
 
-function getPipelines() {
-  const ps = {};
-  Object.assign(ps, readDirAbsPath(belacoderPipelinesDir + '/custom/'));
+function audioLevelsToDb(value) {
+  if (value <= 0) return AUDIO_LEVELS_MIN_DB;
+  return Math.max(AUDIO_LEVELS_MIN_DB, Math.round(20 * Math.log10(value) * 10) / 10);
+}
 
-  // Get the hardware-specific pipelines
-  let excludePipelines;
-  if (setup.hw == 'rk3588' && !fs.existsSync('/dev/hdmirx')) {
-    excludePipelines = 'h265_hdmi';
+// Accumulates interleaved S16LE stereo samples, applying the settings of an audio mix source if set
+function audioLevelsAdd(data, source) {
+  const gain = (source && source.mute) ? 0 : Math.pow(10, (source ? source.gain : 0) / 20);
+  const channels = source ? source.channels : 'stereo';
+
+  const frameSize = 2 * AUDIO_LEVELS_CHANNELS;
+  const frames = Math.floor(data.length / frameSize);
+  const samples = new Array(AUDIO_LEVELS_CHANNELS);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < AUDIO_LEVELS_CHANNELS; c++) {
+      samples[c] = data.readInt16LE(i * frameSize + c * 2) / 32768;
+    }
+    if (channels == 'mono') {
+      samples.fill((samples[0] + samples[1]) / 2);
+    } else if (channels == 'left' || channels == 'right') {
+      samples.fill(samples[(channels == 'left') ? 0 : 1]);
+    }
+
+    for (let c = 0; c < AUDIO_LEVELS_CHANNELS; c++) {
+      // Clipped like the encoder input would be
+      const sample = Math.min(1, Math.abs(samples[c] * gain));
+      audioLevels.peak[c] = Math.max(audioLevels.peak[c], sample);
+      audioLevels.sumSquares[c] += sample * sample;
+    }
   }
-  Object.assign(ps, readDirAbsPath(belacoderPipelinesDir + `/${setup.hw}/`, excludePipelines));
+  audioLevels.samples += frames;
+}
 
-  Object.assign(ps, readDirAbsPath(belacoderPipelinesDir + '/generic/'));
+function audioLevelsCheckSilence(peak) {
+  const timeout = (config.audio_silence_timeout != undefined) ? config.audio_silence_timeout : AUDIO_SILENCE_TIMEOUT_DEFAULT;
+  if (!isStreaming || !timeout) return;
 
-  for (const p in ps) {
-    const props = pipelineGetAudioProps(ps[p].path)
-    Object.assign(ps[p], props);
+  if (Math.max(...peak) > AUDIO_SILENCE_DB) {
+    if (audioLevels.silentSince === undefined) return;
+    audioLevels.silentSince = undefined;
+
+    if (notificationExists('audio_silence')) {
+      notificationRemove('audio_silence');
+      streamEventsAdd('audio_restored', 'info', 'Audio input restored');
+    }
+    return;
   }
 
-  return ps;
+  if (audioLevels.silentSince === undefined) {
+    audioLevels.silentSince = getms();
+  } else if (getms() - audioLevels.silentSince > timeout * 1000 && !notificationExists('audio_silence')) {
+    const msg = `The audio input has been silent for more than ${timeout} seconds. Is the microphone muted?`;
+    notificationBroadcast('audio_silence', 'warning', msg, 0, true, true);
+    streamEventsAdd('audio_silent', 'warning', msg);
+  }
 }
-const pipelines = getPipelines();
 
-function searchPipelines(id) {
-  if (pipelines[id]) return pipelines[id];
-  return null;
+function audioLevelsBuildMsg() {
+  if (!audioLevels.samples || getms() - audioLevels.updated > 2 * AUDIO_LEVELS_INTERVAL) return {};
+
+  const peak = audioLevels.peak.map(audioLevelsToDb);
+  const rms = audioLevels.sumSquares.map(function(s) {
+    return audioLevelsToDb(Math.sqrt(s / audioLevels.samples));
+  });
+  return {peak, rms};
 }
 
-// pipeline list in the format needed by the frontend
-function getPipelineList() {
-  const list = {};
-  for (const id in pipelines) {
-    list[id] = {name: pipelines[id].name, asrc: pipelines[id].asrc, acodec: pipelines[id].acodec};
+function audioLevelsSend() {
+  const msg = audioLevelsBuildMsg();
+  if (audioLevels.samples) {
+    audioLevelsCheckSilence(msg.peak);
+  }
+  audioLevels.peak.fill(0);
+  audioLevels.sumSquares.fill(0);
+  audioLevels.samples = 0;
+
+  // Only send an empty message once, when the levels become unavailable
+  if (!msg.peak && audioLevels.sentEmpty) return;
+  audioLevels.sentEmpty = !msg.peak;
+
+  // Local only, the levels are too frequent to relay to the remote
+  const data = buildMsg('audio_levels', msg);
+  for (const c of audioLevelsGetClients()) {
+    c.send(data);
   }
-  return list;
 }
+setInterval(audioLevelsSend, AUDIO_LEVELS_INTERVAL);
 
+const audioLevelsSocket = dgram.createSocket('udp4');
+audioLevelsSocket.on('message', function(msg) {
+  if (!isStreaming) return;
+  audioLevelsAdd(msg);
+  audioLevels.updated = getms();
+});
+audioLevelsSocket.on('error', function(err) {
+  console.log(`Failed to receive the audio levels: ${err.message}`);
+});
+audioLevelsSocket.bind(AUDIO_LEVELS_PORT, '127.0.0.1');
+
+// Resolves once arecord has exited and released the audio card
+function audioLevelsStopIdle() {
+  const arecord = audioLevels.idleProcess;
+  if (!arecord) return Promise.resolve();
+  audioLevels.idleProcess = undefined;
+  audioLevels.idleCard = undefined;
+
+  return new Promise(function(resolve) {
+    if (arecord.exitCode !== null || arecord.signalCode !== null) {
+      resolve();
+      return;
+    }
+    arecord.once('exit', resolve);
+    arecord.once('error', resolve);
+    setTimeout(resolve, AUDIO_LEVELS_STOP_TIMEOUT);
+    arecord.kill('SIGTERM');
+  });
+}
 
-/*
-  We use an UDEV rule to send a SIGUSR2 when:
-   * an Elgato USB device is plugged in or out
-   * a USB audio card is plugged in or out
-*/
-function udevDeviceUpdate() {
-  console.log("SIGUSR2");
-  checkCamlinkUsb2();
-  updateAudioDevices();
+// The active clients showing the meters
+function audioLevelsGetClients() {
+  const activeMin = getms() - ACTIVE_TO;
+  return Array.from(wss.clients).filter(function(c) {
+    return c.isAuthed && c.audioLevels && c.lastActive >= activeMin;
+  });
 }
 
-process.on('SIGUSR2', udevDeviceUpdate);
+function handleAudioLevels(conn, msg) {
+  if (!msg || typeof msg != 'object') return;
+
+  conn.audioLevels = !!msg.enabled;
+  audioLevelsCheckIdle();
+}
 
+// Starts or stops the idle metering of the selected audio card
+function audioLevelsCheckIdle() {
+  const card = audioDevices[config.asrc];
+  const canMeter = card && card != noAudioId && card != defaultAudioId;
 
-/* Stream starting, stopping, management and monitoring */
-function startError(conn, msg, id = undefined) {
-  const originalId = conn.senderId;
-  if (id !== undefined) {
-    conn.senderId = id;
+  if (isStreaming || !canMeter || audioLevelsGetClients().length == 0) {
+    audioLevelsStopIdle();
+    return;
   }
 
-  notificationSend(conn, "start_error", "error", msg, 10);
+  if (audioLevels.idleCard == card) return;
+  audioLevelsStopIdle();
 
-  if (id !== undefined) {
-    conn.senderId = originalId;
+  const arecord = spawn('arecord', ['-q', '-D', `plughw:${card}`, '-t', 'raw', '-f', 'S16_LE',
+                                    '-r', AUDIO_LEVELS_RATE, '-c', AUDIO_LEVELS_CHANNELS]);
+  arecord.stdout.on('data', function(data) {
+    // Ignore any data still buffered after switching to the stream
+    if (audioLevels.idleProcess !== arecord) return;
+    audioLevelsAdd(data, config.audio_mix && config.audio_mix.main);
+    audioLevels.updated = getms();
+  });
+  arecord.on('error', function(err) {
+    console.log(`Failed to start arecord: ${err.message}`);
+  });
+  arecord.on('exit', function() {
+    // Retried on the next check, unless the card is busy or gone
+    if (audioLevels.idleProcess === arecord) {
+      audioLevels.idleProcess = undefined;
+      audioLevels.idleCard = undefined;
+    }
+  });
+
+  audioLevels.idleProcess = arecord;
+  audioLevels.idleCard = card;
+}
+setInterval(audioLevelsCheckIdle, 2000);
+
+function audioLevelsStreamStopped() {
+  audioLevels.silentSince = undefined;
+  if (notificationExists('audio_silence')) {
+    notificationRemove('audio_silence');
   }
+}
 
-  if (!updateStatus(false)) {
-    conn.send(buildMsg('status', {is_streaming: false}));
+// The names of the listed audio inputs, by card id
+function audioDevicesGetNames() {
+  const names = {};
+  for (const name in audioDevices) {
+    names[audioDevices[name]] = name;
   }
+  return names;
+}
 
-  return false;
+// Updates the audio input names in a config or profile, renames: {<previous name>: <new name>}
+function audioSrcRename(c, renames) {
+  if (Object.prototype.hasOwnProperty.call(renames, c.asrc)) c.asrc = renames[c.asrc];
+
+  const extra = (c.audio_mix && Array.isArray(c.audio_mix.extra)) ? c.audio_mix.extra : [];
+  for (const s of extra) {
+    if (Object.prototype.hasOwnProperty.call(renames, s.asrc)) s.asrc = renames[s.asrc];
+  }
 }
 
-function setBitrate(params) {
-  const minBr = 300; // Kbps
+async function setAudioSources(conn, msg) {
+  if (!msg || typeof msg != 'object') return;
 
-  if (params.max_br == undefined) return null;
-  if (params.max_br < minBr || params.max_br > 12000) return null;
+  const sources = {};
+  for (const key in msg) {
+    const m = msg[key];
+    if (!m || typeof m != 'object') continue;
 
-  config.max_br = params.max_br;
-  saveConfig();
+    const s = {};
+    if (typeof m.alias == 'string' && m.alias.trim() != '') {
+      s.alias = m.alias.trim();
+      if (s.alias.length > 64 || s.alias == noAudioId || s.alias == defaultAudioId) {
+        notificationSend(conn, "audio_sources_error", "error", `Invalid audio input name '${s.alias}'`, 10);
+        return;
+      }
+    }
+    if (typeof m.hidden == 'boolean') {
+      s.hidden = m.hidden;
+    }
+    if (m.priority !== undefined && m.priority !== null && m.priority !== '') {
+      const priority = parseInt(m.priority);
+      if (priority != m.priority || priority < 0 || priority > 99) {
+        notificationSend(conn, "audio_sources_error", "error", "Invalid audio input order", 10);
+        return;
+      }
+      s.priority = priority;
+    }
+    if (Object.keys(s).length) sources[key] = s;
+  }
 
-  fs.writeFileSync(setup.bitrate_file, minBr*1000 + "\n"
-                   + config.max_br*1000 + "\n");
+  const prevNames = audioDevicesGetNames();
+  config.audio_sources = sources;
+  saveConfig();
+  await updateAudioDevices();
 
-  spawnSync("killall", ['-HUP', "belacoder"], { detached: true});
+  // Keep using the same cards if the selected ones were renamed
+  const newNames = audioDevicesGetNames();
+  const renames = {};
+  for (const id in prevNames) {
+    if (newNames[id] !== undefined && newNames[id] != prevNames[id]) {
+      renames[prevNames[id]] = newNames[id];
+    }
+  }
+  audioSrcRename(config, renames);
+  for (const id in profiles) {
+    audioSrcRename(profiles[id].config, renames);
+  }
+  saveProfiles();
+  saveConfig();
 
-  return config.max_br;
+  broadcastMsg('config', config);
 }
 
-async function removeBitrateOverlay(pipelineFile) {
-  let pipeline = await readTextFile(pipelineFile);
-  if (!pipeline) return;
-
-  pipeline = pipeline.replace(/textoverlay[^!]*name=overlay[^!]*!/g, '');
-  const pipelineTmp = "/tmp/belacoder_pipeline";
-  if (!(await writeTextFile(pipelineTmp, pipeline))) return;
+function setAudioSilenceTimeout(conn, timeout) {
+  const value = parseInt(timeout);
+  if (value != timeout || value < 0 || value > 3600) {
+    notificationSend(conn, "audio_silence_error", "error", "Invalid audio silence timeout", 10);
+    return;
+  }
 
-  return pipelineTmp;
+  config.audio_silence_timeout = value;
+  saveConfig();
+  broadcastMsg('config', config);
 }
 
 async function resolveSrtla(addr, conn) {
@@ -3424,8 +6862,11 @@ function asrcProbe(asrc) {
   return audioSrcId;
 }
 
-async function pipelineSetAsrc(pipelineFile, audioSrcId, audioCodec) {
-  pipelineFile = await replaceAudioSettings(pipelineFile, audioSrcId, audioCodec);
+async function pipelineSetAsrc(pipelineFile, audioSrcId, audioCodec, conn) {
+  pipelineFile = await replaceAudioSettings(pipelineFile, audioSrcId, audioCodec, config.audio_mix);
+  if (pipelineFile) {
+    pipelineFile = await pipelineAddAudioLevels(pipelineFile);
+  }
   if (!pipelineFile) {
     startError(conn, 'failed to generate the pipeline file - audio settings');
   }
@@ -3444,7 +6885,8 @@ async function asrcRetry(pipelineFile, callback, conn) {
 
   audioSrcId = asrcProbe(config.asrc);
   if (audioSrcId) {
-    pipelineFile = await pipelineSetAsrc(pipelineFile, audioSrcId, config.acodec);
+    const audioCodec = config.acodec && {codec: config.acodec, bitrate: config.abitrate, rate: config.arate};
+    pipelineFile = await pipelineSetAsrc(pipelineFile, audioSrcId, audioCodec, conn);
     if (!pipelineFile) return;
 
     let srtlaAddr = await resolveSrtla(config.srtla_addr, conn);
@@ -3462,6 +6904,99 @@ function validatePortNo(port) {
   return portTmp;
 }
 
+/*
+  Validates the relay server / SRTLA receiver and streamid settings of a destination
+  Returns {srtlaAddr, srtlaPort, streamid} or {error}
+  Also normalizes the srtla_addr and srtla_port fields of d
+*/
+function validateDestination(d) {
+  let srtlaAddr, srtlaPort;
+  if (relaysCache && d.relay_server) {
+    const relayServer = relaysCache.servers[d.relay_server];
+    if (!relayServer) {
+      return {error: "Invalid relay server specified"};
+    }
+    srtlaAddr = relayServer.addr;
+    srtlaPort = relayServer.port;
+  } else {
+    if (typeof d.srtla_addr != 'string')
+      return {error: "SRTLA address not specified"};
+    d.srtla_addr = d.srtla_addr.trim();
+    srtlaAddr = d.srtla_addr;
+
+    if (d.srtla_port == undefined)
+      return {error: "SRTLA port not specified"};
+    const port = validatePortNo(d.srtla_port);
+    if (!port)
+      return {error: `invalid SRTLA port '${d.srtla_port}'`};
+    d.srtla_port = port;
+    srtlaPort = port;
+  }
+
+  let streamid;
+  if (relaysCache && d.relay_server && d.relay_account) {
+    const relayAccount = relaysCache.accounts[d.relay_account];
+    if (!relayAccount) {
+      return {error: "Invalid relay account specified!"};
+    }
+    streamid = relayAccount.ingest_key;
+  } else {
+    if (d.srt_streamid == undefined)
+      return {error: "SRT streamid not specified"};
+    streamid = d.srt_streamid;
+  }
+
+  return {srtlaAddr, srtlaPort, streamid};
+}
+
+/*
+  Additional destinations, sent the same stream as the main one:
+  [{name, enabled, relay_server, relay_account, srtla_addr, srtla_port, srt_streamid, srt_latency}]
+
+  Returns an error message or a list of
+  {config: <the validated settings>, enabled, name, srtlaAddr, srtlaPort, streamid, latency}
+*/
+const DESTINATIONS_MAX = 4;
+
+function validateExtraDestinations(list) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list) || list.length > DESTINATIONS_MAX)
+    return "invalid list of additional destinations";
+
+  const destinations = [];
+  for (const d of list) {
+    if (!d || typeof d != 'object') return "invalid additional destination";
+
+    const name = (typeof d.name == 'string') ? d.name.trim() : '';
+    if (name.length < 1 || name.length > 64)
+      return "invalid name for an additional destination";
+
+    const latency = parseInt(d.srt_latency);
+    if (latency != d.srt_latency || latency < 100 || latency > 10000)
+      return `${name}: invalid SRT latency '${d.srt_latency}' ms`;
+
+    const dest = validateDestination(d);
+    if (dest.error) return `${name}: ${dest.error}`;
+
+    const c = {name, enabled: !!d.enabled, srt_latency: latency};
+    if (d.relay_server) {
+      c.relay_server = d.relay_server;
+    } else {
+      c.srtla_addr = d.srtla_addr;
+      c.srtla_port = d.srtla_port;
+    }
+    if (d.relay_server && d.relay_account) {
+      c.relay_account = d.relay_account;
+    } else {
+      c.srt_streamid = d.srt_streamid;
+    }
+
+    destinations.push(Object.assign({config: c, enabled: c.enabled, name, latency}, dest));
+  }
+
+  return destinations;
+}
+
 async function updateConfig(conn, params, callback) {
   asrcRetryTimer = undefined;
 
@@ -3481,16 +7016,43 @@ async function updateConfig(conn, params, callback) {
     return startError(conn, "pipeline not found");
   let pipelineFile = pipeline.path
 
+  // template parameters
+  let pipelineParams;
+  if (pipeline.params) {
+    const values = params.pipeline_params && params.pipeline_params[params.pipeline];
+    const resolved = pipelineResolveParams(pipeline.params, values);
+    if (resolved.error) return startError(conn, resolved.error);
+    pipelineParams = resolved.values;
+
+    pipelineFile = await pipelineApplyParams(pipelineFile, pipeline.params, pipelineParams);
+    if (!pipelineFile) return startError(conn, "failed to generate the pipeline file - template parameters");
+  }
+
+  // video source, if it can be selected for the pipeline
+  if (pipeline.vsrc && params.vsrc !== undefined && params.vsrc != defaultVideoId) {
+    const video = (typeof params.vsrc == 'string' && Object.prototype.hasOwnProperty.call(videoDevices, params.vsrc)) ?
+                  videoDevices[params.vsrc] : undefined;
+    if (!video || !video.device) return startError(conn, `video input '${params.vsrc}' not found`);
+
+    pipelineFile = await replaceVideoSettings(pipelineFile, video.device);
+    if (!pipelineFile) return startError(conn, "failed to generate the pipeline file - video settings");
+  }
+
   // audio codec, if needed for the pipeline
   let audioCodec;
   if (pipeline.acodec) {
     if (params.acodec == undefined) {
       return startError(conn, "audio codec not specified");
     }
-    if (!audioCodecs[params.acodec]) {
-      return startError(conn, "audio codec not found");
-    }
-    audioCodec = params.acodec;
+    audioCodec = validateAudioCodec(params);
+    if (typeof audioCodec == 'string') return startError(conn, audioCodec);
+  }
+
+  // audio mixing, if the audio source can be selected for the pipeline
+  let audioMix;
+  if (pipeline.asrc) {
+    audioMix = validateAudioMix(params.audio_mix);
+    if (typeof audioMix == 'string') return startError(conn, audioMix);
   }
 
   // remove the bitrate overlay unless enabled in the config
@@ -3499,6 +7061,35 @@ async function updateConfig(conn, params, callback) {
     if (!pipelineFile) return startError(conn, "failed to generate the pipeline file - bitrate overlay");
   }
 
+  // local recording
+  if (params.record) {
+    if (typeof params.record_storage != 'string' ||
+        !Object.prototype.hasOwnProperty.call(recordingStorage, params.record_storage))
+      return startError(conn, "recording storage device not found");
+    if (typeof params.record_split != 'string' ||
+        !Object.prototype.hasOwnProperty.call(recordingSplitOptions, params.record_split))
+      return startError(conn, "invalid recording split option");
+  }
+
+  // additional destinations
+  const destinations = validateExtraDestinations(params.destinations);
+  if (typeof destinations == 'string') return startError(conn, destinations);
+
+  const hasExtraDestinations = destinations.some(function(d) { return d.enabled; });
+  if (hasExtraDestinations && !fs.existsSync(gstLaunchExec))
+    return startError(conn, `${gstLaunchExec} not found, can't stream to additional destinations`);
+
+  if (params.record || hasExtraDestinations) {
+    pipelineFile = await pipelineAddTsOutput(pipelineFile);
+    if (!pipelineFile) return startError(conn, "failed to generate the pipeline file - MPEG-TS output");
+  }
+
+  // video preview
+  if (previewGetConfig().enabled) {
+    pipelineFile = await pipelineAddPreview(pipelineFile);
+    if (!pipelineFile) return startError(conn, "failed to generate the pipeline file - video preview");
+  }
+
   // bitrate
   let bitrate = setBitrate(params);
   if (bitrate == null)
@@ -3512,47 +7103,39 @@ async function updateConfig(conn, params, callback) {
     return startError(conn, `invalid SRT latency '${params.srt_latency}' ms`);
   params.srt_latency = latencyTmp;
 
-  // srtla addr & port
-  let srtlaAddr, srtlaPort;
-  if (relaysCache && params.relay_server) {
-    const relayServer = relaysCache.servers[params.relay_server];
-    if (!relayServer) {
-      return startError(conn, "Invalid relay server specified");
-    }
-    srtlaAddr = relayServer.addr;
-    srtlaPort = relayServer.port;
-  } else {
-    if (params.srtla_addr == undefined)
-      return startError(conn, "SRTLA address not specified");
-    params.srtla_addr = params.srtla_addr.trim();
-    srtlaAddr = params.srtla_addr;
-
-    if (params.srtla_port == undefined)
-      return startError(conn, "SRTLA port not specified");
-    params.srtla_port = validatePortNo(params.srtla_port);
-    if (!params.srtla_port)
-      return startError(conn, `invalid SRTLA port '${params.srtla_port}'`);
-    srtlaPort = params.srtla_port;
-  }
+  // srtla addr & port, srt streamid
+  const dest = validateDestination(params);
+  if (dest.error) return startError(conn, dest.error);
+  let {srtlaAddr, srtlaPort, streamid} = dest;
 
-  // srt streamid
-  let streamid;
-  if (relaysCache && params.relay_server && params.relay_account) {
-    const relayAccount = relaysCache.accounts[params.relay_account];
-    if (!relayAccount) {
-      return startError(conn, "Invalid relay account specified!");
+  // relay failover
+  let relayFailoverList = [];
+  if (params.relay_failover !== undefined) {
+    if (!Array.isArray(params.relay_failover) || !params.relay_failover.every(function(id) {
+          return relaysCache && relaysCache.servers[id];
+        })) {
+      return startError(conn, "Invalid failover relay server specified");
     }
-    streamid = relayAccount.ingest_key;
-  } else {
-    if (params.srt_streamid == undefined)
-      return startError(conn, "SRT streamid not specified");
-    streamid = params.srt_streamid;
+    relayFailoverList = params.relay_failover;
+  }
+  let relayFailoverAttempts = RELAY_FAILOVER_ATTEMPTS_DEFAULT;
+  if (params.relay_failover_attempts !== undefined) {
+    relayFailoverAttempts = parseInt(params.relay_failover_attempts);
+    if (relayFailoverAttempts != params.relay_failover_attempts || relayFailoverAttempts < 1 || relayFailoverAttempts > 20)
+      return startError(conn, `invalid number of relay failover attempts '${params.relay_failover_attempts}'`);
   }
 
   // resolve the srtla hostname
   srtlaAddr = await resolveSrtla(srtlaAddr, conn);
   if (!srtlaAddr) return;
 
+  // additional destinations
+  for (const d of destinations) {
+    if (!d.enabled) continue;
+    d.srtlaAddr = await resolveSrtla(d.srtlaAddr, conn);
+    if (!d.srtlaAddr) return;
+  }
+
   // audio capture device, if needed for the pipeline
   let audioSrcId = defaultAudioId;
   if (pipeline.asrc) {
@@ -3572,15 +7155,32 @@ async function updateConfig(conn, params, callback) {
     config.asrc = params.asrc;
   }
 
+  if (pipeline.vsrc && params.vsrc !== undefined) {
+    config.vsrc = params.vsrc;
+  }
+
   if (pipeline.acodec) {
-    config.acodec = params.acodec;
+    config.acodec = audioCodec.codec;
+    config.abitrate = audioCodec.bitrate;
+    config.arate = audioCodec.rate;
   }
 
   config.delay = params.delay;
   config.pipeline = params.pipeline;
+  if (audioMix) {
+    config.audio_mix = audioMix;
+  }
+  if (pipelineParams) {
+    config.pipeline_params = Object.assign({}, config.pipeline_params, {[params.pipeline]: pipelineParams});
+  }
   config.max_br = params.max_br;
   config.srt_latency = params.srt_latency;
   config.bitrate_overlay = params.bitrate_overlay;
+  config.record = !!params.record;
+  if (params.record) {
+    config.record_storage = params.record_storage;
+    config.record_split = params.record_split;
+  }
   if (params.relay_server) {
     config.relay_server = params.relay_server;
     delete config.srtla_addr;
@@ -3597,22 +7197,32 @@ async function updateConfig(conn, params, callback) {
     config.srt_streamid = params.srt_streamid;
     delete config.relay_account;
   }
+  config.destinations = destinations.map(function(d) { return d.config; });
+  config.relay_failover = relayFailoverList;
+  config.relay_failover_attempts = relayFailoverAttempts;
 
   if (!params.relay_server || !params.relay_account) {
     convertManualToRemoteRelay();
   }
 
+  if (params.profile) {
+    config.profile = params.profile;
+  }
+
   saveConfig();
+  profileSaveActive();
 
   broadcastMsg('config', config);
 
   if (audioSrcId) {
-    pipelineFile = await pipelineSetAsrc(pipelineFile, audioSrcId, audioCodec);
+    pipelineFile = await pipelineSetAsrc(pipelineFile, audioSrcId, audioCodec, conn);
     if (!pipelineFile) return;
 
-    callback(pipelineFile, srtlaAddr, srtlaPort, streamid);
+    callback(pipelineFile, srtlaAddr, srtlaPort, streamid, destinations);
   } else {
-    asrcScheduleRetry(pipelineFile, callback, conn);
+    asrcScheduleRetry(pipelineFile, function(pipelineFile, srtlaAddr) {
+      callback(pipelineFile, srtlaAddr, srtlaPort, streamid, destinations);
+    }, conn);
     updateStatus(true);
   }
 }
@@ -3631,75 +7241,557 @@ function genSrtlaIpList() {
   let list = "";
   let count = 0;
 
+  const useBackup = netIfUseBackup();
   for (i in netif) {
-    if (netif[i].enabled) {
-      list += netif[i].ip + "\n";
+    if (netIfIsInUse(i, useBackup)) {
+      const weight = netIfGetSettings(i).weight;
+      for (let w = 0; w < weight; w++) {
+        list += netif[i].ip + "\n";
+      }
       count++;
     }
   }
   fs.writeFileSync(setup.ips_file, list);
 
-  return count;
+  return count;
+}
+
+function updateSrtlaIps() {
+  genSrtlaIpList();
+  spawnSync("killall", ['-HUP', "srtla_send"], { detached: true});
+}
+
+/*
+  Restart policy for the streaming processes
+
+  Crashed processes are restarted with an exponential backoff starting at the
+  cooldown passed to spawnStreamingLoop(), with some random jitter. If a process
+  fails more than <budget> times within <budget_window> ms, it's considered
+  degraded: we notify the user and only retry every <max_delay> ms until it
+  runs for at least <stable_time> ms. All the values can be overridden in
+  setup.restart_policy
+*/
+const restartPolicy = Object.assign({
+  max_delay: 30000,
+  jitter: 0.2,
+  budget: 10,
+  budget_window: 5 * oneMinute,
+  stable_time: 30000
+}, setup.restart_policy);
+
+let processRestarts = {};
+
+function restartsBuildMsg() {
+  const msg = {};
+  for (const name in processRestarts) {
+    msg[name] = {count: processRestarts[name].count, degraded: processRestarts[name].degraded};
+  }
+  return msg;
+}
+
+function restartsReset() {
+  for (const name in processRestarts) {
+    if (processRestarts[name].degraded) {
+      notificationRemove(`${name}_degraded`);
+    }
+  }
+  processRestarts = {};
+  broadcastMsg('status', {restarts: restartsBuildMsg()});
+}
+
+function restartsClearDegraded(name) {
+  const r = processRestarts[name];
+  if (!r) return;
+
+  r.failures = 0;
+  if (r.degraded) {
+    r.degraded = false;
+    notificationRemove(`${name}_degraded`);
+    streamEventsAdd('recovered', 'info', `${name} recovered`, {process: name});
+    broadcastMsg('status', {restarts: restartsBuildMsg()});
+  }
+}
+
+// Returns the delay before restarting the process
+function restartsOnExit(name, cooldown, runTime) {
+  if (!processRestarts[name]) {
+    processRestarts[name] = {count: 0, failures: 0, recent: [], degraded: false};
+  }
+  const r = processRestarts[name];
+
+  // Reset the backoff if the process had been running normally
+  if (runTime >= restartPolicy.stable_time) {
+    restartsClearDegraded(name);
+  }
+
+  const now = getms();
+  r.count++;
+  r.failures++;
+  r.recent.push(now);
+  r.recent = r.recent.filter(function(t) { return now - t <= restartPolicy.budget_window; });
+
+  let delay = Math.min(cooldown * Math.pow(2, r.failures - 1), restartPolicy.max_delay);
+
+  if (r.recent.length >= restartPolicy.budget && !r.degraded) {
+    r.degraded = true;
+    const minutes = Math.round(restartPolicy.budget_window / oneMinute);
+    const retry = Math.round(restartPolicy.max_delay / 1000);
+    const msg = `${name} failed ${r.recent.length} times in ${minutes} minutes. ` +
+                `Check the input and network settings; retrying every ${retry} seconds...`;
+    notificationBroadcast(`${name}_degraded`, 'error', msg, 0, true, false);
+    streamEventsAdd('degraded', 'error', `${name} is failing repeatedly`, {process: name});
+  }
+  if (r.degraded) {
+    delay = restartPolicy.max_delay;
+  }
+
+  broadcastMsg('status', {restarts: restartsBuildMsg()});
+
+  const jitter = (Math.random() * 2 - 1) * restartPolicy.jitter;
+  return Math.round(delay * (1 + jitter));
+}
+
+let streamingProcesses = [];
+function spawnStreamingLoop(command, args, cooldown = 100, errCallback, name = path.basename(command)) {
+  const process = spawn(command, args, { stdio: ['inherit', 'inherit', 'pipe'] });
+  process.streamName = name;
+  process.startedAt = getms();
+  streamingProcesses.push(process);
+
+  if (errCallback) {
+    process.stderr.on('data', function(data) {
+      data = data.toString('utf8');
+      console.log(data);
+      errCallback(data);
+    });
+  }
+
+  process.stableTimer = setTimeout(function() {
+    if (streamingProcesses.includes(process)) {
+      restartsClearDegraded(name);
+    }
+  }, restartPolicy.stable_time);
+
+  process.on('exit', function(code) {
+    clearTimeout(process.stableTimer);
+    const delay = restartsOnExit(name, cooldown, getms() - process.startedAt);
+    console.log(`${name} exited with code ${code}, restarting in ${delay} ms`);
+
+    process.restartTimer = setTimeout(function() {
+      // remove the old process from the list
+      removeProc(process);
+
+      sessionCountRestart(name);
+      streamEventsAdd('process_restart', 'warning', `${name} exited and was restarted`, {process: name});
+
+      spawnStreamingLoop(command, args, cooldown, errCallback, name);
+    }, delay);
+  })
+}
+
+/*
+  Additional destinations
+
+  Each additional destination gets its own srtla_send instance, listening on
+  port 9000 + <destination number>. The muxed stream is read from the pipeline's
+  MPEG-TS output and sent to it over SRT by a gst-launch process, so each
+  destination can use its own streamid and latency and reconnects independently
+*/
+const gstLaunchExec = setup.gst_launch_path || '/usr/bin/gst-launch-1.0';
+
+// Status of the main (0) and additional destinations
+let destinationsStatus = [];
+
+function destinationsBuildMsg() {
+  return destinationsStatus;
+}
+
+function destinationsReset(destinations) {
+  destinationsStatus = [{name: 'Main', state: 'connecting'}];
+  for (const d of destinations) {
+    if (d.enabled) {
+      destinationsStatus.push({name: d.name, state: 'connecting'});
+    }
+  }
+  broadcastMsg('status', {destinations: destinationsBuildMsg()});
+}
+
+function destinationsClear() {
+  destinationsStatus = [];
+  broadcastMsg('status', {destinations: destinationsBuildMsg()});
+}
+
+function destinationSetState(i, state) {
+  const d = destinationsStatus[i];
+  if (!d || d.state == state) return;
+
+  d.state = state;
+  broadcastMsg('status', {destinations: destinationsBuildMsg()});
+}
+
+// Tags the stream events of a destination and updates its status
+function destinationEvents(i, events) {
+  for (const ev of events) {
+    switch (ev.type) {
+      case 'connected':
+        destinationSetState(i, 'connected');
+        break;
+      case 'connect_failed':
+      case 'all_links_failed':
+      case 'relay_error':
+        destinationSetState(i, 'error');
+        break;
+    }
+
+    // The events of the main destination are reported as before
+    if (i > 0 && destinationsStatus[i]) {
+      ev.destination = i;
+      ev.msg = `${destinationsStatus[i].name}: ${ev.msg}`;
+    }
+  }
+
+  return events;
+}
+
+function parseGstLaunchOutput(output) {
+  const events = [];
+  for (const line of output.split('\n')) {
+    const err = line.match(/^ERROR: (.+)/);
+    if (err) {
+      events.push(streamEvent('gst-launch', 'relay_error', 'warning', `Relay error: ${err[1]}`));
+    }
+  }
+  return events;
+}
+
+function spawnDestination(i, d) {
+  const port = 9000 + i;
+
+  spawnStreamingLoop(srtlaSendExec, [
+                       port,
+                       d.srtlaAddr,
+                       d.srtlaPort,
+                       setup.ips_file
+                     ], 100, function(err) {
+    streamEventsPublish(destinationEvents(i, parseSrtlaOutput(err)));
+  }, `srtla_send (${d.name})`);
+
+  const uri = `srt://127.0.0.1:${port}?latency=${d.latency}&streamid=${encodeURIComponent(d.streamid)}`;
+  spawnStreamingLoop(gstLaunchExec, [
+                       '-q',
+                       'tcpclientsrc', 'host=127.0.0.1', `port=${TS_OUTPUT_PORT}`, '!',
+                       'tsparse', 'alignment=7', '!',
+                       'srtsink', `uri=${uri}`
+                     ], 1000, function(err) {
+    streamEventsPublish(destinationEvents(i, parseGstLaunchOutput(err)));
+  }, `gst-launch (${d.name})`);
+}
+
+/*
+  Relay failover for the main destination
+
+  The failover candidates are, in order: the main relay / SRTLA receiver, its
+  other A records, and then the relay servers listed in config.relay_failover.
+  After config.relay_failover_attempts consecutive connection failures, each
+  within RELAY_FAILOVER_WINDOW of the previous one, srtla_send is restarted
+  against the next candidate. While using a backup,
+  the main receiver is periodically probed and we switch back to it once it
+  answers again. The probe is a connection registration (REG2) for a random,
+  unknown group ID, which srtla_rec rejects with REG_NGP without creating any
+  state, unlike a group registration (REG1).
+
+  The initialisation, the srtla_send events and the probe results are handled
+  one at a time through relayFailoverQueue(), as they all await DNS lookups.
+*/
+const RELAY_FAILOVER_ATTEMPTS_DEFAULT = 3;
+const RELAY_FAILOVER_WINDOW = 60000;
+const RELAY_PROBE_INTERVAL = 30000;
+const RELAY_PROBE_TIMEOUT = 2000;
+const SRTLA_TYPE_REG2 = 0x9201;
+// The registration errors: REG_ERR, REG_NGP (no such group) and REG_NAK
+const SRTLA_TYPE_REG_ERR = 0x9210;
+const SRTLA_TYPE_REG_NAK = 0x9212;
+const SRTLA_ID_LEN = 256;
+
+const relayFailover = {
+  candidates: [],
+  current: 0,
+  failures: 0,
+  lastFailure: 0,
+  attempts: RELAY_FAILOVER_ATTEMPTS_DEFAULT,
+  // the srtla_send arguments, updated in place when switching relays
+  args: undefined,
+  probeTimer: undefined,
+  // the tail of the queued handlers
+  queue: Promise.resolve()
+};
+
+function relayFailoverQueue(handler) {
+  relayFailover.queue = relayFailover.queue.then(handler).catch(function(err) {
+    console.log(`relay failover: ${err.message}`);
+  });
+}
+
+// False once the stream has been stopped or restarted since `args` was set
+function relayFailoverIsCurrent(args) {
+  return isStreaming && relayFailover.args !== undefined && relayFailover.args === args;
+}
+
+function relayFailoverBuildMsg() {
+  const c = relayFailover.candidates[relayFailover.current];
+  if (!c || relayFailover.current == 0) return {active: false};
+  return {active: true, relay: c.name};
+}
+
+async function relayFailoverInit(args) {
+  relayFailoverStop();
+  if (!isStreaming) return;
+  relayFailover.args = args;
+  relayFailover.current = 0;
+  relayFailover.failures = 0;
+  relayFailover.attempts = config.relay_failover_attempts || RELAY_FAILOVER_ATTEMPTS_DEFAULT;
+
+  let mainName, mainHost;
+  if (config.relay_server && relaysCache && relaysCache.servers[config.relay_server]) {
+    const relay = relaysCache.servers[config.relay_server];
+    mainName = relay.name;
+    mainHost = relay.addr;
+  } else {
+    mainHost = config.srtla_addr;
+    mainName = mainHost;
+  }
+  const mainPort = args[2];
+
+  const candidates = [{name: mainName, addr: args[1], port: mainPort}];
+
+  // Any other addresses of the main receiver
+  try {
+    const {addrs} = await dnsCacheResolve(mainHost, 'a');
+    for (const addr of addrs) {
+      if (addr == args[1]) continue;
+      candidates.push({name: `${mainName} (${addr})`, addr, port: mainPort});
+    }
+  } catch (err) {}
+  if (!relayFailoverIsCurrent(args)) return;
+
+  // The backup relay servers, resolved when switching to them
+  if (Array.isArray(config.relay_failover) && relaysCache) {
+    for (const id of config.relay_failover) {
+      const relay = relaysCache.servers[id];
+      if (!relay || id == config.relay_server) continue;
+      candidates.push({name: relay.name, host: relay.addr, port: relay.port});
+    }
+  }
+
+  relayFailover.candidates = candidates;
+}
+
+function relayFailoverStop() {
+  if (relayFailover.probeTimer) {
+    clearTimeout(relayFailover.probeTimer);
+    relayFailover.probeTimer = undefined;
+  }
+  relayFailover.candidates = [];
+  relayFailover.args = undefined;
+}
+
+function relayFailoverRestartSrtla() {
+  for (const p of streamingProcesses) {
+    if (p.streamName == 'srtla_send' && p.exitCode === null && p.signalCode === null) {
+      p.kill('SIGTERM');
+    }
+  }
+}
+
+async function relayFailoverSwitch(index) {
+  const args = relayFailover.args;
+  const candidates = relayFailover.candidates;
+  const prev = candidates[relayFailover.current];
+  const next = candidates[index];
+
+  let addr = next.addr;
+  if (!addr) {
+    try {
+      const {addrs} = await dnsCacheResolve(next.host, 'a');
+      addr = addrs[Math.floor(Math.random()*addrs.length)];
+    } catch (err) {
+      if (!relayFailoverIsCurrent(args)) return false;
+      console.log(`relay failover: failed to resolve ${next.host}`);
+      relayFailover.current = index;
+      return false;
+    }
+  }
+
+  // The stream may have been stopped in the meantime
+  if (!relayFailoverIsCurrent(args)) return false;
+
+  relayFailover.current = index;
+  relayFailover.failures = 0;
+  relayFailover.args[1] = addr;
+  relayFailover.args[2] = next.port;
+  relayFailoverRestartSrtla();
+
+  const msg = (index == 0) ? `Switched back to the relay ${next.name}` :
+                             `Relay ${prev.name} is unreachable, switched to ${next.name}`;
+  console.log(`relay failover: ${msg}`);
+  notificationBroadcast('relay_failover', (index == 0) ? 'success' : 'warning', msg, 30, false, true);
+  streamEventsAdd('relay_failover', (index == 0) ? 'info' : 'warning', msg, {relay: next.name});
+  broadcastMsg('status', {relay_failover: relayFailoverBuildMsg()});
+
+  if (index != 0) {
+    relayFailoverScheduleProbe();
+  } else if (relayFailover.probeTimer) {
+    clearTimeout(relayFailover.probeTimer);
+    relayFailover.probeTimer = undefined;
+  }
+
+  return true;
 }
 
-function updateSrtlaIps() {
-  genSrtlaIpList();
-  spawnSync("killall", ['-HUP', "srtla_send"], { detached: true});
+// Called with the stream events of the main srtla_send
+async function relayFailoverHandleEvents(events) {
+  if (relayFailover.candidates.length < 2) return;
+
+  for (const ev of events) {
+    if (ev.type == 'connected') {
+      relayFailover.failures = 0;
+    } else if (ev.type == 'connect_failed') {
+      /* The connected event may never be seen, see parseSrtlaOutput(), so the
+         failures are also only counted as consecutive within a time window */
+      if (getms() - relayFailover.lastFailure > RELAY_FAILOVER_WINDOW) relayFailover.failures = 0;
+      relayFailover.lastFailure = getms();
+      relayFailover.failures++;
+      if (relayFailover.failures < relayFailover.attempts) continue;
+
+      // Try the following candidates until one of them resolves
+      const args = relayFailover.args;
+      const count = relayFailover.candidates.length;
+      for (let i = 1; i < count; i++) {
+        const next = (relayFailover.current + i) % count;
+        if (await relayFailoverSwitch(next)) break;
+        if (!relayFailoverIsCurrent(args)) return;
+      }
+    }
+  }
 }
 
-let streamingProcesses = [];
-function spawnStreamingLoop(command, args, cooldown = 100, errCallback) {
-  const process = spawn(command, args, { stdio: ['inherit', 'inherit', 'pipe'] });
-  streamingProcesses.push(process);
+// Checks if an SRTLA receiver answers to a registration request
+function srtlaProbe(addr, port) {
+  return new Promise(function(resolve) {
+    const socket = dgram.createSocket('udp4');
+    const id = crypto.randomBytes(SRTLA_ID_LEN);
+    const packet = Buffer.alloc(2 + SRTLA_ID_LEN);
+    packet.writeUInt16BE(SRTLA_TYPE_REG2, 0);
+    id.copy(packet, 2);
 
-  if (errCallback) {
-    process.stderr.on('data', function(data) {
-      data = data.toString('utf8');
-      console.log(data);
-      errCallback(data);
+    const timer = setTimeout(function() {
+      socket.close();
+      resolve(false);
+    }, RELAY_PROBE_TIMEOUT);
+
+    socket.on('message', function(msg) {
+      // Any registration reply, even an error, shows the receiver is up
+      const type = (msg.length >= 2) ? msg.readUInt16BE(0) : 0;
+      if (type == SRTLA_TYPE_REG2 || (type >= SRTLA_TYPE_REG_ERR && type <= SRTLA_TYPE_REG_NAK)) {
+        clearTimeout(timer);
+        socket.close();
+        resolve(true);
+      }
+    });
+    socket.on('error', function() {
+      clearTimeout(timer);
+      socket.close();
+      resolve(false);
     });
-  }
 
-  process.on('exit', function(code) {
-    process.restartTimer = setTimeout(function() {
-      // remove the old process from the list
-      removeProc(process);
+    socket.send(packet, port, addr);
+  });
+}
 
-      spawnStreamingLoop(command, args, cooldown, errCallback);
-    }, cooldown);
-  })
+function relayFailoverScheduleProbe() {
+  if (relayFailover.probeTimer) clearTimeout(relayFailover.probeTimer);
+
+  relayFailover.probeTimer = setTimeout(async function() {
+    relayFailover.probeTimer = undefined;
+    const args = relayFailover.args;
+    const main = relayFailover.candidates[0];
+    if (!main || relayFailover.current == 0) return;
+
+    const isUp = await srtlaProbe(main.addr, main.port);
+    if (!relayFailoverIsCurrent(args)) return;
+
+    if (isUp) {
+      relayFailoverQueue(function() {
+        if (relayFailoverIsCurrent(args) && relayFailover.current != 0) return relayFailoverSwitch(0);
+      });
+    } else {
+      relayFailoverScheduleProbe();
+    }
+  }, RELAY_PROBE_INTERVAL);
 }
 
+
 function start(conn, params) {
   if (isStreaming || isUpdating()) {
     sendStatus(conn);
     return;
   }
 
+  // Start with the saved settings of a profile
+  if (params.profile !== undefined) {
+    const profile = profileGet(params.profile);
+    if (!profile) {
+      startError(conn, "profile not found");
+      return;
+    }
+    params = Object.assign({profile: params.profile}, profile.config);
+  }
+
   const senderId = conn.senderId;
-  updateConfig(conn, params, function(pipeline, srtlaAddr, srtlaPort, streamid) {
+  updateConfig(conn, params, async function(pipeline, srtlaAddr, srtlaPort, streamid, destinations) {
     if (genSrtlaIpList() < 1) {
       startError(conn, "Failed to start, no available network connections", senderId);
       return;
     }
     updateStatus(true);
+    // release the audio card for belacoder
+    await audioLevelsStopIdle();
+    // stopped while waiting for the audio card
+    if (!isStreaming) return;
 
-    spawnStreamingLoop(srtlaSendExec, [
-                         9000,
-                         srtlaAddr,
-                         srtlaPort,
-                         setup.ips_file
-                       ], 100, function(err) {
-      let msg;
-      if (err.match('Failed to establish any initial connections')) {
-        msg = 'Failed to connect to the SRTLA server. Retrying...';
-      } else if (err.match('no available connections')) {
-        msg = 'All SRTLA connections failed. Trying to reconnect...';
-      }
-      if (msg) {
-        notificationBroadcast('srtla', 'error', msg, duration = 5, isPersistent = true, isDismissable = false);
-      }
+    restartsReset();
+    sessionStart(srtlaAddr, srtlaPort);
+    streamEventsAdd('stream_started', 'info', 'Stream started');
+
+    if (config.record) {
+      recordingStart();
+    }
+
+    destinationsReset(destinations);
+
+    const srtlaArgs = [
+                        9000,
+                        srtlaAddr,
+                        srtlaPort,
+                        setup.ips_file
+                      ];
+    relayFailoverQueue(function() {
+      return relayFailoverInit(srtlaArgs);
     });
+    spawnStreamingLoop(srtlaSendExec, srtlaArgs, 100, function(err) {
+      const events = destinationEvents(0, parseSrtlaOutput(err));
+      relayFailoverQueue(function() {
+        return relayFailoverHandleEvents(events);
+      });
+      streamEventsPublish(events);
+    });
+
+    let i = 0;
+    for (const d of destinations) {
+      if (!d.enabled) continue;
+      i++;
+      spawnDestination(i, d);
+    }
 
     const belacoderArgs = [
                             pipeline,
@@ -3714,27 +7806,7 @@ function start(conn, params) {
       belacoderArgs.push(streamid);
     }
     spawnStreamingLoop(belacoderExec, belacoderArgs, 2000, function(err) {
-      let msg;
-      if (err.match('gstreamer error from alsasrc0')) {
-        msg = 'Capture card error (audio). Trying to restart...';
-      } else if (err.match('gstreamer error from v4l2src0')) {
-        msg = 'Capture card error (video). Trying to restart...';
-      } else if (err.match('Pipeline stall detected')) {
-        msg = 'The input source has stalled. Trying to restart...';
-      } else if (err.match('Failed to establish an SRT connection')) {
-        if (!notificationExists('srtla')) {
-          let reason = err.match(/Failed to establish an SRT connection: ([\w ]+)\./);
-          reason = (reason && reason[1]) ? ` (${reason[1]})` : '';
-          msg = `Failed to connect to the SRT server${reason}. Retrying...`;
-        }
-      } else if (err.match(/The SRT connection.+, exiting/)) {
-        if (!notificationExists('srtla')) {
-          msg = 'The SRT connection failed. Trying to reconnect...';
-        }
-      }
-      if (msg) {
-        notificationBroadcast('belacoder', 'error', msg, duration = 5, isPersistent = true, isDismissable = false);
-      }
+      streamEventsPublish(parseBelacoderOutput(err));
     });
   });
 }
@@ -3747,6 +7819,7 @@ function stopProcess(process) {
   if (process.restartTimer) {
     clearTimeout(process.restartTimer);
   }
+  clearTimeout(process.stableTimer);
   process.removeAllListeners('exit');
   process.on('exit', function() {
     removeProc(process);
@@ -3764,6 +7837,15 @@ const stopCheckInterval = 50;
 function waitForAllProcessesToTerminate() {
   if (streamingProcesses.length == 0) {
     console.log('stop: all processes terminated');
+    sessionEnd();
+    streamEventsAdd('stream_stopped', 'info', 'Stream stopped');
+    restartsReset();
+    recordingStop();
+    destinationsClear();
+    relayFailoverStop();
+    broadcastMsg('status', {relay_failover: relayFailoverBuildMsg()});
+    previewClear();
+    audioLevelsStreamStopped();
     updateStatus(false);
 
     periodicCheckForSoftwareUpdates();
@@ -3827,6 +7909,478 @@ spawnSync("killall", ["belacoder"], {detached: true});
 spawnSync("killall", ["srtla_send"], {detached: true});
 
 
+/*
+  Scheduled streams
+
+  Schedules are persisted to SCHEDULES_FILE:
+  {
+    <id>: {
+      name: 'Sunday service',
+      enabled: true,
+      type: 'once' | 'cron',
+      at: <unix time in ms>,    // for type 'once'
+      cron: '30 9 * * 0',       // for type 'cron', in the local time zone
+      action: 'start' | 'stop',
+      profile: <profile id>,    // optional, defaults to the active settings
+      duration: <minutes>       // optional, stop the stream automatically
+    }
+  }
+
+  Scheduled starts and stops take the same path as the start / stop messages,
+  with the results and errors broadcast to all the clients.
+*/
+const SCHEDULE_CHECK_INTERVAL = 5000;
+// Longer gaps since the last check are clock jumps (e.g. NTP sync at boot), not missed checks
+const SCHEDULE_MAX_CATCHUP = 2 * 60 * 1000;
+
+let schedules = {};
+try {
+  schedules = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8'));
+} catch(err) {}
+
+function saveSchedules() {
+  fs.writeFileSync(SCHEDULES_FILE, JSON.stringify(schedules));
+}
+
+function broadcastSchedules() {
+  broadcastMsg('schedules', schedules);
+}
+
+/* Minimal cron expression support: <minute> <hour> <day of month> <month> <day of week>
+   with *, lists, ranges and steps, e.g. '0,30 8-18/2 * * 1-5' */
+const cronFieldRanges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+function cronParseField(field, min, max) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) return;
+
+    let from = min, to = max;
+    if (m[1] != '*') {
+      from = parseInt(m[2]);
+      to = (m[3] !== undefined) ? parseInt(m[3]) : ((m[4] !== undefined) ? max : from);
+    }
+    const step = (m[4] !== undefined) ? parseInt(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) return;
+
+    for (let v = from; v <= to; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+function cronParse(expr) {
+  if (typeof expr != 'string') return;
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length != 5) return;
+
+  const parsed = [];
+  for (let i = 0; i < 5; i++) {
+    const values = cronParseField(fields[i], cronFieldRanges[i][0], cronFieldRanges[i][1]);
+    if (!values) return;
+    parsed.push(values);
+  }
+
+  // Both 0 and 7 are Sunday
+  if (parsed[4].has(7)) parsed[4].add(0);
+
+  return {
+    minute: parsed[0], hour: parsed[1], dom: parsed[2], month: parsed[3], dow: parsed[4],
+    domRestricted: fields[2] != '*', dowRestricted: fields[4] != '*'
+  };
+}
+
+function cronMatches(cron, date) {
+  if (!cron.minute.has(date.getMinutes()) || !cron.hour.has(date.getHours()) ||
+      !cron.month.has(date.getMonth() + 1)) return false;
+
+  // Like in cron, if both the day of month and day of week are restricted, either can match
+  const domMatch = cron.dom.has(date.getDate());
+  const dowMatch = cron.dow.has(date.getDay());
+  if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+// Returns the validated schedule or an error message
+function scheduleValidate(s) {
+  if (!s || typeof s != 'object') return 'Invalid schedule';
+
+  const name = (typeof s.name == 'string') ? s.name.trim() : '';
+  if (name.length < 1 || name.length > 64) return 'Invalid schedule name';
+
+  const schedule = {name, enabled: (s.enabled !== false)};
+
+  switch (s.type) {
+    case 'once':
+      if (!Number.isFinite(s.at)) return 'Invalid schedule time';
+      schedule.type = 'once';
+      schedule.at = s.at;
+      break;
+    case 'cron':
+      if (!cronParse(s.cron)) return 'Invalid recurring schedule, expected a cron expression such as "30 9 * * 0"';
+      schedule.type = 'cron';
+      schedule.cron = s.cron.trim();
+      break;
+    default:
+      return 'Invalid schedule type';
+  }
+
+  if (s.action != 'start' && s.action != 'stop') return 'Invalid schedule action';
+  schedule.action = s.action;
+
+  if (schedule.action == 'start') {
+    if (s.profile !== undefined && s.profile !== null && s.profile !== '') {
+      if (!profileGet(s.profile)) return 'Profile not found';
+      schedule.profile = s.profile;
+    }
+
+    if (s.duration !== undefined && s.duration !== null && s.duration !== '' && s.duration !== 0) {
+      const duration = parseInt(s.duration);
+      if (duration != s.duration || duration < 1 || duration > 7 * 24 * 60) return 'Invalid schedule duration';
+      schedule.duration = duration;
+    }
+  }
+
+  return schedule;
+}
+
+function scheduleError(conn, msg) {
+  notificationSend(conn, "schedule_error", "error", msg, 10);
+}
+
+/*
+  Expects one of:
+  {add: {name, enabled, type, at | cron, action, profile, duration}}
+  {update: {id, name, enabled, type, at | cron, action, profile, duration}}
+  {delete: {id}}
+*/
+function handleSchedules(conn, msg) {
+  for (const type in msg) {
+    const m = msg[type];
+    if (!m || typeof m != 'object') continue;
+
+    if (type != 'add' && (typeof m.id != 'string' || !Object.prototype.hasOwnProperty.call(schedules, m.id))) {
+      scheduleError(conn, "Schedule not found");
+      continue;
+    }
+
+    switch (type) {
+      case 'add':
+      case 'update': {
+        const schedule = scheduleValidate(m);
+        if (typeof schedule == 'string') {
+          scheduleError(conn, schedule);
+          break;
+        }
+        const id = (type == 'add') ? crypto.randomBytes(8).toString('hex') : m.id;
+        schedules[id] = schedule;
+        saveSchedules();
+        broadcastSchedules();
+        break;
+      }
+      case 'delete':
+        delete schedules[m.id];
+        saveSchedules();
+        broadcastSchedules();
+        break;
+    }
+  }
+}
+
+/* Pseudo-connection for the start / stop requests of the scheduler and of the
+   auto-start, sending any replies to all the clients */
+const internalConn = {
+  isAuthed: true,
+  senderId: undefined,
+  send: function(msg) {
+    msg = JSON.parse(msg);
+    for (const type in msg) {
+      if (type == 'id') continue;
+      broadcastMsg(type, msg[type]);
+    }
+  }
+};
+
+// The schedule that started the current stream, if any
+let scheduledStream;
+
+// Manually starting or stopping the stream cancels any scheduled stop
+function scheduleCancelStop() {
+  if (!scheduledStream) return;
+
+  clearTimeout(scheduledStream.timer);
+  scheduledStream = undefined;
+}
+
+function scheduleStopStream(id) {
+  if (!scheduledStream || scheduledStream.id != id) return;
+
+  console.log(`schedule: stopping the stream started by ${schedules[id] ? schedules[id].name : id}`);
+  scheduledStream = undefined;
+  if (isStreaming) stopAndDisarm();
+}
+
+function scheduleRun(id) {
+  const s = schedules[id];
+  console.log(`schedule: running ${s.name} (${s.action})`);
+
+  if (isUpdating()) {
+    const msg = `Skipped the scheduled ${s.action} '${s.name}' as a software update is in progress`;
+    notificationBroadcast('schedule', 'warning', msg, 30, false, true);
+    return;
+  }
+
+  if (s.action == 'stop') {
+    if (isStreaming) stopAndDisarm();
+    return;
+  }
+
+  if (isStreaming) {
+    const msg = `Skipped the scheduled stream '${s.name}' as the encoder is already streaming`;
+    notificationBroadcast('schedule', 'warning', msg, 30, false, true);
+    return;
+  }
+
+  let params;
+  if (s.profile) {
+    if (!profileGet(s.profile)) {
+      notificationBroadcast('schedule', 'error', `The profile for the scheduled stream '${s.name}' was deleted`, 30, false, true);
+      return;
+    }
+    params = {profile: s.profile};
+  } else {
+    params = profileGetConfig(config);
+  }
+
+  notificationBroadcast('schedule', 'success', `Starting the scheduled stream '${s.name}'`, 10, false, true);
+  start(internalConn, params);
+
+  scheduleCancelStop();
+  scheduledStream = {id};
+  if (s.duration) {
+    scheduledStream.timer = setTimeout(function() {
+      scheduleStopStream(id);
+    }, s.duration * oneMinute);
+  }
+}
+
+let scheduleLastCheck = Date.now();
+function scheduleCheck() {
+  const now = Date.now();
+  const from = scheduleLastCheck;
+  scheduleLastCheck = now;
+
+  if (now < from || now - from > SCHEDULE_MAX_CATCHUP) {
+    console.log(`schedule: the clock jumped by ${Math.round((now - from) / 1000)}s, skipping the catch-up`);
+    return;
+  }
+
+  let modified = false;
+  for (const id in schedules) {
+    const s = schedules[id];
+    if (!s.enabled) continue;
+
+    if (s.type == 'once') {
+      if (s.at > from && s.at <= now) {
+        s.enabled = false;
+        modified = true;
+        scheduleRun(id);
+      }
+    } else {
+      const cron = cronParse(s.cron);
+      if (!cron) continue;
+
+      // Check every minute boundary since the last check
+      const t = new Date(from);
+      t.setSeconds(0, 0);
+      t.setMinutes(t.getMinutes() + 1);
+      for (; t.getTime() <= now; t.setMinutes(t.getMinutes() + 1)) {
+        if (cronMatches(cron, t)) {
+          scheduleRun(id);
+          break;
+        }
+      }
+    }
+  }
+
+  if (modified) {
+    saveSchedules();
+    broadcastSchedules();
+  }
+}
+setInterval(scheduleCheck, SCHEDULE_CHECK_INTERVAL);
+
+
+/*
+  Auto-start
+
+  config.autostart = {
+    enabled: true,
+    wait_signal: true,  // wait for a video input signal before starting
+    wait_netif: true,   // wait for at least one usable network interface
+    stop_after: 60      // stop after the signal was lost for this many seconds, 0 to disable
+  }
+
+  The stream is started with the saved settings once belaUI boots and the
+  conditions are met. After being stopped due to signal loss it's restarted
+  once the signal returns, even if wait_signal is disabled, but stopping the stream manually or from a schedule disarms the auto-start
+  until the next boot or until it's enabled again.
+*/
+const AUTOSTART_CHECK_INTERVAL = 2000;
+const AUTOSTART_RETRY_INTERVAL = 15000;
+
+let autostartArmed = true;
+let autostartLastAttempt = 0;
+let autostartWaiting;
+let videoSignalLostAt;
+let autostartStoppedNoSignal = false;
+
+async function videoSignalProbe() {
+  // The rk3588 HDMI input reports whether it's locked to a signal
+  if (setup.hw == 'rk3588' && fs.existsSync('/dev/hdmirx')) {
+    // Invalid timings are reported in the kernel log, see the rk3588 monitoring
+    if (getms() - hdmiLastInvalidTiming < AUTOSTART_CHECK_INTERVAL * 2) return false;
+
+    try {
+      const {stdout} = await execFileP('v4l2-ctl', ['-d', '/dev/hdmirx', '--query-dv-timings']);
+      const width = stdout.match(/Active width:\s*(\d+)/);
+      return (width != null && parseInt(width[1]) > 0);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Otherwise assume there's a signal if any video capture devices are connected
+  if (setup.hw == 'jetson' && fs.existsSync('/dev/hdmi_capture')) return true;
+  try {
+    const devices = await readdirP('/dev');
+    return devices.some(function(d) { return d.match(/^video\d+$/); });
+  } catch (err) {
+    return false;
+  }
+}
+
+function autostartHasNetif() {
+  for (const i in netif) {
+    if (netif[i].enabled && !netif[i].error) return true;
+  }
+  return false;
+}
+
+function autostartBuildMsg() {
+  const a = config.autostart;
+  return {
+    enabled: !!(a && a.enabled),
+    armed: autostartArmed,
+    waiting: autostartWaiting
+  };
+}
+
+function autostartSetWaiting(waiting) {
+  if (waiting === autostartWaiting) return;
+  autostartWaiting = waiting;
+  broadcastMsg('status', {autostart: autostartBuildMsg()});
+}
+
+function autostartDisarm() {
+  if (!autostartArmed) return;
+
+  autostartArmed = false;
+  autostartWaiting = undefined;
+  broadcastMsg('status', {autostart: autostartBuildMsg()});
+}
+
+// Deliberate stops, by the user or a schedule, mustn't be undone by the auto-start
+function stopAndDisarm() {
+  autostartDisarm();
+  stop();
+}
+
+async function autostartCheck() {
+  const a = config.autostart;
+  if (!a || !a.enabled) return;
+
+  const hasSignal = (a.wait_signal || a.stop_after > 0) ? await videoSignalProbe() : true;
+
+  if (isStreaming) {
+    autostartSetWaiting(undefined);
+
+    if (!a.stop_after || hasSignal) {
+      videoSignalLostAt = undefined;
+      return;
+    }
+
+    if (videoSignalLostAt === undefined) {
+      videoSignalLostAt = getms();
+    } else if (getms() - videoSignalLostAt >= a.stop_after * 1000) {
+      videoSignalLostAt = undefined;
+      const msg = `Stopping the stream as the video signal was lost for ${a.stop_after} seconds`;
+      notificationBroadcast('autostart', 'warning', msg, 30, false, true);
+      autostartStoppedNoSignal = true;
+      stop();
+    }
+    return;
+  }
+
+  videoSignalLostAt = undefined;
+  if (!autostartArmed || isUpdating()) return;
+
+  // Don't restart a stream stopped due to signal loss until the signal returns
+  if (hasSignal) autostartStoppedNoSignal = false;
+  if ((a.wait_signal || autostartStoppedNoSignal) && !hasSignal) {
+    autostartSetWaiting('signal');
+    return;
+  }
+  if (a.wait_netif && !autostartHasNetif()) {
+    autostartSetWaiting('network');
+    return;
+  }
+  autostartSetWaiting(undefined);
+
+  // Don't retry too often if the start fails, e.g. due to invalid settings
+  if (getms() - autostartLastAttempt < AUTOSTART_RETRY_INTERVAL) return;
+  autostartLastAttempt = getms();
+
+  notificationBroadcast('autostart', 'success', 'Automatically starting the stream', 10, false, true);
+  start(internalConn, profileGetConfig(config));
+}
+setInterval(autostartCheck, AUTOSTART_CHECK_INTERVAL);
+
+function setAutostart(conn, msg) {
+  if (!msg || typeof msg != 'object') return;
+
+  const stopAfter = parseInt(msg.stop_after || 0);
+  if (stopAfter != (msg.stop_after || 0) || stopAfter < 0 || stopAfter > 3600) {
+    notificationSend(conn, "autostart_error", "error", "Invalid signal loss timeout", 10);
+    return;
+  }
+
+  config.autostart = {
+    enabled: !!msg.enabled,
+    wait_signal: !!msg.wait_signal,
+    wait_netif: !!msg.wait_netif,
+    stop_after: stopAfter
+  };
+  saveConfig();
+
+  // Enabling the auto-start re-arms it
+  if (config.autostart.enabled) {
+    autostartArmed = true;
+    autostartStoppedNoSignal = false;
+    autostartLastAttempt = 0;
+  } else {
+    autostartSetWaiting(undefined);
+  }
+
+  broadcastMsg('config', config);
+  broadcastMsg('status', {autostart: autostartBuildMsg()});
+}
+
+
 /* Misc commands */
 function command(conn, cmd) {
   switch(cmd) {
@@ -3836,6 +8390,12 @@ function command(conn, cmd) {
     case 'get_syslog':
       getLog(conn);
       return;
+    case 'get_sessions_json':
+      sendSessions(conn, 'json');
+      return;
+    case 'get_sessions_csv':
+      sendSessions(conn, 'csv');
+      return;
   }
 
   if (isStreaming || isUpdating()) {
@@ -3902,6 +8462,24 @@ function handleConfig(conn, msg, isRemote) {
       case 'remote_key':
         setRemoteKey(msg[type]);
         break;
+      case 'autostart':
+        setAutostart(conn, msg[type]);
+        break;
+      case 'preview':
+        setPreview(conn, msg[type]);
+        break;
+      case 'audio_silence_timeout':
+        setAudioSilenceTimeout(conn, msg[type]);
+        break;
+      case 'audio_sources':
+        setAudioSources(conn, msg[type]);
+        break;
+      case 'netif_backup_threshold':
+        setNetifBackupThreshold(conn, msg[type]);
+        break;
+      case 'netif_probe':
+        setNetifProbe(conn, msg[type]);
+        break;
     }
   }
 }
@@ -4333,19 +8911,32 @@ function sendStatus(conn) {
                                 ssh: getSshStatus(conn),
                                 wifi: wifiBuildMsg(),
                                 modems: modemsBuildMsg(),
-                                asrcs: Object.keys(audioDevices)}));
+                                recording: recordingBuildMsg(),
+                                restarts: restartsBuildMsg(),
+                                autostart: autostartBuildMsg(),
+                                destinations: destinationsBuildMsg(),
+                                relay_failover: relayFailoverBuildMsg(),
+                                asrcs: Object.keys(audioDevices),
+                                audio_cards: audioCards,
+                                vsrcs: videoDevices}));
 }
 
 function sendInitialStatus(conn) {
   conn.send(buildMsg('config', config));
   conn.send(buildMsg('pipelines', getPipelineList()));
+  conn.send(buildMsg('profiles', buildProfilesMsg()));
+  conn.send(buildMsg('schedules', schedules));
   if (relaysCache)
     conn.send(buildMsg('relays', buildRelaysMsg()));
   sendStatus(conn);
   conn.send(buildMsg('netif', netIfBuildMsg()));
+  conn.send(buildMsg('data_usage', dataUsageBuildMsg()));
   conn.send(buildMsg('sensors', sensors));
   conn.send(buildMsg('revisions', revisions));
-  conn.send(buildMsg('acodecs', audioCodecs));
+  conn.send(buildMsg('acodecs', audioCodecsBuildMsg()));
+  conn.send(buildMsg('acodecs_info', audioCodecsBuildInfoMsg()));
+  conn.send(buildMsg('stream_events', streamEventsBuildHistoryMsg()));
+  if (preview.image && conn !== remoteWs) conn.send(buildMsg('preview', previewBuildMsg()));
   notificationSendPersistent(conn, true);
 }
 
@@ -4375,7 +8966,7 @@ function tryAuth(conn, msg) {
       }
     });
   } else if (typeof(msg.token) == 'string') {
-    if (tempTokens[msg.token] || persistentTokens[msg.token]) {
+    if (isValidAuthToken(msg.token)) {
       connAuth(conn);
       conn.authToken = msg.token;
     } else {
@@ -4430,10 +9021,12 @@ function handleMessage(conn, msg, isRemote = false) {
         // NOP - conn.lastActive is updated when receiving any valid message
         break;
       case 'start':
+        scheduleCancelStop();
         start(conn, msg[type]);
         break;
       case 'stop':
-        stop();
+        scheduleCancelStop();
+        stopAndDisarm();
         break;
       case 'bitrate':
         if (isStreaming) {
@@ -4449,12 +9042,33 @@ function handleMessage(conn, msg, isRemote = false) {
       case 'netif':
         handleNetif(conn, msg[type]);
         break;
+      case 'data_usage':
+        handleDataUsage(conn, msg[type]);
+        break;
       case 'wifi':
         handleWifi(conn, msg[type]);
         break;
       case 'modems':
         handleModems(conn, msg[type]);
         break;
+      case 'profiles':
+        handleProfiles(conn, msg[type]);
+        break;
+      case 'recordings':
+        handleRecordings(conn, msg[type]);
+        break;
+      case 'stats':
+        handleStats(conn, msg[type]);
+        break;
+      case 'schedules':
+        handleSchedules(conn, msg[type]);
+        break;
+      case 'custom_pipelines':
+        handleCustomPipelines(conn, msg[type]);
+        break;
+      case 'audio_levels':
+        handleAudioLevels(conn, msg[type]);
+        break;
       case 'logout':
         if (conn.authToken) {
           delete tempTokens[conn.authToken];
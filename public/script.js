@@ -138,6 +138,9 @@ function handleAuthResult(msg) {
     $('#modemManager').empty();
     $('#main').removeClass('d-none');
     $('#themeSelector').removeClass('d-none');
+
+    // The meters are only sent while requested, as idle metering holds the audio input
+    sendAudioLevelsRequest();
   } else if (!isShowingInitialPasswordForm) {
     showLoginForm();
   }
@@ -160,7 +163,7 @@ function setNetif(name, ip, enabled) {
   ws.send(JSON.stringify({'netif': {'name': name, 'ip': ip, 'enabled': enabled}}));
 }
 
-function genNetifEntry(error, enabled, name, ip, throughput, isBold = false) {
+function genNetifEntry(error, enabled, name, ip, throughput, isBold = false, ip6 = undefined) {
   let checkbox = '';
   if (enabled != undefined) {
     const esc_name = name.replaceAll("'", "\\'");
@@ -181,6 +184,9 @@ function genNetifEntry(error, enabled, name, ip, throughput, isBold = false) {
   const entry = $($.parseHTML(html));
   entry.find('.netif_name').text(name);
   entry.find('.netif_ip').text(ip);
+  if (ip6) {
+    entry.find('.netif_ip').attr('title', ip6.join('\n'));
+  }
   entry.find('.netif_tp').text(throughput);
   if (error) {
     const cb = entry.find('input');
@@ -191,7 +197,9 @@ function genNetifEntry(error, enabled, name, ip, throughput, isBold = false) {
   return entry;
 }
 
+let currentNetifs = {};
 function updateNetif(netifs) {
+  currentNetifs = netifs;
   let modemList = [];
   let totalKbps = 0;
 
@@ -200,7 +208,13 @@ function updateNetif(netifs) {
     tpKbps = Math.round((data['tp'] * 8) / 1024);
     totalKbps += tpKbps;
 
-    modemList.push(genNetifEntry(data.error, data.enabled, i, data.ip, `${tpKbps} Kbps`));
+    const tp = data.standby ? 'Standby' : `${tpKbps} Kbps`;
+    const entry = genNetifEntry(data.error, data.enabled, i, data.ip, tp, false, data.ip6);
+    if (data.loss !== undefined) {
+      const probe = (data.rtt !== undefined) ? `${data.rtt} ms, ${data.loss}% loss` : `${data.loss}% loss`;
+      entry.find('.netif_tp').append($('<div class="small text-muted"></div>').text(probe));
+    }
+    modemList.push(entry);
   }
 
   if (Object.keys(netifs).length > 1) {
@@ -208,8 +222,74 @@ function updateNetif(netifs) {
   }
 
   $('#modems').html(modemList);
+
+  updateNetifSettings(netifs);
+}
+
+/* Network interface priorities and weights */
+const netifPriorityOptions = {
+  primary: {name: 'Primary'},
+  backup: {name: 'Backup only'},
+  disabled: {name: 'Disabled'}
+};
+const netifWeightOptions = {};
+for (let w = 1; w <= 5; w++) {
+  netifWeightOptions[w] = {name: w};
+}
+
+function updateNetifSettings(netifs) {
+  const list = $('#netifSettingsList');
+
+  for (const i in netifs) {
+    let entry = list.find(`tr[data-name="${CSS.escape(i)}"]`);
+    if (entry.length == 0) {
+      entry = $(`<tr>
+                   <td class="netif-settings-name"></td>
+                   <td><select class="custom-select custom-select-sm netif-priority"></select></td>
+                   <td><select class="custom-select custom-select-sm netif-weight"></select></td>
+                 </tr>`);
+      entry.attr('data-name', i);
+      entry.find('.netif-settings-name').text(i);
+      entry.find('select').change(function() {
+        const data = entry.data('netif');
+        ws.send(JSON.stringify({netif: {
+          name: i,
+          ip: data.ip,
+          priority: entry.find('.netif-priority').val(),
+          weight: parseInt(entry.find('.netif-weight').val())
+        }}));
+      });
+      list.append(entry);
+    }
+
+    // Only regenerate the options when the settings change, not on every throughput update
+    const data = netifs[i];
+    const prev = entry.data('netif');
+    if (!prev || prev.priority != data.priority || prev.weight != data.weight) {
+      entry.find('.netif-priority').html(genOptionList([netifPriorityOptions], data.priority));
+      entry.find('.netif-weight').html(genOptionList([netifWeightOptions], data.weight));
+    }
+    entry.data('netif', data);
+  }
+
+  list.find('tr').each(function() {
+    if (!netifs[$(this).attr('data-name')]) $(this).remove();
+  });
 }
 
+$('#netifProbeEnabled, #netifProbeTarget').change(function() {
+  const netifProbe = {
+    enabled: $('#netifProbeEnabled').prop('checked'),
+    target: $('#netifProbeTarget').val().trim()
+  };
+  ws.send(JSON.stringify({config: {netif_probe: netifProbe}}));
+});
+
+$('#netifBackupThreshold').change(function() {
+  const threshold = parseInt($(this).val()) || 0;
+  ws.send(JSON.stringify({config: {netif_backup_threshold: threshold}}));
+});
+
 function updateSensors(sensors) {
   const sensorList = [];
 
@@ -231,6 +311,150 @@ function updateSensors(sensors) {
 }
 
 
+/* Statistics history */
+const statsColors = ['#28a745', '#007bff', '#dc3545', '#fd7e14', '#6f42c1', '#17a2b8', '#e83e8c', '#6c757d'];
+
+function drawChart(canvas, t, series) {
+  // Match the canvas resolution to its displayed size
+  canvas.width = canvas.clientWidth;
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width;
+  const h = canvas.height;
+  const textColor = getComputedStyle(document.body).color;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = '11px sans-serif';
+
+  const names = Object.keys(series);
+  let max = 0;
+  for (const name of names) {
+    for (const v of series[name]) {
+      if (v !== null && v > max) max = v;
+    }
+  }
+  if (t.length < 2 || names.length == 0) {
+    ctx.fillStyle = textColor;
+    ctx.fillText('No data', w / 2 - 20, h / 2);
+    return;
+  }
+  max = max * 1.1 || 1;
+
+  const left = 45, bottom = 15, top = 5;
+  const tMin = t[0], tMax = t[t.length - 1];
+  const x = function(ts) { return left + (ts - tMin) / (tMax - tMin) * (w - left - 5); };
+  const y = function(v) { return h - bottom - v / max * (h - bottom - top); };
+
+  // Axes labels
+  ctx.fillStyle = textColor;
+  ctx.fillText(Math.round(max), 0, top + 10);
+  ctx.fillText('0', 0, h - bottom);
+  ctx.fillText(new Date(tMin).toLocaleTimeString(), left, h - 2);
+  const endLabel = new Date(tMax).toLocaleTimeString();
+  ctx.fillText(endLabel, w - ctx.measureText(endLabel).width - 5, h - 2);
+
+  // Series and legend
+  let legendX = left;
+  names.forEach(function(name, i) {
+    const color = statsColors[i % statsColors.length];
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    let drawing = false;
+    for (let j = 0; j < t.length; j++) {
+      const v = series[name][j];
+      if (v === null) {
+        drawing = false;
+        continue;
+      }
+      if (drawing) {
+        ctx.lineTo(x(t[j]), y(v));
+      } else {
+        ctx.moveTo(x(t[j]), y(v));
+        drawing = true;
+      }
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.fillText(name, legendX, top + 10);
+    legendX += ctx.measureText(name).width + 10;
+  });
+}
+
+function showStats(stats) {
+  const throughput = {};
+  const rtt = {};
+  const sensors = {};
+
+  for (const name in stats.series) {
+    const values = stats.series[name];
+    if (name.startsWith('tp:')) {
+      // bytes per second to Kbps
+      throughput[name.substr(3)] = values.map(function(v) { return v === null ? null : Math.round(v * 8 / 1024); });
+    } else if (name == 'bitrate') {
+      throughput['encoder'] = values;
+    } else if (name == 'rtt' || name == 'latency') {
+      rtt[name] = values;
+    } else if (name.startsWith('sensor:')) {
+      sensors[name.substr(7)] = values;
+    }
+  }
+
+  drawChart(document.getElementById('statsThroughput'), stats.t, throughput);
+  drawChart(document.getElementById('statsRtt'), stats.t, rtt);
+  drawChart(document.getElementById('statsSensors'), stats.t, sensors);
+}
+
+function requestStats() {
+  if (!ws || !$('#collapseStats').hasClass('show')) return;
+
+  const range = parseInt($('#statsRange').val()) * 1000;
+  const to = Date.now();
+  ws.send(JSON.stringify({stats: {get: {from: to - range, to, step: Math.max(1, range / 1000 / 600)}}}));
+}
+
+$('#collapseStats').on('shown.bs.collapse', requestStats);
+$('#statsRange').change(requestStats);
+setInterval(requestStats, 10000);
+
+
+/* Stream health timeline */
+const streamEventsMax = 100;
+const streamEventClasses = {error: 'text-danger', warning: 'text-warning', info: ''};
+
+function genStreamEventEntry(ev) {
+  const entry = $(`<tr>
+                     <td class="stream-event-time text-nowrap"></td>
+                     <td class="stream-event-source"></td>
+                     <td class="stream-event-msg"></td>
+                   </tr>`);
+  entry.addClass(streamEventClasses[ev.level]);
+  entry.find('.stream-event-time').text(new Date(ev.time).toLocaleTimeString());
+  entry.find('.stream-event-source').text(ev.source);
+
+  let msg = ev.msg;
+  if (ev.reason) msg += ` (${ev.reason})`;
+  if (ev.type == 'bitrate' && ev.rtt !== undefined) msg += `, RTT ${ev.rtt} ms`;
+  entry.find('.stream-event-msg').text(msg);
+
+  return entry;
+}
+
+function updateStreamEvents(msg) {
+  const list = $('#streamEvents');
+  if (msg.history || list.find('.stream-event-time').length == 0) {
+    list.empty();
+  }
+
+  for (const ev of msg.events) {
+    list.prepend(genStreamEventEntry(ev));
+  }
+  list.children().slice(streamEventsMax).remove();
+
+  if (list.children().length == 0) {
+    list.append($('<tr><td class="text-center">No events yet</td></tr>'));
+  }
+}
+
+
 /* Remote status */
 let remoteConnectedHideTimer;
 function showRemoteStatus(status) {
@@ -403,7 +627,37 @@ function updateAudioSrcs(list) {
   }
 }
 
+let videoSrcList = {};
+function updateVideoSrcs(list) {
+  if (list !== null) {
+    videoSrcList = list;
+  }
+
+  const options = {};
+  for (const name in videoSrcList) {
+    options[name] = {name};
+  }
+  if (config.vsrc && !videoSrcList[config.vsrc]) {
+    options[config.vsrc] = {name: `${config.vsrc} (unavailable)`};
+  }
+  $('#videoSource').html(genOptionList([options], config.vsrc ?? 'Pipeline default'));
+  showVideoSrcFormats($('#videoSource').val());
+}
+
+function showVideoSrcFormats(name) {
+  const formats = (videoSrcList[name] ?? {}).formats ?? [];
+  const list = formats.map(function(f) {
+    return `${f.format}: ${f.sizes.join(', ')}`;
+  });
+  $('#videoSourceFormats').text(list.join(' · '));
+}
+
+$('#videoSource').change(function() {
+  showVideoSrcFormats($(this).val());
+});
+
 let audioCodecList = {};
+let audioCodecInfo = {};
 function updateAudioCodecs(list) {
   if (list !== null) {
     audioCodecList = list;
@@ -422,8 +676,41 @@ function updateAudioCodecs(list) {
     }
     audioCodec.append(option);
   }
+
+  updateAudioCodecSettings(audioCodec.value);
+}
+
+function updateAudioCodecInfo(info) {
+  audioCodecInfo = info;
+  updateAudioCodecSettings($('#audioCodec').val());
+}
+
+// Bitrate and sample rate options for the selected audio codec
+function updateAudioCodecSettings(codecId) {
+  const codec = audioCodecInfo[codecId];
+  if (!codec) return;
+
+  const sameCodec = (codecId == config.acodec);
+
+  const bitrates = {'': {name: 'Pipeline default'}};
+  for (const br of codec.bitrates) {
+    bitrates[br] = {name: `${br} Kbps`};
+  }
+  $('#audioBitrate').html(genOptionList([bitrates], sameCodec ? config.abitrate : ''));
+  $('#audioBitrateSetting').toggleClass('d-none', codec.bitrates.length == 0);
+
+  const rates = {};
+  for (const r of codec.rates) {
+    rates[r] = {name: `${r / 1000} kHz`};
+  }
+  const rate = (sameCodec && config.arate) ? config.arate : (codec.rates.includes(48000) ? 48000 : codec.rates[0]);
+  $('#audioRate').html(genOptionList([rates], rate));
 }
 
+$('#audioCodec').change(function() {
+  updateAudioCodecSettings($(this).val());
+});
+
 
 /* status updates */
 function updateStatus(status) {
@@ -476,9 +763,83 @@ function updateStatus(status) {
     updateModemsState(status.modems);
   }
 
+  if (status.vsrcs) {
+    updateVideoSrcs(status.vsrcs);
+  }
+
   if (status.asrcs) {
     updateAudioSrcs(status.asrcs);
   }
+
+  if (status.audio_cards) {
+    updateAudioCards(status.audio_cards);
+  }
+
+  if (status.recording) {
+    updateRecording(status.recording);
+  }
+
+  if (status.restarts) {
+    showRestarts(status.restarts);
+  }
+
+  if (status.autostart) {
+    showAutostartStatus(status.autostart);
+  }
+
+  if (status.destinations) {
+    showDestinationsStatus(status.destinations);
+  }
+
+  if (status.relay_failover) {
+    showRelayFailoverStatus(status.relay_failover);
+  }
+}
+
+function showAutostartStatus(a) {
+  let msg;
+  if (a.enabled && a.armed) {
+    switch (a.waiting) {
+      case 'signal':
+        msg = 'Auto-start: waiting for a video input signal...';
+        break;
+      case 'network':
+        msg = 'Auto-start: waiting for a network connection...';
+        break;
+    }
+  } else if (a.enabled) {
+    msg = 'Auto-start paused after manually stopping the stream';
+  }
+
+  if (msg) {
+    $('#autostartStatus').text(msg).removeClass('d-none');
+  } else {
+    $('#autostartStatus').addClass('d-none');
+  }
+}
+
+function showRestarts(restarts) {
+  const list = [];
+  let isDegraded = false;
+  for (const name in restarts) {
+    if (restarts[name].count == 0) continue;
+    let entry = `${name} ${restarts[name].count}`;
+    if (restarts[name].degraded) {
+      entry += ' (failing repeatedly)';
+      isDegraded = true;
+    }
+    list.push(entry);
+  }
+
+  if (list.length == 0) {
+    $('#restartStatus').addClass('d-none');
+    return;
+  }
+
+  $('#restartStatus').text(`Restarts: ${list.join(', ')}`);
+  $('#restartStatus').toggleClass('text-danger', isDegraded);
+  $('#restartStatus').toggleClass('text-secondary', !isDegraded);
+  $('#restartStatus').removeClass('d-none');
 }
 
 
@@ -490,8 +851,11 @@ function loadConfig(c) {
   initDelaySlider(config.delay ?? 0);
   initSrtLatencySlider(config.srt_latency ?? 2000);
   updatePipelines(null);
+  updateVideoSrcs(null);
   updateAudioSrcs(null);
+  updateAudioCodecs(null);
   updateRelays(null);
+  updateProfiles(null);
 
   const srtlaAddr = config.srtla_addr ?? "";
   showHideRelayHint(srtlaAddr);
@@ -502,6 +866,30 @@ function loadConfig(c) {
   $('#remoteDeviceKey').val(config.remote_key);
   $('#remoteKeyForm button[type=submit]').prop('disabled', true);
   $("#bitrateOverlay").prop('checked', config.bitrate_overlay)
+  $('#record').prop('checked', config.record);
+  loadDestinations(config.destinations ?? []);
+  loadAudioMix(config.audio_mix ?? {});
+  $('#relayFailoverAttempts').val(config.relay_failover_attempts ?? 3);
+
+  const autostart = config.autostart ?? {};
+  $('#autostartEnabled').prop('checked', autostart.enabled);
+  $('#autostartWaitSignal').prop('checked', autostart.wait_signal ?? true);
+  $('#autostartWaitNetif').prop('checked', autostart.wait_netif ?? true);
+  $('#autostartStopAfter').val(autostart.stop_after ?? 0);
+
+  $('#audioSilenceTimeout').val(config.audio_silence_timeout ?? 10);
+  $('#netifBackupThreshold').val(config.netif_backup_threshold ?? 500);
+
+  const netifProbe = config.netif_probe ?? {};
+  $('#netifProbeEnabled').prop('checked', netifProbe.enabled ?? true);
+  $('#netifProbeTarget').val(netifProbe.target ?? '');
+
+  const preview = config.preview ?? {};
+  $('#previewInterval').val(preview.enabled === true ? (preview.interval ?? 2) : 0);
+  if (preview.enabled !== true) {
+    updatePreview({});
+  }
+  updateRecording(null);
 
   if (config.ssh_pass && sshStatus) {
     showSshStatus();
@@ -546,6 +934,8 @@ function pipelineSelectHandler(s) {
   const p = pipelines[s];
   if (!p) return;
 
+  $('#selectVideoSource').toggleClass('d-none', !p.vsrc);
+
   if (p.asrc) {
     $('#selectAudioSource').removeClass('d-none');
   } else {
@@ -557,12 +947,830 @@ function pipelineSelectHandler(s) {
   } else {
     $('#selectAudioCodec').addClass('d-none');
   }
+
+  showPipelineParams(s, p.params ?? []);
+}
+
+// Form fields for the parameters of pipeline templates
+function showPipelineParams(pipelineId, params) {
+  const values = (config.pipeline_params ?? {})[pipelineId] ?? {};
+
+  $('#pipelineParams').empty();
+  for (const p of params) {
+    const id = `pipelineParam_${p.name}`;
+    const group = $('<div class="form-group"><label></label></div>');
+    group.find('label').attr('for', id).text(p.label);
+
+    let input;
+    if (p.type == 'choice') {
+      const options = {};
+      for (const o in p.options) {
+        options[o] = {name: o};
+      }
+      input = $('<select class="custom-select"></select>');
+      input.html(genOptionList([options], values[p.name] ?? p.default));
+    } else {
+      input = $('<input type="number" class="form-control">');
+      input.attr('min', p.min).attr('max', p.max);
+      input.val(values[p.name] ?? p.default);
+    }
+    input.attr('id', id).addClass('pipeline-param').data('name', p.name);
+    group.append(input);
+
+    $('#pipelineParams').append(group);
+  }
+}
+
+function getPipelineParams() {
+  const values = {};
+  $('#pipelineParams .pipeline-param').each(function() {
+    values[$(this).data('name')] = $(this).val();
+  });
+  return values;
 }
 
 $("#pipelines").change(function(ev) {
   pipelineSelectHandler(ev.target.value);
 });
 
+/* Audio mixing */
+const audioMixChannelOptions = {
+  stereo: {name: 'Stereo'},
+  mono: {name: 'Mono downmix'},
+  left: {name: 'Left channel only'},
+  right: {name: 'Right channel only'}
+};
+
+// Gain, channel and mute controls of an audio source
+function genAudioMixControls(s) {
+  const controls = $(`<div class="col-4">
+                        <input type="number" class="form-control form-control-sm audio-mix-gain" min="-40" max="20" step="0.5" title="Gain (dB)">
+                      </div>
+                      <div class="col-5">
+                        <select class="custom-select custom-select-sm audio-mix-channels"></select>
+                      </div>
+                      <div class="col-3 form-check pt-1">
+                        <label class="form-check-label small"><input type="checkbox" class="form-check-input audio-mix-mute"> Mute</label>
+                      </div>`);
+  controls.find('.audio-mix-gain').val(s.gain ?? 0);
+  controls.find('.audio-mix-channels').html(genOptionList([audioMixChannelOptions], s.channels ?? 'stereo'));
+  controls.find('.audio-mix-mute').prop('checked', s.mute);
+  return controls;
+}
+
+function getAudioMixControls(el) {
+  return {
+    gain: parseFloat(el.find('.audio-mix-gain').val()) || 0,
+    channels: el.find('.audio-mix-channels').val(),
+    mute: el.find('.audio-mix-mute').prop('checked')
+  };
+}
+
+function addAudioMixSource(s) {
+  const entry = $(`<div class="audio-mix-source border rounded p-2 mt-2">
+                     <div class="input-group input-group-sm mb-2">
+                       <select class="custom-select audio-mix-asrc"></select>
+                       <div class="input-group-append">
+                         <button type="button" class="btn btn-outline-danger audio-mix-remove">Remove</button>
+                       </div>
+                     </div>
+                     <div class="form-row"></div>
+                   </div>`);
+  const sources = {};
+  for (const asrc of audioSrcList) {
+    sources[asrc] = {name: asrc};
+  }
+  if (s.asrc && !sources[s.asrc]) {
+    sources[s.asrc] = {name: `${s.asrc} (unavailable)`};
+  }
+  entry.find('.audio-mix-asrc').html(genOptionList([sources], s.asrc));
+  entry.find('.form-row').append(genAudioMixControls(s));
+  entry.find('.audio-mix-remove').click(function() {
+    entry.remove();
+  });
+
+  $('#audioMixExtra').append(entry);
+}
+
+function loadAudioMix(mix) {
+  $('#audioMixMain').empty().append(genAudioMixControls(mix.main ?? {}));
+  $('#audioMixExtra').empty();
+  for (const s of mix.extra ?? []) {
+    addAudioMixSource(s);
+  }
+}
+
+function getAudioMix() {
+  const extra = [];
+  $('#audioMixExtra .audio-mix-source').each(function() {
+    const s = getAudioMixControls($(this));
+    s.asrc = $(this).find('.audio-mix-asrc').val();
+    extra.push(s);
+  });
+  return {main: getAudioMixControls($('#audioMixMain')), extra};
+}
+
+$('#audioMixAdd').click(function() {
+  addAudioMixSource({});
+});
+
+/* Audio input aliases, visibility and ordering */
+function updateAudioCards(cards) {
+  // Don't overwrite any unsaved changes
+  if ($('#audioInputsForm').data('dirty')) return;
+
+  const container = $('#audioInputs').empty();
+  for (const card of cards) {
+    const entry = $(`<div class="audio-input border rounded p-2 mb-2">
+                       <div class="small text-muted mb-1 audio-input-name"></div>
+                       <div class="form-row">
+                         <div class="col-6">
+                           <input type="text" class="form-control form-control-sm audio-input-alias" maxlength="64" placeholder="Name">
+                         </div>
+                         <div class="col-3">
+                           <input type="number" class="form-control form-control-sm audio-input-priority" min="0" max="99" placeholder="Order">
+                         </div>
+                         <div class="col-3 form-check pt-1">
+                           <label class="form-check-label small"><input type="checkbox" class="form-check-input audio-input-hidden"> Hide</label>
+                         </div>
+                       </div>
+                     </div>`);
+    entry.data('key', card.key);
+    entry.find('.audio-input-name').text(`${card.name} (${card.key})`);
+    entry.find('.audio-input-alias').val(card.alias ?? '');
+    entry.find('.audio-input-priority').val(card.priority ?? '');
+    entry.find('.audio-input-hidden').prop('checked', card.hidden);
+    container.append(entry);
+  }
+
+  $('#audioInputSettings').toggleClass('d-none', cards.length == 0);
+}
+
+$('#audioInputsForm').on('input change', function() {
+  $(this).data('dirty', true);
+});
+
+$('#audioInputsForm').submit(function(e) {
+  e.preventDefault();
+
+  const sources = {};
+  $('#audioInputs .audio-input').each(function() {
+    const priority = $(this).find('.audio-input-priority').val();
+    sources[$(this).data('key')] = {
+      alias: $(this).find('.audio-input-alias').val(),
+      hidden: $(this).find('.audio-input-hidden').prop('checked'),
+      priority: priority === '' ? undefined : parseInt(priority)
+    };
+  });
+
+  $(this).data('dirty', false);
+  ws.send(JSON.stringify({config: {audio_sources: sources}}));
+});
+
+/* Streaming profiles */
+let profiles = {};
+function updateProfiles(p) {
+  if (p != null) {
+    profiles = p;
+  }
+
+  const list = genOptionList([profiles], config.profile);
+  $('#profile').html(list);
+
+  updateScheduleProfiles();
+}
+
+$('#profile').change(function() {
+  const id = $(this).val();
+  if (id == config.profile) return;
+
+  ws.send(JSON.stringify({profiles: {activate: {id}}}));
+});
+
+function askProfileName(msg, name) {
+  const newName = prompt(msg, name);
+  if (newName === null) return;
+  return newName.trim();
+}
+
+$('#profileNew').click(function() {
+  const name = askProfileName('Name of the new profile, which will be created from the last saved settings:', '');
+  if (!name) return;
+
+  ws.send(JSON.stringify({profiles: {create: {name}}}));
+});
+
+$('#profileRename').click(function() {
+  const id = $('#profile').val();
+  if (!profiles[id]) return;
+
+  const name = askProfileName('New name for the profile:', profiles[id].name);
+  if (!name) return;
+
+  ws.send(JSON.stringify({profiles: {rename: {id, name}}}));
+});
+
+$('#profileDuplicate').click(function() {
+  const id = $('#profile').val();
+  if (!profiles[id]) return;
+
+  const name = askProfileName('Name of the copy:', `${profiles[id].name} (copy)`);
+  if (!name) return;
+
+  ws.send(JSON.stringify({profiles: {duplicate: {id, name}}}));
+});
+
+$('#profileDelete').click(function() {
+  const id = $('#profile').val();
+  if (!profiles[id]) return;
+
+  if (confirm(`Delete the profile ${profiles[id].name}?`)) {
+    ws.send(JSON.stringify({profiles: {delete: {id}}}));
+  }
+});
+
+/* Local recording */
+let recording;
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+/* Data usage and caps */
+let dataUsage = {};
+
+function formatDataUsage(usage, cap) {
+  const used = formatSize(usage.tx + usage.rx);
+  if (!cap) return used;
+  return `${used} / ${formatSize(cap * 1024 * 1024)}`;
+}
+
+function updateDataUsage(usage) {
+  dataUsage = usage;
+
+  const rows = [];
+  const options = {};
+  for (const key in usage) {
+    const u = usage[key];
+    const row = $(`<tr>
+                     <td class="data-usage-name"></td>
+                     <td class="data-usage-day"></td>
+                     <td class="data-usage-month"></td>
+                   </tr>`);
+    row.find('.data-usage-name').text(u.name).attr('title', key);
+    row.find('.data-usage-day').text(formatDataUsage(u.day, u.cap.daily));
+    row.find('.data-usage-month').text(formatDataUsage(u.month, u.cap.monthly));
+    rows.push(row);
+
+    options[key] = {name: `${u.name} (${key})`};
+  }
+  $('#dataUsageList').html(rows);
+
+  const selected = $('#dataCapNetif').val();
+  $('#dataCapNetif').html(genOptionList([options], selected));
+  if (!selected || !usage[selected]) {
+    loadDataCap();
+  }
+}
+
+function getDataCapNetif(key) {
+  for (const i in currentNetifs) {
+    if (currentNetifs[i].key == key) return i;
+  }
+}
+
+function loadDataCap() {
+  const key = $('#dataCapNetif').val();
+  const u = dataUsage[key];
+  if (!u) return;
+
+  $('#dataCapDaily').val(u.cap.daily);
+  $('#dataCapMonthly').val(u.cap.monthly);
+  $('#dataCapWarning').val(u.cap.warning);
+  $('#dataCapResetDay').val(u.cap.reset_day);
+
+  // The caps can only be changed for the connected interfaces
+  $('#dataCapSave').prop('disabled', !getDataCapNetif(key));
+}
+
+$('#dataCapNetif').change(loadDataCap);
+
+$('#dataCapForm').submit(function(e) {
+  e.preventDefault();
+
+  const name = getDataCapNetif($('#dataCapNetif').val());
+  if (!name) return;
+
+  const cap = {
+    daily: parseFloat($('#dataCapDaily').val()) || 0,
+    monthly: parseFloat($('#dataCapMonthly').val()) || 0,
+    warning: parseInt($('#dataCapWarning').val()),
+    reset_day: parseInt($('#dataCapResetDay').val())
+  };
+  ws.send(JSON.stringify({netif: {name, ip: currentNetifs[name].ip, cap}}));
+});
+
+$('#dataUsageReset').click(function() {
+  const key = $('#dataCapNetif').val();
+  const u = dataUsage[key];
+  if (!u) return;
+
+  if (confirm(`Reset the recorded data usage of ${u.name}?`)) {
+    ws.send(JSON.stringify({data_usage: {reset: key}}));
+  }
+});
+
+function updateRecording(r) {
+  if (r != null) {
+    recording = r;
+  }
+  if (!recording) return;
+
+  const storage = {};
+  for (const dir in recording.storage) {
+    const s = recording.storage[dir];
+    storage[dir] = {name: `${s.name} (${formatSize(s.free)} free of ${formatSize(s.size)})`};
+  }
+  const selectedStorage = $('#recordStorage').val() ?? config.record_storage;
+  $('#recordStorage').html(genOptionList([storage], selectedStorage));
+  if (Object.keys(storage).length == 0) {
+    $('#recordNoStorage').removeClass('d-none');
+  } else {
+    $('#recordNoStorage').addClass('d-none');
+  }
+
+  const selectedSplit = $('#recordSplit').val() ?? config.record_split ?? 'size_2g';
+  $('#recordSplit').html(genOptionList([recording.split_options], selectedSplit));
+
+  if (recording.active) {
+    const s = recording.storage[recording.storage_dir];
+    let status = 'Recording';
+    if (recording.file) {
+      status += ` to ${recording.file}`;
+    } else {
+      status += ': waiting for the stream';
+    }
+    if (s) {
+      status += ` (${formatSize(s.free)} free on ${s.name})`;
+    }
+    $('#recordingStatus').text(status).removeClass('d-none');
+  } else {
+    $('#recordingStatus').addClass('d-none');
+  }
+}
+
+function showRecordings(msg) {
+  // The download URLs are only valid for a short time, so they're requested on click
+  if (msg.download) {
+    window.location.href = msg.download.url;
+    return;
+  }
+
+  const list = $('#recordings tbody');
+  list.empty();
+
+  if (msg.files.length == 0) {
+    list.append($('<tr><td class="text-center">No recordings found</td></tr>'));
+  }
+
+  for (const f of msg.files) {
+    const row = $(`<tr>
+                     <td class="recording-name text-break"></td>
+                     <td class="recording-size text-nowrap"></td>
+                     <td class="text-right text-nowrap">
+                       <button type="button" class="btn btn-sm btn-outline-primary recording-download">Download</button>
+                       <button type="button" class="btn btn-sm btn-outline-danger recording-delete">Delete</button>
+                     </td>
+                   </tr>`);
+    row.find('.recording-name').text(f.name);
+    row.find('.recording-size').text(formatSize(f.size));
+
+    row.find('.recording-download').click(function() {
+      ws.send(JSON.stringify({recordings: {download: {storage: f.storage, name: f.name}}}));
+    });
+    row.find('.recording-delete').click(function() {
+      if (confirm(`Delete the recording ${f.name}?`)) {
+        ws.send(JSON.stringify({recordings: {delete: {storage: f.storage, name: f.name}}}));
+      }
+    });
+
+    list.append(row);
+  }
+
+  $('#recordings').removeClass('d-none');
+}
+
+$('#recordingsRefresh').click(function() {
+  ws.send(JSON.stringify({recordings: {list: true}}));
+});
+
+/* Additional destinations */
+function addDestination(d) {
+  const entry = $(`<div class="destination border rounded p-2 mb-2">
+                     <div class="form-row">
+                       <div class="col-8 form-group mb-2">
+                         <input type="text" class="form-control destination-name" placeholder="Name" maxlength="64">
+                       </div>
+                       <div class="col-4 form-group mb-2 text-right">
+                         <button type="button" class="btn btn-outline-danger destination-remove">Remove</button>
+                       </div>
+                     </div>
+                     <div class="form-row">
+                       <div class="col-8 form-group mb-2">
+                         <input type="text" class="form-control destination-addr" placeholder="SRTLA receiver address">
+                       </div>
+                       <div class="col-4 form-group mb-2">
+                         <input type="text" class="form-control destination-port" placeholder="Port">
+                       </div>
+                     </div>
+                     <div class="form-row">
+                       <div class="col-8 form-group mb-2">
+                         <input type="password" class="form-control destination-streamid" placeholder="SRT streamid">
+                       </div>
+                       <div class="col-4 form-group mb-2">
+                         <input type="number" class="form-control destination-latency" min="100" max="10000" title="SRT latency (ms)">
+                       </div>
+                     </div>
+                     <div class="form-check">
+                       <input class="form-check-input destination-enabled" type="checkbox">
+                       <label class="form-check-label">Enabled</label>
+                     </div>
+                   </div>`);
+  entry.find('.destination-name').val(d.name ?? '');
+  entry.find('.destination-addr').val(d.srtla_addr ?? '');
+  entry.find('.destination-port').val(d.srtla_port ?? '');
+  entry.find('.destination-streamid').val(d.srt_streamid ?? '');
+  entry.find('.destination-latency').val(d.srt_latency ?? 2000);
+  entry.find('.destination-enabled').prop('checked', d.enabled ?? true);
+  entry.find('.destination-remove').click(function() {
+    entry.remove();
+  });
+
+  $('#destinations').append(entry);
+}
+
+function loadDestinations(list) {
+  $('#destinations').empty();
+  for (const d of list) {
+    addDestination(d);
+  }
+}
+
+function getDestinations() {
+  const list = [];
+  $('#destinations .destination').each(function() {
+    const entry = $(this);
+    list.push({
+      name: entry.find('.destination-name').val(),
+      srtla_addr: entry.find('.destination-addr').val(),
+      srtla_port: entry.find('.destination-port').val(),
+      srt_streamid: entry.find('.destination-streamid').val(),
+      srt_latency: entry.find('.destination-latency').val(),
+      enabled: entry.find('.destination-enabled').prop('checked')
+    });
+  });
+  return list;
+}
+
+$('#destinationAdd').click(function() {
+  addDestination({name: `Destination ${$('#destinations .destination').length + 1}`});
+});
+
+function showDestinationsStatus(destinations) {
+  // Only show the status when streaming to several destinations
+  if (destinations.length < 2) {
+    $('#destinationsStatus').addClass('d-none');
+    return;
+  }
+
+  const list = destinations.map(function(d) {
+    return `${d.name}: ${d.state}`;
+  });
+  $('#destinationsStatus').text(list.join(' · ')).removeClass('d-none');
+}
+
+function showRelayFailoverStatus(failover) {
+  if (!failover.active) {
+    $('#relayFailoverStatus').addClass('d-none');
+    return;
+  }
+
+  $('#relayFailoverStatus').text(`Using the backup relay ${failover.relay}`).removeClass('d-none');
+}
+
+/* Auto-start */
+$('#autostartForm').submit(function(ev) {
+  ev.preventDefault();
+
+  const autostart = {
+    enabled: $('#autostartEnabled').prop('checked'),
+    wait_signal: $('#autostartWaitSignal').prop('checked'),
+    wait_netif: $('#autostartWaitNetif').prop('checked'),
+    stop_after: parseInt($('#autostartStopAfter').val()) || 0
+  };
+  ws.send(JSON.stringify({config: {autostart}}));
+});
+
+/* Video preview */
+function updatePreview(preview) {
+  if (!preview.image) {
+    $('#preview').addClass('d-none');
+    $('#previewImage').removeAttr('src');
+    return;
+  }
+
+  $('#previewImage').attr('src', `data:image/jpeg;base64,${preview.image}`);
+  $('#preview').removeClass('d-none');
+}
+
+$('#previewInterval').change(function() {
+  const interval = parseInt($(this).val());
+  const preview = {enabled: interval > 0, interval: interval || 2};
+  ws.send(JSON.stringify({config: {preview}}));
+});
+
+/* Audio level meters */
+function sendAudioLevelsRequest() {
+  const enabled = localStorage.getItem('audioLevels') === 'true';
+  $('#audioLevelsShow').prop('checked', enabled);
+  if (!enabled) $('#audioLevels').addClass('d-none');
+  ws.send(JSON.stringify({audio_levels: {enabled}}));
+}
+
+$('#audioLevelsShow').change(function() {
+  localStorage.setItem('audioLevels', $(this).prop('checked'));
+  sendAudioLevelsRequest();
+});
+
+function updateAudioLevels(levels) {
+  if (!levels.peak || !$('#audioLevelsShow').prop('checked')) {
+    $('#audioLevels').addClass('d-none');
+    return;
+  }
+
+  $('#audioLevels .audio-level').each(function(i) {
+    const peak = levels.peak[i];
+    // Show the range between -60 dBFS and 0 dBFS
+    const width = Math.max(0, Math.min(100, (peak + 60) / 60 * 100));
+    let color = 'bg-success';
+    if (peak > -6) {
+      color = 'bg-danger';
+    } else if (peak > -18) {
+      color = 'bg-warning';
+    }
+
+    const bar = $(this).find('.progress-bar');
+    bar.removeClass('bg-success bg-warning bg-danger').addClass(color);
+    bar.css('width', `${width}%`);
+    $(this).attr('title', `Peak ${peak} dBFS, RMS ${levels.rms[i]} dBFS`);
+  });
+  $('#audioLevels').removeClass('d-none');
+}
+
+$('#audioSilenceTimeout').change(function() {
+  const timeout = parseInt($(this).val()) || 0;
+  ws.send(JSON.stringify({config: {audio_silence_timeout: timeout}}));
+});
+
+/* Custom pipeline editor */
+function customPipelineSend(msg) {
+  ws.send(JSON.stringify({custom_pipelines: msg}));
+}
+
+function showCustomPipelineValidation(v) {
+  const lines = [];
+  if (v.error) {
+    lines.push(`Error: ${v.error}`);
+  } else if (v.valid) {
+    lines.push('The pipeline is valid');
+  }
+  for (const w of v.warnings ?? []) {
+    lines.push(`Warning: ${w}`);
+  }
+
+  const el = $('#customPipelineValidation');
+  el.empty();
+  for (const l of lines) {
+    el.append($('<div></div>').text(l));
+  }
+  el.toggleClass('text-danger', !v.valid).toggleClass('text-success', !!v.valid);
+  el.removeClass('d-none');
+}
+
+function loadCustomPipeline(name, contents) {
+  $('#customPipelineName').val(name).prop('readonly', name != '');
+  $('#customPipelineContents').val(contents);
+  $('#customPipelineDelete').toggleClass('d-none', name == '');
+  $('#customPipelineValidation').addClass('d-none');
+}
+
+// Name of the pipeline being created, selected once it's been saved
+let customPipelineCreating;
+
+function updateCustomPipelines(msg) {
+  if (msg.list) {
+    let selected = $('#customPipelineSelect').val() || '';
+    if (customPipelineCreating && msg.list.includes(customPipelineCreating)) {
+      selected = customPipelineCreating;
+      $('#customPipelineName').prop('readonly', true);
+      $('#customPipelineDelete').removeClass('d-none');
+      customPipelineCreating = undefined;
+    }
+
+    const options = {'': {name: 'New pipeline'}};
+    for (const name of msg.list) {
+      options[name] = {name};
+    }
+    $('#customPipelineSelect').html(genOptionList([options], selected));
+    if (selected && !msg.list.includes(selected)) {
+      loadCustomPipeline('', '');
+    }
+  }
+
+  if (msg.pipeline) {
+    loadCustomPipeline(msg.pipeline.name, msg.pipeline.contents);
+  }
+
+  if (msg.validation) {
+    showCustomPipelineValidation(msg.validation);
+  }
+}
+
+$('#collapseCustomPipelines').on('shown.bs.collapse', function() {
+  customPipelineSend({list: true});
+});
+
+$('#customPipelineSelect').change(function() {
+  const name = $(this).val();
+  if (name) {
+    customPipelineSend({get: {name}});
+  } else {
+    loadCustomPipeline('', '');
+  }
+});
+
+$('#customPipelineValidate').click(function() {
+  customPipelineSend({validate: {contents: $('#customPipelineContents').val()}});
+});
+
+$('#customPipelineForm').submit(function(ev) {
+  ev.preventDefault();
+
+  const name = $('#customPipelineName').val();
+  const contents = $('#customPipelineContents').val();
+  if ($('#customPipelineSelect').val()) {
+    customPipelineSend({update: {name, contents}});
+  } else {
+    customPipelineCreating = name;
+    customPipelineSend({create: {name, contents}});
+  }
+});
+
+$('#customPipelineDelete').click(function() {
+  const name = $('#customPipelineName').val();
+  if (!confirm(`Delete the pipeline ${name}?`)) return;
+  customPipelineSend({delete: {name}});
+});
+
+/* Scheduled streams */
+let schedules = {};
+
+function scheduleDescribe(s) {
+  let when;
+  if (s.type == 'once') {
+    when = new Date(s.at).toLocaleString();
+  } else {
+    when = `cron: ${s.cron}`;
+  }
+
+  let what = (s.action == 'start') ? 'Start' : 'Stop';
+  if (s.action == 'start') {
+    what += (s.profile && profiles[s.profile]) ? ` (${profiles[s.profile].name})` : ' (current settings)';
+    if (s.duration) what += ` for ${s.duration} min`;
+  }
+
+  return `${what}, ${when}`;
+}
+
+function updateSchedules(s) {
+  if (s != null) {
+    schedules = s;
+  }
+
+  const list = $('#schedules');
+  list.empty();
+
+  for (const id in schedules) {
+    const s = schedules[id];
+    const row = $(`<tr>
+                     <td><input type="checkbox" class="schedule-enabled netact"></td>
+                     <td><b class="schedule-name"></b><br><span class="schedule-desc"></span></td>
+                     <td class="text-right text-nowrap">
+                       <button type="button" class="btn btn-sm btn-outline-secondary schedule-edit">Edit</button>
+                       <button type="button" class="btn btn-sm btn-outline-danger netact schedule-delete">Delete</button>
+                     </td>
+                   </tr>`);
+    row.find('.schedule-name').text(s.name);
+    row.find('.schedule-desc').text(scheduleDescribe(s));
+    row.find('.schedule-enabled').prop('checked', s.enabled).change(function() {
+      ws.send(JSON.stringify({schedules: {update: Object.assign({}, s, {id, enabled: this.checked})}}));
+    });
+    row.find('.schedule-edit').click(function() {
+      scheduleEdit(id);
+    });
+    row.find('.schedule-delete').click(function() {
+      if (confirm(`Delete the schedule ${s.name}?`)) {
+        ws.send(JSON.stringify({schedules: {delete: {id}}}));
+      }
+    });
+    list.append(row);
+  }
+
+  if (Object.keys(schedules).length == 0) {
+    list.append($('<tr><td class="text-center">No scheduled streams</td></tr>'));
+  }
+
+  updateScheduleProfiles();
+}
+
+function updateScheduleProfiles() {
+  const selected = $('#scheduleProfile').val();
+  const list = genOptionList([{'': {name: 'Current settings'}}, profiles], selected);
+  $('#scheduleProfile').html(list);
+}
+
+function scheduleUpdateForm() {
+  const isCron = $('#scheduleType').val() == 'cron';
+  $('.schedule-cron').toggleClass('d-none', !isCron);
+  $('.schedule-once').toggleClass('d-none', isCron);
+  $('.schedule-start').toggleClass('d-none', $('#scheduleAction').val() != 'start');
+}
+
+// Formats a date for a datetime-local input, in the local time zone
+function toDatetimeLocal(ts) {
+  const d = new Date(ts - new Date(ts).getTimezoneOffset() * 60000);
+  return d.toISOString().substr(0, 16);
+}
+
+function scheduleResetForm() {
+  $('#scheduleForm')[0].reset();
+  $('#scheduleId').val('');
+  $('#scheduleSave').text('Add schedule');
+  $('#scheduleCancel').addClass('d-none');
+  scheduleUpdateForm();
+}
+
+function scheduleEdit(id) {
+  const s = schedules[id];
+  if (!s) return;
+
+  $('#scheduleId').val(id);
+  $('#scheduleName').val(s.name);
+  $('#scheduleAction').val(s.action);
+  $('#scheduleType').val(s.type);
+  $('#scheduleAt').val(s.at ? toDatetimeLocal(s.at) : '');
+  $('#scheduleCron').val(s.cron ?? '');
+  $('#scheduleProfile').val(s.profile ?? '');
+  $('#scheduleDuration').val(s.duration ?? '');
+  $('#scheduleSave').text('Save schedule');
+  $('#scheduleCancel').removeClass('d-none');
+  scheduleUpdateForm();
+}
+
+$('#scheduleType, #scheduleAction').change(scheduleUpdateForm);
+$('#scheduleCancel').click(scheduleResetForm);
+
+$('#scheduleForm').submit(function(ev) {
+  ev.preventDefault();
+
+  const schedule = {
+    name: $('#scheduleName').val(),
+    action: $('#scheduleAction').val(),
+    type: $('#scheduleType').val()
+  };
+  if (schedule.type == 'once') {
+    schedule.at = new Date($('#scheduleAt').val()).getTime();
+  } else {
+    schedule.cron = $('#scheduleCron').val();
+  }
+  if (schedule.action == 'start') {
+    schedule.profile = $('#scheduleProfile').val();
+    schedule.duration = $('#scheduleDuration').val();
+  }
+
+  const id = $('#scheduleId').val();
+  if (id) {
+    schedule.id = id;
+    schedule.enabled = schedules[id] ? schedules[id].enabled : true;
+    ws.send(JSON.stringify({schedules: {update: schedule}}));
+  } else {
+    ws.send(JSON.stringify({schedules: {add: schedule}}));
+  }
+  scheduleResetForm();
+});
+
 /* Remote relays config */
 let isValidRelaySelection = true;
 function updateRelaySettings() {
@@ -627,6 +1835,13 @@ function updateRelays(r) {
   const accountList = genOptionList([relays ? relays.accounts : {}, preset], selectedAccount);
   $('#relayAccount').html(accountList);
 
+  const failover = config.relay_failover ?? [];
+  $('.relay-failover').each(function(i) {
+    const none = {'': {name: 'None'}};
+    const list = genOptionList([none, relays ? relays.servers : {}], failover[i] ?? '');
+    $(this).html(list);
+  });
+
   updateRelaySettings();
 }
 
@@ -1544,6 +2759,9 @@ function handleMessage(msg) {
       case 'netif':
         updateNetif(msg[type]);
         break;
+      case 'data_usage':
+        updateDataUsage(msg[type]);
+        break;
       case 'sensors':
         updateSensors(msg[type]);
         break;
@@ -1559,6 +2777,12 @@ function handleMessage(msg) {
       case 'relays':
         updateRelays(msg[type]);
         break;
+      case 'profiles':
+        updateProfiles(msg[type]);
+        break;
+      case 'schedules':
+        updateSchedules(msg[type]);
+        break;
       case 'bitrate':
         updateBitrate(msg[type]);
         break;
@@ -1574,9 +2798,30 @@ function handleMessage(msg) {
       case 'log':
         downloadLog(msg[type]);
         break;
+      case 'recordings':
+        showRecordings(msg[type]);
+        break;
+      case 'stats':
+        showStats(msg[type]);
+        break;
+      case 'stream_events':
+        updateStreamEvents(msg[type]);
+        break;
+      case 'preview':
+        updatePreview(msg[type]);
+        break;
+      case 'audio_levels':
+        updateAudioLevels(msg[type]);
+        break;
+      case 'custom_pipelines':
+        updateCustomPipelines(msg[type]);
+        break;
       case 'acodecs':
         updateAudioCodecs(msg[type]);
         break;
+      case 'acodecs_info':
+        updateAudioCodecInfo(msg[type]);
+        break;
     }
   }
 }
@@ -1588,16 +2833,32 @@ function getConfig() {
 
   let config = {};
   config.pipeline = document.getElementById("pipelines").value;
+  if (pipelines[config.pipeline].vsrc) {
+    config.vsrc = $('#videoSource').val();
+  }
   if (pipelines[config.pipeline].asrc) {
     config.asrc = document.getElementById("audioSource").value;
+    config.audio_mix = getAudioMix();
   }
   if (pipelines[config.pipeline].acodec) {
     config.acodec = document.getElementById("audioCodec").value;
+    if ($('#audioBitrate').val()) {
+      config.abitrate = $('#audioBitrate').val();
+    }
+    config.arate = $('#audioRate').val();
+  }
+  if (pipelines[config.pipeline].params) {
+    config.pipeline_params = {[config.pipeline]: getPipelineParams()};
   }
   config.delay = $("#delaySlider").slider("value");
   config.max_br = maxBr;
   config.srt_latency = $("#srtLatencySlider").slider("value");
   config.bitrate_overlay = $("#bitrateOverlay").prop('checked');
+  config.record = $('#record').prop('checked');
+  if (config.record) {
+    config.record_storage = $('#recordStorage').val();
+    config.record_split = $('#recordSplit').val();
+  }
 
   const relayServer = $('#relayServer').val();
   if (relayServer !== 'manual') {
@@ -1614,6 +2875,17 @@ function getConfig() {
     config.srt_streamid = $("#srtStreamid").val();
   }
 
+  config.destinations = getDestinations();
+
+  config.relay_failover = [];
+  $('.relay-failover').each(function() {
+    const relay = $(this).val();
+    if (relay && !config.relay_failover.includes(relay)) {
+      config.relay_failover.push(relay);
+    }
+  });
+  config.relay_failover_attempts = $('#relayFailoverAttempts').val();
+
   return config;
 }
 